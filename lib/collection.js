@@ -50,6 +50,34 @@ Collection.prototype.onOpen = function () {
   self.doQueue();
 };
 
+/**
+ * Called when the database cannot be opened
+ *
+ * Queued calls are failed with `err` through their callbacks; those
+ * without one stay queued.  The error is emitted on the connection only
+ * when it has listeners, and the next call tries to open the database
+ * again.
+ *
+ * @param {Error} err
+ * @api private
+ */
+
+Collection.prototype.onOpenError = function (err) {
+  this.ensuringDb = false;
+  var queue = this.queue;
+  this.queue = [];
+  for (var i = 0, l = queue.length; i < l; i++) {
+    var args = queue[i][2] || [];
+    var callback = args[args.length - 1];
+    if ('function' == typeof callback)
+      callback(err);
+    else
+      this.queue.push(queue[i]);
+  }
+  if (this.conn.listeners('error').length)
+    this.conn.emit('error', err);
+};
+
 /**
  * Called when the database disconnects
  *
@@ -81,15 +109,45 @@ Collection.prototype.maybeQueueCall = function (fn, waitForIndexes, args) {
     if (typeof fn === 'string')
       fn = this[fn];
     this.queue.push([fn, waitForIndexes, args]);
-    if (!this.ensuringDb) {
-      this.ensuringDb = true;
-      this.ensureDb(this.onOpen.bind(this));
-    }
+    this.openDb();
     return true;
   }
   return false;
 };
 
+/**
+ * Runs `start` now, or once the database opens, for calls that return
+ * a stream or feed rather than taking a callback.  If the database
+ * cannot be opened, `emitter` emits the error instead.
+ *
+ * @param {Function} start
+ * @param {EventEmitter} emitter the stream or feed returned
+ * @api private
+ */
+
+Collection.prototype.startWhenOpen = function (start, emitter) {
+  // onOpenError fails queued calls through their last argument
+  var fail = function (err) { emitter.emit('error', err); };
+  if (!this.maybeQueueCall(function () { start(); }, false, [fail]))
+    start();
+};
+
+/**
+ * Starts opening the database, unless it is being opened already.
+ *
+ * Nothing is done before the connection opens; calls queued until then
+ * are run once `Connection#onOpen` opens the database.
+ *
+ * @api private
+ */
+
+Collection.prototype.openDb = function () {
+  if (!this.ensuringDb && this.conn.db) {
+    this.ensuringDb = true;
+    this.ensureDb(this.onOpen.bind(this));
+  }
+};
+
 /**
  * Calls a function or queues the call for later execution when its
  * database connection opens and indexes are created.
@@ -126,6 +184,22 @@ Collection.prototype.doQueue = function () {
   return this;
 };
 
+/**
+ * Runs `fn` holding the lock `name` among all clients of the database,
+ * for read-modify-write sequences such as design doc updates.
+ *
+ * `fn` is called with an error, or null and a `release` function.
+ * Drivers whose database settles concurrent writes itself take no lock.
+ *
+ * @param {String} name
+ * @param {Function} fn
+ * @api private
+ */
+
+Collection.prototype.exclusive = function (name, fn) {
+  fn(null, function () {});
+};
+
 /**
  * Abstract method that drivers must implement.
  */
@@ -182,6 +256,46 @@ Collection.prototype.update = function(){
   throw new Error('Collection#update unimplemented by driver');
 };
 
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.list = function(){
+  throw new Error('Collection#list unimplemented by driver');
+};
+
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.changes = function(){
+  throw new Error('Collection#changes unimplemented by driver');
+};
+
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.saveAttachment = function(){
+  throw new Error('Collection#saveAttachment unimplemented by driver');
+};
+
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.getAttachment = function(){
+  throw new Error('Collection#getAttachment unimplemented by driver');
+};
+
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.removeAttachment = function(){
+  throw new Error('Collection#removeAttachment unimplemented by driver');
+};
+
 /**
  * Abstract method that drivers must implement.
  */
@@ -190,6 +304,14 @@ Collection.prototype.getIndexes = function(){
   throw new Error('Collection#getIndexes unimplemented by driver');
 };
 
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.dropIndex = function(){
+  throw new Error('Collection#dropIndex unimplemented by driver');
+};
+
 /**
  * Abstract method that drivers must implement.
  */
@@ -198,6 +320,14 @@ Collection.prototype.mapReduce = function(){
   throw new Error('Collection#mapReduce unimplemented by driver');
 };
 
+/**
+ * Abstract method that drivers must implement.
+ */
+
+Collection.prototype.findWithSelector = function(){
+  throw new Error('Collection#findWithSelector unimplemented by driver');
+};
+
 /*!
  * Module exports.
  */
@@ -120,6 +120,11 @@ Connection.prototype._open = function (callback) {
  */
 
 Connection.prototype.onOpen = function (callback) {
+  // run the calls made before the connection opened
+  for (var name in this.collections) {
+    if (this.collections[name].queue.length)
+      this.collections[name].openDb();
+  }
   callback && callback();
   this.emit('open');
 };
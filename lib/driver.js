@@ -0,0 +1,133 @@
+/*!
+ * Module dependencies.
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , Connection = require('./connection')
+  , Collection = require('./collection')
+  , InvalidDriverError = require('./errors/invalidDriver');
+
+/**
+ * Driver loading and validation.
+ *
+ * A driver is a pair of constructors, `Connection` and `Collection`,
+ * inheriting from the abstract classes exposed here.  It is chosen per
+ * instance:
+ *
+ *     mongoose.instance('memory');                                  // bundled
+ *     mongoose.instance({name: 'redis', driver: 'mongoose-couch-redis'}); // package
+ *     mongoose.instance({name: 'local', driver: './drivers/local'});  // path
+ *     mongoose.instance({name: 'mine', driver: {Connection, Collection}});
+ *
+ * A package or path must export `{Connection, Collection}`; relative
+ * paths are taken from the working directory.  The drivers bundled in
+ * `lib/drivers` are found by name.
+ *
+ * The `Connection` implements `doOpen(fn)`, which sets `this.db` from
+ * `this.connectionOpts` and calls `fn(err)`, and `doClose(fn)`.
+ *
+ * The `Collection` implements `ensureDb(callback)`, which calls back
+ * with the database handle once it exists, and the document methods
+ * models use: `insert`, `bulkInsert`, `remove`, `bulkRemove`,
+ * `findById`, `findWithView`, `findOneWithView` and `all`.  Each starts
+ * with `if (this.maybeQueueCall(name, waitForIndexes, arguments)) return;`
+ * so calls wait for the database.  `mapReduce`, `findWithSelector`,
+ * the Mango index methods (`getIndexes`, `ensureIndex`, `dropIndex`),
+ * `update`, `list`, `changes` and the attachment methods are optional;
+ * the abstract ones throw when called.  Failures are handed back as
+ * `DatabaseError`s; `DatabaseError.from` maps CouchDB style
+ * `{error, reason}` bodies to them.  `test/drivers/conformance.js`
+ * checks a driver behaves as CouchDB does.
+ *
+ * @api public
+ */
+
+exports.Connection = Connection;
+exports.Collection = Collection;
+
+/**
+ * Methods a driver must implement, by constructor.
+ *
+ * @api public
+ */
+
+exports.required = {
+    Connection: ['doOpen', 'doClose']
+  , Collection: ['ensureDb', 'insert', 'bulkInsert', 'remove', 'bulkRemove',
+                 'findById', 'findWithView', 'findOneWithView', 'all']
+};
+
+/**
+ * Checks `driver` implements the required methods.
+ *
+ * @param {Object} driver `{Connection, Collection}`
+ * @param {String} name used in error messages
+ * @throws {InvalidDriverError}
+ * @api public
+ */
+
+exports.validate = function validate(driver, name) {
+  var bases = {Connection: Connection, Collection: Collection};
+  Object.keys(bases).forEach(function (kind) {
+    var Ctor = driver && driver[kind];
+    if (typeof Ctor !== 'function')
+      throw new InvalidDriverError(name, 'has no ' + kind + ' constructor');
+    var missing = exports.required[kind].filter(function (method) {
+      var fn = Ctor.prototype[method];
+      return typeof fn !== 'function' || fn === bases[kind].prototype[method];
+    });
+    if (missing.length)
+      throw new InvalidDriverError(name, 'does not implement ' + missing.map(function (method) {
+        return kind + '#' + method;
+      }).join(', '));
+  });
+  return driver;
+};
+
+/**
+ * Loads and validates a driver.
+ *
+ * @param {String|Object} driver bundled driver name, package name, path or `{Connection, Collection}`
+ * @param {String} [name] used in error messages, defaults to `driver`
+ * @return {Object} `{Connection, Collection}`
+ * @throws {InvalidDriverError}
+ * @api public
+ */
+
+exports.load = function load(driver, name) {
+  if (typeof driver !== 'string')
+    return exports.validate(driver, name || 'given');
+
+  if (/^[\w-]+$/.test(driver) && exists(path.join(__dirname, 'drivers', driver))) {
+    return exports.validate({
+        Connection: require('./drivers/' + driver + '/connection')
+      , Collection: require('./drivers/' + driver + '/collection')
+    }, driver);
+  }
+
+  var id = /^\.{1,2}(\/|$)/.test(driver) ? path.resolve(driver) : driver;
+  var loaded;
+  try {
+    loaded = require(id);
+  }
+  catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf(id) !== -1)
+      throw new InvalidDriverError(driver, 'cannot be found');
+    throw err;
+  }
+  return exports.validate(loaded, driver);
+};
+
+/*!
+ * Checks a bundled driver directory exists.
+ */
+
+function exists(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  }
+  catch (err) {
+    return false;
+  }
+}
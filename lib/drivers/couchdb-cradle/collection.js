@@ -4,8 +4,58 @@
 
 var MongooseCollection = require('../../collection')
     , cradle = require('cradle')
+    , querystring = require('querystring')
+    , stream = require('stream')
+    , EventEmitter = require('events').EventEmitter
+    , revision = require('../../revision')
+    , DatabaseError = require('../../errors/database')
     , utils = require('../../utils')
 
+/*!
+ * Copies the rows of a cradle view response to a plain array; cradle's
+ * own `map` and `forEach` pass the doc or value instead of the row.
+ */
+
+function rows(res) {
+  return Array.prototype.slice.call(res);
+}
+
+/*!
+ * Wraps `callback` to be handed DatabaseErrors rather than cradle's
+ * CouchErrors.
+ */
+
+function mapErrors(callback) {
+  return callback && function (err) {
+    arguments[0] = DatabaseError.from(err);
+    return callback.apply(this, arguments);
+  };
+}
+
+/*!
+ * Escapes an attachment name for the request path; cradle puts it there
+ * as given.  Slashes are kept, as CouchDB takes them in names.
+ */
+
+function escapeName(name) {
+  return name.split('/').map(encodeURIComponent).join('/');
+}
+
+/*!
+ * Re-emits the events of a cradle feed on `proxy`, the feed returned in
+ * its place while the database was being opened.
+ */
+
+function forward(feed, proxy) {
+  var emit = feed.emit;
+  feed.emit = function (event) {
+    // errors are for the listeners of the proxy, not thrown here
+    if ('error' != event || this.listeners('error').length)
+      emit.apply(this, arguments);
+    return proxy.emit.apply(proxy, arguments);
+  };
+}
+
 /**
  * A [node-mongodb-native](https://github.com/mongodb/node-mongodb-native) collection implementation.
  *
@@ -66,12 +116,30 @@ CradleCollection.prototype.ensureDb = function(callback) {
 
 /**
  * Inserts a doc
+ *
+ * A doc saved without `_rev` replaces the current revision, as with
+ * cradle's `save`.  Unlike `save`, design docs are stored as given
+ * rather than wrapped as views.
  */
 
 CradleCollection.prototype.insert = function (doc, opts, callback) {
   if (this.maybeQueueCall('insert', false, arguments))
     return;
-  this.collection.save(doc, callback);
+  callback = mapErrors(callback);
+  var db = this.collection;
+  if (!doc._id)
+    return db.post(doc, callback);
+  db.put(doc._id, doc, function (err, res) {
+    if (!err || doc._rev || !err.headers || err.headers.status !== 409)
+      return callback(err, res);
+    db.head(doc._id, function (err, headers, status) {
+      if (err)
+        return callback(err);
+      if (status !== 200 || !headers.etag)
+        return callback(new DatabaseError.ConflictError());
+      db.put(doc._id, Object.assign({}, doc, {_rev: headers.etag.slice(1, -1)}), callback);
+    });
+  });
 };
 
 /**
@@ -81,8 +149,10 @@ CradleCollection.prototype.insert = function (doc, opts, callback) {
 CradleCollection.prototype.bulkInsert = function (docs, callback) {
   if (this.maybeQueueCall('bulkInsert', false, arguments))
     return;
-  //TODO:Test Case
-  this.collection.save(docs, callback);
+  callback = mapErrors(callback);
+  this.collection.save(docs, function (err, res) {
+    callback(err, res && rows(res));
+  });
 };
 
 /**
@@ -92,7 +162,18 @@ CradleCollection.prototype.bulkInsert = function (docs, callback) {
 CradleCollection.prototype.remove = function (_id, _rev, callback) {
   if (this.maybeQueueCall('remove', false, arguments))
     return;
-  this.collection.remove(_id, _rev, callback);
+  callback = mapErrors(callback);
+  if (typeof _rev === 'string' || this.collection.cache.has(_id))
+    return this.collection.remove(_id, _rev, callback);
+  // cradle throws without a revision it can take from its cache
+  var self = this;
+  this.collection.head(_id, function (err, headers, status) {
+    if (err)
+      return callback(err);
+    if (status === 404 || !headers.etag)
+      return callback({error: 'not_found', reason: 'missing'});
+    self.collection.remove(_id, headers.etag.slice(1, -1), callback);
+  });
 };
 
 /**
@@ -102,19 +183,19 @@ CradleCollection.prototype.remove = function (_id, _rev, callback) {
 CradleCollection.prototype.bulkRemove = function (docs, callback) {
   if (this.maybeQueueCall('bulkRemove', false, arguments))
     return;
-  //TODO:Test Case
-  docs.forEach(function (doc) {
-    doc._deleted = true;
+  callback = mapErrors(callback);
+  var tombstones = docs.map(function (doc) {
+    return {_id: doc._id, _rev: doc._rev, _deleted: true};
   });
 
   var self = this;
-  self.collection.save(docs, function(err, res) {
+  self.collection.save(tombstones, function(err, res) {
      if (!err)
-        res.forEach(function(doc) {
-           if (doc.ok === true)
-              self.collection.cache.purge(doc.key);
+        rows(res).forEach(function(row) {
+           if (row.ok === true)
+              self.collection.cache.purge(row.id);
         });
-     return callback(err, res);
+     return callback(err, res && rows(res));
   });
 };
 
@@ -125,7 +206,7 @@ CradleCollection.prototype.bulkRemove = function (docs, callback) {
 CradleCollection.prototype.findOneWithView = function (view, opts, callback) {
   if (this.maybeQueueCall('findOneWithView', true, arguments))
     return;
-  //TODO:Test Case
+  callback = mapErrors(callback);
   opts.limit = 1;
   this.collection.view(view, opts, function (err, res) {
     if (err) {
@@ -142,33 +223,29 @@ CradleCollection.prototype.findOneWithView = function (view, opts, callback) {
 CradleCollection.prototype.findWithView = function (view, opts, callback) {
   if (this.maybeQueueCall('findWithView', true, arguments))
     return;
-  //TODO:Test Case
+  callback = mapErrors(callback);
   this.collection.view(view, opts, function (err, res) {
     if (err) {
       return callback(err);
     }
 
-    var docs = [];
-
-    res.forEach(function (doc) {
-      var d;
-      if(doc.value) d = doc.value;
-      if(doc.doc) d = doc.doc;
-      docs.push(d || doc);
-    });
-
-    callback(null, docs);
+    callback(null, rows(res).map(function (row) {
+      return row.doc || row.value || row;
+    }));
   });
 };
 
 /**
  * Finds with ids
+ *
+ * An array of ids gives `_all_docs?keys=` style rows.  A deleted doc is
+ * `not_found` unless `opts.returnDeleted` is set, which gives its
+ * tombstone.
  */
 
 CradleCollection.prototype.findById = function (ids, opts, callback) {
   if (this.maybeQueueCall('findById', false, arguments))
     return;
-  //TODO:Test Case
   var self = this;
   var idArray = Array.isArray(ids);
 
@@ -176,43 +253,70 @@ CradleCollection.prototype.findById = function (ids, opts, callback) {
      callback = opts;
      opts = undefined;
   }
+  callback = mapErrors(callback);
 
   // Specifying anything for cradleOpts will bypass the cache as
   // it is seen as a query.
   const cradleOpts = (opts && opts.noCache)? {} : undefined;
 
   this.collection.get(ids, cradleOpts, function (err, res) {
+    if (err && err.reason === 'deleted' && opts && opts.returnDeleted)
+      return self.tombstone(ids, callback);
     if (err) {
       return callback(err);
     }
-    // XXX: res.slice() to shallow copy if necessary
+    if (idArray)
+      return callback(null, rows(res));
 
     if(opts !== undefined && '_deleted' in res && !opts.returnDeleted) {
-      return callback(new(cradle.CouchError)({ 'error': 'not_found',
-                                               'reason': 'deleted'
-                                             }));
+      return callback(new DatabaseError.NotFoundError('deleted'));
     }
 
     callback(null, res);
   });
 };
 
+/**
+ * Reads the tombstone of a deleted doc.
+ *
+ * @param {String} _id
+ * @param {Function} callback
+ * @api private
+ */
+
+CradleCollection.prototype.tombstone = function (_id, callback) {
+  this.collection.query({
+    method: 'GET',
+    path: cradle.escape(_id),
+    query: {open_revs: 'all'},
+    headers: {Accept: 'application/json'}
+  }, function (err, leaves) {
+    if (err)
+      return callback(err);
+    var doc = revision.winner(rows(leaves).filter(function (leaf) {
+      return leaf.ok;
+    }).map(function (leaf) {
+      return leaf.ok;
+    }));
+    callback(doc ? null : new DatabaseError.NotFoundError('missing'), doc);
+  });
+};
+
 CradleCollection.prototype.all = function (options, callback) {
   if (this.maybeQueueCall('all', false, arguments))
     return;
-  //TODO:Test Case
-  var self = this;
   if (arguments.length == 1)
   {
      callback = options;
      options = undefined;
   }
+  callback = mapErrors(callback);
 
   this.collection.all(options, function (err, res) {
     if (err) {
       return callback(err);
     }
-    callback(null, res);
+    callback(null, rows(res));
   });
 };
 
@@ -223,10 +327,223 @@ CradleCollection.prototype.all = function (options, callback) {
 CradleCollection.prototype.mapReduce = function (doc, opts, callback) {
   if (this.maybeQueueCall('mapReduce', true, arguments))
     return;
-  //TODO:Test Case
-  this.collection.temporaryView(doc, opts, callback);
+  callback = mapErrors(callback);
+  this.collection.temporaryView(doc, opts, function (err, res) {
+    callback(err, res && rows(res));
+  });
+};
+
+/**
+ * Finds with a Mango query
+ *
+ * `query` is the `_find` request body; the callback gets its response,
+ * `{docs, bookmark, warning}`.  Needs CouchDB 2.0 or later.
+ */
+
+CradleCollection.prototype.findWithSelector = function (query, callback) {
+  if (this.maybeQueueCall('findWithSelector', true, arguments))
+    return;
+  callback = mapErrors(callback);
+  this.collection.query({
+    method: 'POST',
+    path: '_find',
+    body: query
+  }, function (err, res) {
+    callback(err, res && res.json);
+  });
+};
+
+/**
+ * Lists the Mango indexes
+ */
+
+CradleCollection.prototype.getIndexes = function (callback) {
+  if (this.maybeQueueCall('getIndexes', false, arguments))
+    return;
+  callback = mapErrors(callback);
+  this.collection.query({method: 'GET', path: '_index'}, function (err, res) {
+    callback(err, res && res.indexes);
+  });
+};
+
+/**
+ * Creates a Mango index
+ *
+ * `index` is the `_index` request body, `{index, ddoc, name, type}`.
+ */
+
+CradleCollection.prototype.ensureIndex = function (index, callback) {
+  if (this.maybeQueueCall('ensureIndex', false, arguments))
+    return;
+  callback = mapErrors(callback);
+  this.collection.query({method: 'POST', path: '_index', body: index}, function (err, res) {
+    callback(err, res && res.json);
+  });
+};
+
+/**
+ * Drops a Mango index
+ */
+
+CradleCollection.prototype.dropIndex = function (ddoc, name, callback) {
+  if (this.maybeQueueCall('dropIndex', false, arguments))
+    return;
+  this.collection.query({
+    method: 'DELETE',
+    path: ['_index', ddoc.replace(/^_design\//, ''), 'json', name].map(querystring.escape).join('/')
+  }, mapErrors(callback));
+};
+
+/**
+ * Runs an update handler
+ *
+ * Unlike cradle's `update`, the request body is passed on.
+ */
+
+CradleCollection.prototype.update = function (handler, id, query, body, callback) {
+  if (this.maybeQueueCall('update', true, arguments))
+    return;
+  callback = mapErrors(callback);
+  var path = handler.split('/');
+  path = ['_design', path[0], '_update', path[1]].concat(id ? [id] : []);
+  this.collection.query({
+    method: id ? 'PUT' : 'POST',
+    path: path.map(querystring.escape).join('/'),
+    query: query,
+    body: body
+  }, callback);
 };
 
+/**
+ * Runs a list function
+ */
+
+CradleCollection.prototype.list = function (handler, query, callback) {
+  if (this.maybeQueueCall('list', true, arguments))
+    return;
+  this.collection.list(handler, query, mapErrors(callback));
+};
+
+/**
+ * Lists changes, or follows them when no callback is given
+ *
+ * A feed asked for while the database is being opened stands in for
+ * cradle's until it is, passing on its events; it emits `error` if the
+ * database cannot be opened.
+ */
+
+CradleCollection.prototype.changes = function (opts, callback) {
+  if ('function' == typeof opts || callback || !this.buffer) {
+    if (this.maybeQueueCall('changes', false, arguments))
+      return;
+    return this.collection.changes(opts, mapErrors(callback));
+  }
+  var self = this;
+  var proxy = new EventEmitter();
+  var feed;
+  proxy.stop = function () {
+    proxy.stopped = true;
+    if (feed)
+      feed.stop();
+  };
+  this.startWhenOpen(function () {
+    if (proxy.stopped)
+      return;
+    feed = self.collection.changes(opts);
+    forward(feed, proxy);
+  }, proxy);
+  return proxy;
+};
+
+/**
+ * Saves an attachment
+ */
+
+CradleCollection.prototype.saveAttachment = function (doc, attachment, callback) {
+  if (this.maybeQueueCall('saveAttachment', false, arguments))
+    return;
+  var name = typeof attachment === 'string' ? attachment : attachment.name;
+  var escaped = escapeName(name);
+  var id = typeof doc === 'string' ? doc : doc.id || doc._id;
+  var cache = this.collection.cache;
+  if (typeof attachment !== 'string')
+    attachment = Object.assign({}, attachment, {name: escaped});
+  else
+    attachment = escaped;
+  callback = mapErrors(callback);
+  this.collection.saveAttachment(doc, attachment, function (err) {
+    // cradle marks the stub in its cache under the name it was given
+    var cached = !err && escaped !== name && cache.has(id) && cache.store[id].document;
+    if (cached && cached._attachments && cached._attachments[escaped]) {
+      cached._attachments[name] = cached._attachments[escaped];
+      delete cached._attachments[escaped];
+    }
+    callback.apply(this, arguments);
+  });
+};
+
+/**
+ * Gets an attachment
+ *
+ * Unlike cradle's `getAttachment`, the callback receives the content as
+ * a Buffer and a stub made from the response headers.  Without a
+ * callback the request is returned for streaming; while the database
+ * is being opened, a stream the request is piped to once it is, which
+ * emits `error` if the database cannot be opened.
+ */
+
+CradleCollection.prototype.getAttachment = function (id, name, callback) {
+  if (!callback && this.buffer) {
+    var self = this;
+    var out = new stream.PassThrough();
+    this.startWhenOpen(function () {
+      var req = self.collection.getAttachment(id, escapeName(name));
+      req.on('response', function (res) { out.emit('response', res); });
+      req.on('error', function (err) { out.emit('error', err); });
+      req.pipe(out);
+    }, out);
+    return out;
+  }
+  if (this.maybeQueueCall('getAttachment', false, arguments))
+    return;
+  callback = mapErrors(callback);
+  if (!callback)
+    return this.collection.getAttachment(id, escapeName(name));
+  this.collection.connection.rawRequest({
+    method: 'GET',
+    path: '/' + [this.collection.name, querystring.escape(id), escapeName(name)].join('/'),
+    encoding: null
+  }, function (err, res, body) {
+    if (err)
+      return callback(err);
+    if (res.statusCode >= 400) {
+      var failure;
+      try {
+        failure = JSON.parse(body.toString());
+      }
+      catch (e) {
+        failure = {error: 'http_' + res.statusCode, reason: body.toString()};
+      }
+      return callback(DatabaseError.from(failure, res.statusCode));
+    }
+    callback(null, body, {
+      content_type: res.headers['content-type'],
+      length: body.length,
+      digest: res.headers['content-md5'] && 'md5-' + res.headers['content-md5'],
+      stub: true
+    });
+  });
+};
+
+/**
+ * Removes an attachment
+ */
+
+CradleCollection.prototype.removeAttachment = function (doc, name, callback) {
+  if (this.maybeQueueCall('removeAttachment', false, arguments))
+    return;
+  this.collection.removeAttachment(doc, escapeName(name), mapErrors(callback));
+};
 
 /*!
  * Module exports.
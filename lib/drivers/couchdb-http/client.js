@@ -0,0 +1,248 @@
+/*!
+ * Module dependencies.
+ */
+
+var http = require('http');
+var https = require('https');
+var querystring = require('querystring');
+var DatabaseError = require('../../errors/database');
+var viewserver = require('../../viewserver');
+
+/*!
+ * Server used when none is given.
+ */
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 5984;
+
+/**
+ * A minimal CouchDB HTTP client over Node's `http` and `https`.
+ *
+ * Takes the arguments cradle's `Connection` takes, in any order: a
+ * host or URL, with an optional `:port`, user info and path prefix; a
+ * port; and an options object:
+ *
+ * - `host`, `port`: used when not given as separate arguments
+ * - `auth`: `{username, password}`, or `'username:password'`, sent as
+ *   basic authentication
+ * - `secure`: use https - implied by an `https://` URL
+ * - `headers`: headers sent with every request
+ * - `timeout`: milliseconds of socket inactivity after which a request
+ *   fails - defaults to none
+ * - `maxSockets`: concurrent connections to the server - defaults to 20
+ *
+ * Nothing is cached: every call is a request to the server.
+ *
+ * @api private
+ */
+
+function CouchClient(/* [url], [port], [options] */) {
+  let host, port, options = {};
+  Array.prototype.forEach.call(arguments, arg => {
+    if (typeof arg === 'number' || (typeof arg === 'string' && /^\d{2,5}$/.test(arg)))
+      port = Number(arg);
+    else if (arg && typeof arg === 'object')
+      options = arg;
+    else if (typeof arg === 'string')
+      host = arg;
+  });
+  const url = new URL(/^https?:\/\//.test(host || '') ? host
+    : `${options.secure ? 'https' : 'http'}://${host || options.host || DEFAULT_HOST}`);
+  if (port || !url.port)
+    url.port = port || options.port || (url.protocol === 'https:' ? '' : DEFAULT_PORT);
+  let auth = options.auth;
+  if (url.username) {
+    auth = {username: decodeURIComponent(url.username), password: decodeURIComponent(url.password)};
+    url.username = url.password = '';
+  }
+  if (typeof auth === 'string') {
+    const [username, ...password] = auth.split(':');
+    auth = {username, password: password.join(':')};
+  }
+
+  this.base = url.href.replace(/\/*$/, '');
+  this.transport = url.protocol === 'https:' ? https : http;
+  this.agent = new this.transport.Agent({keepAlive: true, maxSockets: options.maxSockets || 20});
+  this.timeout = options.timeout || 0;
+  this.headers = Object.assign({}, options.headers);
+  if (auth && auth.username)
+    this.headers.Authorization = 'Basic '
+      + Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+}
+
+/**
+ * Escapes a doc id for use in a path, keeping the slash of design and
+ * local doc ids.
+ *
+ * @param {String} _id
+ * @return {String}
+ * @api private
+ */
+
+CouchClient.escape = function (_id) {
+  const match = /^(_design|_local)\/(.+)$/.exec(_id);
+  return match ? `${match[1]}/${encodeURIComponent(match[2])}` : encodeURIComponent(_id);
+};
+
+/*!
+ * Serializes query parameters, as strings or JSON.
+ */
+
+function encodeQuery(query) {
+  const params = {};
+  for (const name in query) {
+    const value = query[name];
+    if (value !== undefined)
+      params[name] = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return querystring.stringify(params);
+}
+
+/**
+ * Sends a request, handing back the response unread.
+ *
+ * `options` are `{method, path, query, headers, body}`, where `path`
+ * is already escaped and `body` is a Buffer, string or readable stream.
+ *
+ * @param {Object} options
+ * @param {Function} callback receives the response
+ * @return {http.ClientRequest} the request, which `destroy()` aborts
+ * @api private
+ */
+
+CouchClient.prototype.open = function (options, callback) {
+  const query = options.query && encodeQuery(options.query);
+  const url = this.base + options.path + (query ? `?${query}` : '');
+  const req = this.transport.request(url, {
+    method: options.method || 'GET',
+    headers: Object.assign({}, this.headers, options.headers),
+    agent: this.agent
+  });
+  let done = false;
+  const finish = (err, res) => {
+    if (done)
+      return;
+    done = true;
+    callback(err, res);
+  };
+  req.on('response', res => finish(null, res));
+  req.on('error', err => finish(err));
+  if (this.timeout)
+    req.setTimeout(this.timeout, () => req.destroy(new Error(`Request timed out after ${this.timeout} ms`)));
+  const body = options.body;
+  if (body && typeof body.pipe === 'function') {
+    body.on('error', err => req.destroy(err));
+    body.pipe(req);
+  }
+  else
+    req.end(body);
+  return req;
+};
+
+/**
+ * Sends a request, reading the whole response.
+ *
+ * @param {Object} options as for `open`
+ * @param {Function} callback receives the response and its body as a Buffer
+ * @return {http.ClientRequest}
+ * @api private
+ */
+
+CouchClient.prototype.rawRequest = function (options, callback) {
+  return this.open(options, (err, res) => {
+    if (err)
+      return callback(err);
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('error', callback);
+    res.on('end', () => callback(null, res, Buffer.concat(chunks)));
+  });
+};
+
+/**
+ * Turns a failed response into a DatabaseError.
+ *
+ * The CouchDB error body picks the class; other bodies, e.g. from a
+ * proxy, are mapped by status.
+ *
+ * @param {http.IncomingMessage} res
+ * @param {Buffer} body
+ * @return {DatabaseError}
+ * @api private
+ */
+
+CouchClient.failure = function (res, body) {
+  const text = body.toString();
+  try {
+    const err = JSON.parse(text);
+    if (err && err.error)
+      return DatabaseError.from({error: err.error, reason: err.reason}, res.statusCode);
+  }
+  catch (e) {
+    // not a CouchDB error body, e.g. from a proxy
+  }
+  return DatabaseError.from({error: 'http_' + res.statusCode, reason: text || res.statusMessage}, res.statusCode);
+};
+
+/*!
+ * Tells whether `body` is sent as is rather than as JSON.
+ */
+
+function isRaw(body) {
+  return typeof body === 'string' || Buffer.isBuffer(body) || (!!body && typeof body.pipe === 'function');
+}
+
+/**
+ * Sends a request and decodes the response.
+ *
+ * A string, Buffer or stream `body` is sent as is, with the
+ * `Content-Type` given in `headers`; anything else is sent as JSON,
+ * with functions as their source, for design docs.  A response with an
+ * error status is handed back as a DatabaseError; others are
+ * decoded as JSON when they parse and as a string otherwise.
+ *
+ * @param {Object} options as for `open`
+ * @param {Function} callback receives the decoded body and the response
+ * @return {http.ClientRequest}
+ * @api private
+ */
+
+CouchClient.prototype.request = function (options, callback) {
+  const headers = Object.assign({Accept: 'application/json'}, options.headers);
+  let body = options.body;
+  if (body !== undefined && !isRaw(body)) {
+    body = viewserver.stringify(body);
+    headers['Content-Type'] = 'application/json';
+  }
+  return this.rawRequest(Object.assign({}, options, {headers, body}), (err, res, data) => {
+    if (err)
+      return callback(err);
+    if (res.statusCode >= 400)
+      return callback(CouchClient.failure(res, data), undefined, res);
+    const text = data.toString();
+    let value = text;
+    try {
+      value = JSON.parse(text);
+    }
+    catch (e) {
+      // update handlers and list functions may answer with any text
+    }
+    callback(null, options.method === 'HEAD' ? null : value, res);
+  });
+};
+
+/**
+ * Closes the connections kept open to the server.
+ *
+ * @api private
+ */
+
+CouchClient.prototype.close = function () {
+  this.agent.destroy();
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = CouchClient;
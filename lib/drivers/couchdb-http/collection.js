@@ -0,0 +1,667 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseCollection = require('../../collection');
+var DatabaseError = require('../../errors/database');
+var revision = require('../../revision');
+var viewserver = require('../../viewserver');
+var CouchClient = require('./client');
+var EventEmitter = require('events').EventEmitter;
+var stream = require('stream');
+
+/*!
+ * View query parameters CouchDB takes as JSON.
+ */
+
+const JSON_PARAMS = ['key', 'startkey', 'endkey', 'start_key', 'end_key'];
+
+/*!
+ * Milliseconds between newlines sent by CouchDB to keep a long poll of
+ * the changes feed from timing out.
+ */
+
+const HEARTBEAT = 10000;
+
+/*!
+ * Bounds of the delay before polling changes again after a failure.
+ */
+
+const MIN_DELAY = 100;
+const MAX_DELAY = 30000;
+
+/**
+ * A CouchDB collection implementation speaking HTTP directly.
+ *
+ * Mirrors the surface of `CradleCollection`, handing back results in
+ * the shapes the other drivers use: CouchDB's response bodies, with
+ * view results reduced to their rows.  Errors are `DatabaseError`s,
+ * with CouchDB's `error` and `reason`, or an `Error` when the server
+ * cannot be reached.
+ *
+ * @inherits Collection
+ * @api private
+ */
+
+function CouchHttpCollection() {
+  this.client = null;
+  this.path = null;
+  this.feeds = new Set();
+  MongooseCollection.apply(this, arguments);
+}
+
+/*!
+ * Inherit from abstract Collection.
+ */
+
+CouchHttpCollection.prototype.__proto__ = MongooseCollection.prototype;
+
+/**
+ * Called when the connection opens.
+ *
+ * @api private
+ */
+
+CouchHttpCollection.prototype.onOpen = function (client) {
+  if(this.conn && this.conn.db) {
+    this.client = client;
+    this.path = '/' + encodeURIComponent(this.name);
+  }
+  MongooseCollection.prototype.onOpen.call(this);
+};
+
+/**
+ * Called when the connection closes
+ *
+ * @api private
+ */
+
+CouchHttpCollection.prototype.onClose = function () {
+  this.feeds.forEach(feed => feed.stop());
+  MongooseCollection.prototype.onClose.call(this);
+};
+
+/**
+ * Checks for db existence, creates if necessary.
+ *
+ * Queued calls fail with the error if the server cannot be reached or
+ * refuses; the next call tries again.
+ *
+ * @api private
+ */
+
+CouchHttpCollection.prototype.ensureDb = function(callback) {
+  const client = this.conn.db;
+  const path = '/' + encodeURIComponent(this.name);
+  const failed = err => this.onOpenError(DatabaseError.from(err));
+  client.request({method: 'HEAD', path}, err => {
+    if (!err)
+      return callback(client);
+    if (!(err instanceof DatabaseError.NotFoundError))
+      return failed(err);
+    client.request({method: 'PUT', path}, err => {
+      // another client may have created it meanwhile
+      if (err && err.error !== 'file_exists')
+        return failed(err);
+      callback(client);
+    });
+  });
+};
+
+/**
+ * Sends a request for a path within the database.
+ *
+ * @param {Object} options as for `CouchClient#request`
+ * @param {Function} callback
+ * @return {http.ClientRequest}
+ * @api private
+ */
+
+CouchHttpCollection.prototype.request = function (options, callback) {
+  return this.client.request(Object.assign({}, options, {path: this.path + (options.path || '')}), callback);
+};
+
+/*!
+ * Returns the path of a doc, or of one of its attachments.
+ */
+
+function docPath(_id, attachment) {
+  let path = '/' + CouchClient.escape(_id);
+  if (attachment !== undefined)
+    path += '/' + attachment.split('/').map(encodeURIComponent).join('/');
+  return path;
+}
+
+/*!
+ * Returns the id and revision of a doc, or of `{id, rev}`.
+ */
+
+function idAndRev(doc) {
+  if (typeof doc === 'string')
+    return [doc, undefined];
+  return [doc._id || doc.id, doc._rev || doc.rev];
+}
+
+/*!
+ * Turns view query options into a request: keys given in `keys`, or in
+ * `body` as cradle takes them, are posted.
+ */
+
+function viewRequest(opts) {
+  const query = Object.assign({}, opts);
+  let body = query.body;
+  delete query.body;
+  if (query.keys) {
+    body = Object.assign({}, body, {keys: query.keys});
+    delete query.keys;
+  }
+  JSON_PARAMS.forEach(name => {
+    if (query[name] !== undefined)
+      query[name] = JSON.stringify(query[name]);
+  });
+  return {method: body ? 'POST' : 'GET', query, body};
+}
+
+/**
+ * Inserts a doc
+ *
+ * A doc with an `_id` but no `_rev` replaces the current revision, as
+ * cradle's save does: after a conflict the current revision is looked
+ * up and the save retried once.
+ */
+
+CouchHttpCollection.prototype.insert = function (doc, opts, callback) {
+  if (this.maybeQueueCall('insert', false, arguments))
+    return;
+  if (!doc._id)
+    return this.request({method: 'POST', body: doc}, callback);
+  const put = (doc, retry) => this.request({method: 'PUT', path: docPath(doc._id), body: doc}, (err, res) => {
+    if (!err || err.error !== 'conflict' || !retry)
+      return callback(err, res);
+    this.request({method: 'HEAD', path: docPath(doc._id)}, (err, body, res) => {
+      if (err)
+        return callback(err);
+      put(Object.assign({}, doc, {_rev: res.headers.etag.slice(1, -1)}), false);
+    });
+  });
+  put(doc, doc._rev == null);
+};
+
+/**
+ * inserts docs in bulk
+ */
+
+CouchHttpCollection.prototype.bulkInsert = function (docs, callback) {
+  if (this.maybeQueueCall('bulkInsert', false, arguments))
+    return;
+  this.request({method: 'POST', path: '/_bulk_docs', body: {docs}}, callback);
+};
+
+/**
+ * removes a doc
+ */
+
+CouchHttpCollection.prototype.remove = function (_id, _rev, callback) {
+  if (this.maybeQueueCall('remove', false, arguments))
+    return;
+  this.request({method: 'DELETE', path: docPath(_id), query: {rev: _rev}}, callback);
+};
+
+/**
+ * removes docs in bulk
+ */
+
+CouchHttpCollection.prototype.bulkRemove = function (docs, callback) {
+  if (this.maybeQueueCall('bulkRemove', false, arguments))
+    return;
+  docs = docs.map(doc => ({_id: doc._id, _rev: doc._rev, _deleted: true}));
+  this.request({method: 'POST', path: '/_bulk_docs', body: {docs}}, callback);
+};
+
+/**
+ * Purges docs
+ *
+ * `docs` maps ids to lists of revisions, as `_purge` takes them.
+ */
+
+CouchHttpCollection.prototype.purge = function (docs, callback) {
+  if (this.maybeQueueCall('purge', false, arguments))
+    return;
+  this.request({method: 'POST', path: '/_purge', body: docs}, callback);
+};
+
+/**
+ * Compacts the database
+ */
+
+CouchHttpCollection.prototype.compact = function (callback) {
+  if (this.maybeQueueCall('compact', false, arguments))
+    return;
+  this.request({method: 'POST', path: '/_compact', body: {}}, callback);
+};
+
+/**
+ * Removes the indexes of views no longer defined
+ */
+
+CouchHttpCollection.prototype.viewCleanup = function (callback) {
+  if (this.maybeQueueCall('viewCleanup', false, arguments))
+    return;
+  this.request({method: 'POST', path: '/_view_cleanup', body: {}}, callback);
+};
+
+/**
+ * Queries a view.
+ *
+ * @param {String} view `design/view` path
+ * @param {Object} opts query options
+ * @param {Function} callback receives the view response
+ * @api private
+ */
+
+CouchHttpCollection.prototype.view = function (view, opts, callback) {
+  const [design, name] = view.split('/');
+  const path = `/_design/${encodeURIComponent(design)}/_view/${encodeURIComponent(name)}`;
+  this.request(Object.assign({path}, viewRequest(opts)), callback);
+};
+
+/**
+ * Finds one doc using a view
+ */
+
+CouchHttpCollection.prototype.findOneWithView = function (view, opts, callback) {
+  if (this.maybeQueueCall('findOneWithView', true, arguments))
+    return;
+  this.view(view, Object.assign({}, opts, {limit: 1}), (err, res) => err
+    ? callback(err)
+    : callback(null, res.rows.length ? res.rows[0].value : undefined));
+};
+
+/**
+ * Finds using a view
+ */
+
+CouchHttpCollection.prototype.findWithView = function (view, opts, callback) {
+  if (this.maybeQueueCall('findWithView', true, arguments))
+    return;
+  this.view(view, opts, (err, res) => err
+    ? callback(err)
+    : callback(null, res.rows.map(row => row.doc || row.value || row)));
+};
+
+/**
+ * Finds with ids
+ *
+ * An array of ids gives `_all_docs?keys=` style rows.  A deleted doc is
+ * `not_found` unless `opts.returnDeleted` is set, which gives its
+ * tombstone; `opts.rev` asks for a given revision.  Nothing is cached,
+ * so cradle's `opts.noCache` is not needed.
+ */
+
+CouchHttpCollection.prototype.findById = function (ids, opts, callback) {
+  if (this.maybeQueueCall('findById', false, arguments))
+    return;
+
+  if (arguments.length == 2) {
+     callback = opts;
+     opts = undefined;
+  }
+
+  if (Array.isArray(ids)) {
+    return this.request({
+      method: 'POST',
+      path: '/_all_docs',
+      query: {include_docs: true},
+      body: {keys: ids}
+    }, (err, res) => err ? callback(err) : callback(null, res.rows));
+  }
+
+  const rev = opts && opts.rev;
+  this.request({path: docPath(ids), query: rev ? {rev} : undefined}, (err, doc) => {
+    if (err && err.reason === 'deleted' && opts && opts.returnDeleted)
+      return this.tombstone(ids, callback);
+    callback(err, doc);
+  });
+};
+
+/**
+ * Reads the tombstone of a deleted doc.
+ *
+ * @param {String} _id
+ * @param {Function} callback
+ * @api private
+ */
+
+CouchHttpCollection.prototype.tombstone = function (_id, callback) {
+  this.request({path: docPath(_id), query: {open_revs: 'all'}}, (err, leaves) => {
+    if (err)
+      return callback(err);
+    const doc = revision.winner(leaves.filter(leaf => leaf.ok).map(leaf => leaf.ok));
+    callback(doc ? null : new DatabaseError.NotFoundError('missing'), doc);
+  });
+};
+
+CouchHttpCollection.prototype.all = function (options, callback) {
+  if (this.maybeQueueCall('all', false, arguments))
+    return;
+
+  if (arguments.length == 1)
+  {
+     callback = options;
+     options = undefined;
+  }
+
+  this.request(Object.assign({path: '/_all_docs'}, viewRequest(options)),
+               (err, res) => err ? callback(err) : callback(null, res.rows));
+};
+
+/**
+ * Allows temporary views
+ *
+ * Temporary views were removed in CouchDB 2.0.
+ */
+
+CouchHttpCollection.prototype.mapReduce = function (doc, opts, callback) {
+  if (this.maybeQueueCall('mapReduce', true, arguments))
+    return;
+  const query = viewRequest(opts).query;
+  if (opts && opts.keys)
+    query.keys = JSON.stringify(opts.keys);
+  this.request({method: 'POST', path: '/_temp_view', query, body: doc},
+               (err, res) => err ? callback(err) : callback(null, res.rows));
+};
+
+/**
+ * Finds with a Mango query
+ *
+ * `query` is the `_find` request body; the callback gets its response,
+ * `{docs, bookmark, warning}`.  Needs CouchDB 2.0 or later.
+ */
+
+CouchHttpCollection.prototype.findWithSelector = function (query, callback) {
+  if (this.maybeQueueCall('findWithSelector', true, arguments))
+    return;
+  this.request({method: 'POST', path: '/_find', body: query}, callback);
+};
+
+/**
+ * Lists the Mango indexes
+ */
+
+CouchHttpCollection.prototype.getIndexes = function (callback) {
+  if (this.maybeQueueCall('getIndexes', false, arguments))
+    return;
+  this.request({path: '/_index'}, (err, res) => err ? callback(err) : callback(null, res.indexes));
+};
+
+/**
+ * Creates a Mango index
+ *
+ * `index` is the `_index` request body, `{index, ddoc, name, type}`.
+ */
+
+CouchHttpCollection.prototype.ensureIndex = function (index, callback) {
+  if (this.maybeQueueCall('ensureIndex', false, arguments))
+    return;
+  this.request({method: 'POST', path: '/_index', body: index}, callback);
+};
+
+/**
+ * Drops a Mango index
+ */
+
+CouchHttpCollection.prototype.dropIndex = function (ddoc, name, callback) {
+  if (this.maybeQueueCall('dropIndex', false, arguments))
+    return;
+  const design = ddoc.replace(/^_design\//, '');
+  this.request({method: 'DELETE', path: `/_index/${encodeURIComponent(design)}/json/${encodeURIComponent(name)}`}, callback);
+};
+
+/**
+ * Runs an update handler
+ *
+ * A string `body` is passed on as is, anything else as JSON.
+ */
+
+CouchHttpCollection.prototype.update = function (handler, id, query, body, callback) {
+  if (this.maybeQueueCall('update', true, arguments))
+    return;
+  const [design, name] = handler.split('/');
+  let path = `/_design/${encodeURIComponent(design)}/_update/${encodeURIComponent(name)}`;
+  if (id)
+    path += '/' + encodeURIComponent(id);
+  this.request({
+    method: id ? 'PUT' : 'POST',
+    path,
+    query,
+    headers: typeof body === 'string' ? {'Content-Type': 'text/plain'} : undefined,
+    body: body == null ? undefined : body
+  }, callback);
+};
+
+/**
+ * Runs a list function
+ *
+ * `handler` is `design/list/view`, or `design/list/otherdesign/view`
+ * for a view from another design doc.
+ */
+
+CouchHttpCollection.prototype.list = function (handler, query, callback) {
+  if (this.maybeQueueCall('list', true, arguments))
+    return;
+  const [design, ...rest] = handler.split('/');
+  const path = `/_design/${encodeURIComponent(design)}/_list/${rest.map(encodeURIComponent).join('/')}`;
+  this.request(Object.assign({path}, viewRequest(query)), callback);
+};
+
+/**
+ * Lists changes, or follows them when no callback is given
+ *
+ * Options are passed on to `_changes`, except that `doc_ids` are
+ * posted and a `filter` function is run here, over docs fetched with
+ * the changes; `limit` then counts rows before filtering.  The callback
+ * receives `{results, last_seq}`.
+ *
+ * Without a callback a feed is returned instead, long polling the
+ * server and emitting `change` with each row since `since` and then
+ * with each later change until its `stop()` is called.  Failed polls
+ * are retried with a growing delay after emitting `error`; the feed
+ * also emits `error` if the database cannot be opened.
+ */
+
+CouchHttpCollection.prototype.changes = function (opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  if (!callback)
+    return this.follow(opts, new EventEmitter());
+  if (this.maybeQueueCall('changes', false, [opts, callback]))
+    return;
+  this.readChanges(opts, {}, callback);
+};
+
+/**
+ * Requests changes.
+ *
+ * @param {Object} opts `changes` options
+ * @param {Object} extra query parameters overriding `opts`
+ * @param {Function} callback receives `{results, last_seq}`
+ * @return {http.ClientRequest}
+ * @api private
+ */
+
+CouchHttpCollection.prototype.readChanges = function (opts, extra, callback) {
+  const query = Object.assign({}, opts, extra);
+  const filter = typeof opts.filter === 'function' ? opts.filter : null;
+  let body;
+  if (filter) {
+    delete query.filter;
+    query.include_docs = true;
+  }
+  if (query.doc_ids) {
+    body = {doc_ids: query.doc_ids};
+    delete query.doc_ids;
+  }
+  return this.request({method: body ? 'POST' : 'GET', path: '/_changes', query, body}, (err, res) => {
+    if (err || !filter)
+      return callback(err, res);
+    const req = viewserver.request('GET', null, opts);
+    let results;
+    try {
+      results = res.results.filter(row => viewserver.filter(filter, row.doc, req));
+    }
+    catch (e) {
+      return callback(new DatabaseError('render_error', e.message));
+    }
+    if (!opts.include_docs)
+      results.forEach(row => delete row.doc);
+    callback(null, {results, last_seq: res.last_seq});
+  });
+};
+
+/**
+ * Feeds changes since `opts.since`, and then live changes, to `feed`.
+ *
+ * @param {Object} opts `changes` options
+ * @param {EventEmitter} feed
+ * @return {EventEmitter} feed
+ * @api private
+ */
+
+CouchHttpCollection.prototype.follow = function (opts, feed) {
+  let since = opts.since;
+  let delay = MIN_DELAY;
+  let req = null;
+  let timer = null;
+  feed.stop = () => {
+    feed.stopped = true;
+    this.feeds.delete(feed);
+    clearTimeout(timer);
+    req && req.destroy();
+  };
+  const poll = () => {
+    if (feed.stopped)
+      return;
+    this.feeds.add(feed);
+    req = this.readChanges(opts, {feed: 'longpoll', heartbeat: HEARTBEAT, since}, (err, res) => {
+      req = null;
+      if (feed.stopped)
+        return;
+      if (err) {
+        feed.emit('error', err);
+        timer = setTimeout(poll, delay);
+        delay = Math.min(2 * delay, MAX_DELAY);
+        return;
+      }
+      delay = MIN_DELAY;
+      res.results.forEach(row => feed.stopped || feed.emit('change', row));
+      since = res.last_seq;
+      poll();
+    });
+  };
+  this.startWhenOpen(poll, feed);
+  return feed;
+};
+
+/**
+ * Saves an attachment
+ *
+ * `doc` is the doc (or `{id, rev}`) to attach to, which must carry the
+ * current revision unless the doc does not exist yet.  `attachment` is
+ * `{name, contentType, body}` with a Buffer, string or readable stream
+ * as body; `content-type` and `Content-Type` are taken as cradle does.
+ */
+
+CouchHttpCollection.prototype.saveAttachment = function (doc, attachment, callback) {
+  if (this.maybeQueueCall('saveAttachment', false, arguments))
+    return;
+  const [_id, _rev] = idAndRev(doc);
+  const contentType = attachment.contentType || attachment['content-type']
+    || attachment['Content-Type'] || 'text/plain';
+  this.request({
+    method: 'PUT',
+    path: docPath(_id, attachment.name),
+    query: _rev ? {rev: _rev.replace(/"/g, '')} : undefined,
+    headers: {'Content-Type': contentType},
+    body: attachment.body || ''
+  }, callback);
+};
+
+/*!
+ * Builds the stub of an attachment from the headers of its content.
+ */
+
+function stubOf(res, length) {
+  const md5 = res.headers['content-md5'];
+  return {
+    content_type: res.headers['content-type'],
+    length,
+    digest: md5 && 'md5-' + md5,
+    stub: true
+  };
+}
+
+/**
+ * Gets an attachment
+ *
+ * The callback receives the content as a Buffer and a stub made from
+ * the response headers.  Without a callback a readable stream of the
+ * content is returned; it emits `stub` before any data, and `error` if
+ * the doc or attachment does not exist or the database cannot be
+ * opened.
+ */
+
+CouchHttpCollection.prototype.getAttachment = function (_id, name, callback) {
+  if (!callback) {
+    const out = new stream.PassThrough();
+    const start = () => this.client.open({path: this.path + docPath(_id, name)}, (err, res) => {
+      if (err)
+        return out.emit('error', err);
+      if (res.statusCode >= 400) {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => out.emit('error', CouchClient.failure(res, Buffer.concat(chunks))));
+        return;
+      }
+      const length = res.headers['content-length'];
+      out.emit('stub', stubOf(res, length === undefined ? undefined : Number(length)));
+      stream.pipeline(res, out, () => {});
+    });
+    this.startWhenOpen(start, out);
+    return out;
+  }
+  if (this.maybeQueueCall('getAttachment', false, arguments))
+    return;
+  this.client.rawRequest({path: this.path + docPath(_id, name)}, (err, res, body) => {
+    if (err)
+      return callback(err);
+    if (res.statusCode >= 400)
+      return callback(CouchClient.failure(res, body));
+    callback(null, body, stubOf(res, body.length));
+  });
+};
+
+/**
+ * Removes an attachment
+ *
+ * `doc` must carry the current revision.
+ */
+
+CouchHttpCollection.prototype.removeAttachment = function (doc, name, callback) {
+  if (this.maybeQueueCall('removeAttachment', false, arguments))
+    return;
+  const [_id, _rev] = idAndRev(doc);
+  this.request({
+    method: 'DELETE',
+    path: docPath(_id, name),
+    query: {rev: _rev && _rev.replace(/"/g, '')}
+  }, callback);
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = CouchHttpCollection;
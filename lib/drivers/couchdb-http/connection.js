@@ -0,0 +1,82 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseConnection = require('../../connection')
+  , CouchClient = require('./client')
+
+/**
+ * A CouchDB connection implementation speaking HTTP directly.
+ *
+ * Opened with the arguments cradle's `Connection` takes, so it can
+ * replace the `couchdb-cradle` driver as is:
+ *
+ *     mongoose.instance('couchdb-http').connect('http://localhost', 5984, {
+ *       auth: {username: 'admin', password: 'secret'}
+ *     });
+ *
+ * See `client.js` for the options.  Unlike cradle, no documents are
+ * cached, so reads always see the latest revision.
+ *
+ * @inherits Connection
+ * @api private
+ */
+
+function CouchHttpConnection() {
+  MongooseConnection.apply(this, arguments);
+};
+
+/*!
+ * Inherits from Connection.
+ */
+
+CouchHttpConnection.prototype.__proto__ = MongooseConnection.prototype;
+
+/**
+ * Opens the connection to CouchDB.
+ *
+ * @param {Function} fn
+ * @return {Connection} this
+ * @api private
+ */
+
+CouchHttpConnection.prototype.doOpen = function (fn) {
+  try {
+    this.db = new (Function.prototype.bind.apply(CouchClient, Array.prototype.concat.apply([null], this.connectionOpts)));
+  }
+  catch (e) {
+    return fn(e);
+  }
+  fn();
+
+  return this;
+};
+
+/**
+ * Closes the connection
+ *
+ * @param {Function} fn
+ * @return {Connection} this
+ * @api private
+ */
+
+CouchHttpConnection.prototype.doClose = function (fn) {
+  for (var name in this.collections)
+    this.collections[name].onClose();
+  this.db && this.db.close();
+  this.collections = {};
+  this.models = {};
+  this.connectionOpts = null;
+  this.name = null;
+  delete(this.db);
+  delete(this._events)
+
+  fn && fn();
+  return this;
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = CouchHttpConnection;
@@ -0,0 +1,224 @@
+/*!
+ * Module dependencies.
+ */
+
+var fsp = require('fs').promises;
+
+/*!
+ * Lines the changes log may hold before it is compacted, at the least.
+ */
+
+const COMPACT_LINES = 1000;
+
+/**
+ * The changes log of a flat-file collection.
+ *
+ * Each change is appended to `_meta/changes` as a line of JSON with its
+ * update sequence.  The latest change to each doc is kept in memory and
+ * brought up to date from the offset the log was last read to, so
+ * listing changes does not read the whole log again.
+ *
+ * The log is rewritten with only the latest change to each doc once it
+ * holds more than `COMPACT_LINES` lines and twice as many as there are
+ * docs, and when `compact` is called after a purge.  The markers of
+ * purged docs are kept, so that their sequences are not given out
+ * again.
+ *
+ * Other processes may share the log: `append` and `compact` are called
+ * holding the lock `_changes`, and a log compacted since it was last
+ * read is read again from the start.
+ *
+ * @param {String} file
+ * @api private
+ */
+
+function ChangesLog(file) {
+  this.file = file;
+  this.byId = new Map();
+  this.seq = 0;
+  this.ino = null;
+  this.size = 0;
+  this.lines = 0;
+  this.reading = Promise.resolve();
+}
+
+/**
+ * Runs `fn` once the reads and appends before it have completed.
+ *
+ * @param {Function} fn returns a Promise
+ * @return {Promise}
+ * @api private
+ */
+
+ChangesLog.prototype.exclusive = function (fn) {
+  const done = this.reading.then(fn);
+  this.reading = done.catch(() => {});
+  return done;
+};
+
+/**
+ * Reads what was appended to the log since it was last read.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+ChangesLog.prototype.read = function () {
+  return this.exclusive(() => this.refresh());
+};
+
+/**
+ * Brings the latest changes up to date with the log file.  A line still
+ * being appended, or torn by a crash, is left for the next read.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+ChangesLog.prototype.refresh = async function () {
+  let fh;
+  try {
+    fh = await fsp.open(this.file, 'r');
+  }
+  catch (e) {
+    if (e.code !== 'ENOENT')
+      throw e;
+    return;
+  }
+  try {
+    const {ino, size} = await fh.stat();
+    if (ino !== this.ino || size < this.size) {
+      this.byId = new Map();
+      this.ino = ino;
+      this.size = 0;
+      this.lines = 0;
+    }
+    if (size === this.size)
+      return;
+    const buffer = Buffer.alloc(size - this.size);
+    await fh.read(buffer, 0, buffer.length, this.size);
+    const end = buffer.lastIndexOf('\n') + 1;
+    buffer.toString('utf8', 0, end).split('\n').forEach(line => {
+      let change;
+      try {
+        change = JSON.parse(line);
+      }
+      catch (e) {
+        return;
+      }
+      this.apply(change);
+    });
+    this.size += end;
+  }
+  finally {
+    await fh.close();
+  }
+};
+
+/**
+ * Takes a change into the latest changes.
+ *
+ * @param {Object} change
+ * @api private
+ */
+
+ChangesLog.prototype.apply = function (change) {
+  ++this.lines;
+  this.byId.delete(change.id);
+  this.byId.set(change.id, change);
+  this.seq = Math.max(this.seq, change.seq);
+};
+
+/**
+ * Appends a change, giving it the next sequence.
+ *
+ * @param {Object} change `{id, rev}`, with `deleted` or `purged` set
+ * @param {Boolean} durable flush the log to disk
+ * @return {Promise} resolves to the change appended
+ * @api private
+ */
+
+ChangesLog.prototype.append = function (change, durable) {
+  return this.exclusive(async () => {
+    // take up the sequence from changes other processes have appended
+    await this.refresh();
+    change = Object.assign({seq: this.seq + 1}, change);
+    const line = JSON.stringify(change) + '\n';
+    const fh = await fsp.open(this.file, 'a');
+    try {
+      await fh.appendFile(line);
+      if (durable)
+        await fh.sync();
+      if (this.ino === null)
+        this.ino = (await fh.stat()).ino;
+    }
+    finally {
+      await fh.close();
+    }
+    this.apply(change);
+    this.size += Buffer.byteLength(line);
+    if (this.lines > COMPACT_LINES && this.lines > 2 * this.byId.size)
+      await this.rewrite(durable);
+    return change;
+  });
+};
+
+/**
+ * Rewrites the log with only the latest change to each doc.
+ *
+ * @param {Boolean} durable flush the log to disk
+ * @return {Promise}
+ * @api private
+ */
+
+ChangesLog.prototype.compact = function (durable) {
+  return this.exclusive(async () => {
+    await this.refresh();
+    await this.rewrite(durable);
+  });
+};
+
+/*!
+ * Writes the latest changes to a new log put in place of the old one.
+ */
+
+ChangesLog.prototype.rewrite = async function (durable) {
+  const tmp = `${this.file}.${process.pid}`;
+  const data = Array.from(this.byId.values(), change => JSON.stringify(change) + '\n').join('');
+  const fh = await fsp.open(tmp, 'w');
+  try {
+    await fh.writeFile(data);
+    if (durable)
+      await fh.sync();
+    this.ino = (await fh.stat()).ino;
+  }
+  finally {
+    await fh.close();
+  }
+  await fsp.rename(tmp, this.file);
+  this.size = Buffer.byteLength(data);
+  this.lines = this.byId.size;
+};
+
+/**
+ * Lists the latest change to each doc after sequence `since`, in the
+ * order of their sequences, leaving out purged docs unless `purged`.
+ *
+ * Compacting keeps the latest change to each doc, so the changes after
+ * a sequence are the same before and after the log is compacted.
+ *
+ * @param {Number} since
+ * @param {Boolean} [purged] include purged docs
+ * @return {Array}
+ * @api private
+ */
+
+ChangesLog.prototype.since = function (since, purged) {
+  return Array.from(this.byId.values()).filter(change => change.seq > since && (purged || !change.purged));
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = ChangesLog;
@@ -0,0 +1,321 @@
+/*!
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var fsp = require('fs').promises;
+var crypto = require('crypto');
+var stream = require('stream');
+var DatabaseError = require('../../errors/database');
+var viewserver = require('../../viewserver');
+
+/*!
+ * Authenticated encryption parameters.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/*!
+ * Leading bytes of a sealed attachment file.
+ */
+
+const MAGIC = Buffer.from('\0sealed\0');
+
+/**
+ * Encryption at rest for a flat-file connection.
+ *
+ * Opened with the connection's `encryption` option, `{keyId,
+ * keyProvider}`, data is sealed with AES-256-GCM under the key named
+ * `keyId`.  `keyProvider(keyId, callback)` hands back keys, 32 byte
+ * Buffers, by name; sealed data records the name of its key, so data
+ * sealed before a rotation stays readable while the provider still has
+ * the old key.  Keys are asked for once per connection.
+ *
+ * Without the option nothing is sealed and reading sealed data fails
+ * with an `unauthorized` error; data stored in the clear is read as is
+ * either way.
+ *
+ * @param {Object} [options]
+ * @api private
+ */
+
+function Cipher(options) {
+  this.enabled = !!options;
+  this.keys = new Map();
+  if (!options)
+    return;
+  if (typeof options.keyProvider !== 'function')
+    throw new Error('Flat-file encryption needs a keyProvider function');
+  if (typeof options.keyId !== 'string' || !options.keyId)
+    throw new Error('Flat-file encryption needs a keyId string');
+  this.keyId = options.keyId;
+  this.provider = options.keyProvider;
+}
+
+/*!
+ * Error for data that cannot be decrypted.
+ */
+
+function unreadable(reason) {
+  return new DatabaseError.UnauthorizedError(`Unable to decrypt: ${reason}`);
+}
+
+/**
+ * Returns the key named `keyId`.
+ *
+ * @param {String} keyId
+ * @return {Promise} resolves to the key
+ * @api private
+ */
+
+Cipher.prototype.key = function (keyId) {
+  if (!this.enabled)
+    return Promise.reject(unreadable('no encryption key is configured'));
+  let key = this.keys.get(keyId);
+  if (!key) {
+    key = new Promise((resolve, reject) => this.provider(keyId, (err, key) => {
+      if (err)
+        return reject(err);
+      if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH)
+        return reject(new Error(`Key ${JSON.stringify(keyId)} must be a ${KEY_LENGTH} byte Buffer`));
+      resolve(key);
+    }));
+    this.keys.set(keyId, key);
+    key.catch(() => this.keys.delete(keyId));
+  }
+  return key;
+};
+
+/**
+ * Encrypts `data` under the current key.
+ *
+ * @param {String|Buffer} data
+ * @param {String} [aad] authenticated along with the data
+ * @return {Promise} resolves to `{kid, iv, tag, data}`, base64 encoded
+ * @api private
+ */
+
+Cipher.prototype.seal = async function (data, aad) {
+  const key = await this.key(this.keyId);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad)
+    cipher.setAAD(Buffer.from(aad));
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return {
+    kid: this.keyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64')
+  };
+};
+
+/**
+ * Decrypts what `seal` returned.
+ *
+ * @param {Object} sealed
+ * @param {String} [aad]
+ * @return {Promise} resolves to a Buffer
+ * @api private
+ */
+
+Cipher.prototype.unseal = async function (sealed, aad) {
+  const key = await this.key(sealed.kid);
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    if (aad)
+      decipher.setAAD(Buffer.from(aad));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  }
+  catch (e) {
+    throw unreadable(e.message);
+  }
+};
+
+/**
+ * Seals a doc for storage.
+ *
+ * `_id`, `_rev` and `_deleted` stay in the clear, as they already name
+ * files and fill the changes log; the doc is sealed in `_sealed`, bound
+ * to its id.
+ *
+ * @param {Object} doc
+ * @return {Promise} resolves to the object to store
+ * @api private
+ */
+
+Cipher.prototype.sealDoc = async function (doc) {
+  if (!this.enabled)
+    return doc;
+  const stored = {_id: doc._id, _rev: doc._rev};
+  if (doc._deleted)
+    stored._deleted = true;
+  stored._sealed = await this.seal(viewserver.stringify(doc), doc._id);
+  return stored;
+};
+
+/**
+ * Opens a doc stored by `sealDoc`.
+ *
+ * @param {Object} [stored]
+ * @return {Promise} resolves to the doc
+ * @api private
+ */
+
+Cipher.prototype.unsealDoc = async function (stored) {
+  if (!stored || !stored._sealed)
+    return stored;
+  return JSON.parse(await this.unseal(stored._sealed, stored._id));
+};
+
+/**
+ * Serializes `value` as JSON, sealed if encryption is enabled.
+ *
+ * @param {Object} value
+ * @return {Promise} resolves to a String
+ * @api private
+ */
+
+Cipher.prototype.sealJSON = async function (value) {
+  const json = JSON.stringify(value);
+  return this.enabled ? JSON.stringify({_sealed: await this.seal(json)}) : json;
+};
+
+/**
+ * Parses what `sealJSON` returned.
+ *
+ * @param {String} text
+ * @return {Promise} resolves to the value
+ * @api private
+ */
+
+Cipher.prototype.unsealJSON = async function (text) {
+  const value = JSON.parse(text);
+  return value && value._sealed ? JSON.parse(await this.unseal(value._sealed)) : value;
+};
+
+/**
+ * Returns a stream sealing attachment content, or null if encryption is
+ * disabled.
+ *
+ * The sealed file starts with `MAGIC`, the length and name of the key
+ * and the IV, and ends with the authentication tag.
+ *
+ * @return {Promise} resolves to a Transform stream
+ * @api private
+ */
+
+Cipher.prototype.blobCipher = async function () {
+  if (!this.enabled)
+    return null;
+  const key = await this.key(this.keyId);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const kid = Buffer.from(this.keyId);
+  const kidLength = Buffer.alloc(2);
+  kidLength.writeUInt16BE(kid.length);
+  let header = Buffer.concat([MAGIC, kidLength, kid, iv]);
+  const prefix = data => {
+    data = header ? Buffer.concat([header, data]) : data;
+    header = null;
+    return data;
+  };
+  return new stream.Transform({
+    transform(chunk, encoding, done) {
+      done(null, prefix(cipher.update(chunk)));
+    },
+    flush(done) {
+      done(null, prefix(Buffer.concat([cipher.final(), cipher.getAuthTag()])));
+    }
+  });
+};
+
+/*!
+ * Parses the header of a sealed attachment, returning null for content
+ * stored in the clear.
+ */
+
+function blobHeader(buffer) {
+  if (buffer.length < MAGIC.length + 2 || !buffer.subarray(0, MAGIC.length).equals(MAGIC))
+    return null;
+  const start = MAGIC.length + 2;
+  const end = start + buffer.readUInt16BE(MAGIC.length);
+  return {
+    kid: buffer.toString('utf8', start, end),
+    iv: buffer.subarray(end, end + IV_LENGTH),
+    length: end + IV_LENGTH
+  };
+}
+
+/**
+ * Opens the content of an attachment file.
+ *
+ * @param {Buffer} buffer
+ * @return {Promise} resolves to a Buffer
+ * @api private
+ */
+
+Cipher.prototype.openBlob = async function (buffer) {
+  const header = blobHeader(buffer);
+  if (!header)
+    return buffer;
+  const key = await this.key(header.kid);
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, header.iv);
+    decipher.setAuthTag(buffer.subarray(buffer.length - TAG_LENGTH));
+    return Buffer.concat([
+      decipher.update(buffer.subarray(header.length, buffer.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+  }
+  catch (e) {
+    throw unreadable(e.message);
+  }
+};
+
+/**
+ * Streams the content of an attachment file.
+ *
+ * Sealed content is authenticated once it has all been read; the stream
+ * fails then if it was tampered with.
+ *
+ * @param {String} file
+ * @return {Promise} resolves to a Readable stream
+ * @api private
+ */
+
+Cipher.prototype.blobStream = async function (file) {
+  const fh = await fsp.open(file, 'r');
+  let header, size;
+  const tag = Buffer.alloc(TAG_LENGTH);
+  try {
+    size = (await fh.stat()).size;
+    const head = Buffer.alloc(Math.min(size, MAGIC.length + 2 + 0xffff + IV_LENGTH));
+    await fh.read(head, 0, head.length, 0);
+    header = blobHeader(head);
+    if (header)
+      await fh.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+  }
+  finally {
+    await fh.close();
+  }
+  if (!header)
+    return fs.createReadStream(file);
+  const decipher = crypto.createDecipheriv(ALGORITHM, await this.key(header.kid), header.iv);
+  decipher.setAuthTag(tag);
+  const end = size - TAG_LENGTH;
+  const source = end > header.length
+    ? fs.createReadStream(file, {start: header.length, end: end - 1})
+    : stream.Readable.from([]);
+  return stream.pipeline(source, decipher, () => {});
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = Cipher;
@@ -3,9 +3,19 @@
  */
 
 var MongooseCollection = require('../../collection');
+var DatabaseError = require('../../errors/database');
 var fs = require('fs');
 var fsp = require('fs').promises;
-var uuid = require('node-uuid');
+var path = require('path');
+var viewserver = require('../../viewserver');
+var revision = require('../../revision');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var stream = require('stream');
+var LogStore = require('./log');
+var ChangesLog = require('./changes');
+var lockFile = require('./lockfile');
+var async = require('async');
 
 /**
  * A [node-mongodb-native](https://github.com/mongodb/node-mongodb-native) collection implementation.
@@ -18,6 +28,13 @@ var uuid = require('node-uuid');
 
 function FlatFileCollection() {
   this.rootdir = null;
+  this.fanout = 0;
+  this.log = null;
+  this.cipher = null;
+  this.watcher = null;
+  this.changeLog = null;
+  this.feeds = new Set();
+  this.indexes = new Map();
   MongooseCollection.apply(this, arguments);
 }
 
@@ -36,6 +53,12 @@ FlatFileCollection.prototype.__proto__ = MongooseCollection.prototype;
 FlatFileCollection.prototype.onOpen = function (context) {
   if(this.conn && this.conn.db) {
     this.rootdir = context.path;
+    this.fanout = context.fanout;
+    this.log = context.log || null;
+    this.cipher = this.conn.cipher;
+    this.changeLog = context.changes;
+    if (this.conn.db.watch && !this.watcher)
+      this.watch();
   }
   MongooseCollection.prototype.onOpen.call(this);
 };
@@ -47,125 +70,1689 @@ FlatFileCollection.prototype.onOpen = function (context) {
  */
 
 FlatFileCollection.prototype.onClose = function () {
+  if (this.watcher)
+    this.unwatch();
+  if (this.log)
+    this.log.close();
   MongooseCollection.prototype.onClose.call(this);
 };
 
 /**
  * Checks for db existence, creates if necessary.
  *
+ * Queued calls fail with the error if the directory cannot be set up.
+ *
  * @api private
  */
 
-FlatFileCollection.prototype.ensureDb = function(callback) {
-  this.context = {
-    path: `${this.conn.db.rootdir}/${this.name}`
-  };
-  const designPath = `${this.context.path}/_design`;
-  fs.access(designPath, err => {
-    if (err) 
-      fs.mkdir(designPath, {recursive: true}, err => {
+FlatFileCollection.prototype.ensureDb = function(callback) {
+  this.context = {
+    path: `${this.conn.db.rootdir}/${this.name}`,
+    fanout: this.conn.db.fanout || 0,
+    storage: this.conn.db.storage || 'files'
+  };
+  const {path: dir, fanout, storage} = this.context;
+  const options = {durable: !!this.conn.db.fsync, lockTimeout: this.conn.db.lockTimeout};
+  Promise.all([
+    fsp.mkdir(`${dir}/_tmp`, {recursive: true}),
+    fsp.mkdir(`${dir}/_locks`, {recursive: true}),
+    fsp.mkdir(`${dir}/_meta/views`, {recursive: true})
+  ]).then(async () => {
+    // other processes may be opening the collection as well
+    const unlock = await lockFile(`${dir}/_locks/_open`, options.lockTimeout);
+    try {
+      await migrateDesignDir(dir);
+      const layout = await readLayout(dir);
+      if (layout.fanout !== fanout)
+        await migrateLayout(dir, fanout);
+      if (layout.storage !== storage)
+        await convertStorage(dir, storage, fanout, options.durable);
+    }
+    finally {
+      await unlock();
+    }
+    if (storage === 'log') {
+      this.context.log = new LogStore(dir, options);
+      await this.context.log.open();
+    }
+    this.context.changes = new ChangesLog(`${dir}/_meta/changes`);
+    await this.context.changes.read();
+  }).then(() => callback(this.context), err => this.onOpenError(err));
+};
+
+/*!
+ * Moves design docs kept in a `_design/` subdirectory by earlier
+ * versions of this driver to their encoded file names.
+ */
+
+async function migrateDesignDir(dir) {
+  let names;
+  try {
+    names = await fsp.readdir(`${dir}/_design`);
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return;
+    throw e;
+  }
+  for (const name of names)
+    await fsp.rename(`${dir}/_design/${name}`, `${dir}/${encodeId('_design/' + name)}`);
+  await fsp.rmdir(`${dir}/_design`);
+}
+
+/*!
+ * Names of the hashed subdirectories of a sharded layout.
+ */
+
+const SHARD = /^[0-9a-f]{2}$/;
+
+/**
+ * Returns the path, relative to the collection directory, of the file
+ * `name` in a layout with `fanout` levels of subdirectories.
+ *
+ * Each level is named by two hex digits of a digest of `name`, so
+ * documents spread evenly over up to 256 directories per level.
+ *
+ * @param {String} name encoded file name
+ * @param {Number} fanout
+ * @return {String}
+ * @api private
+ */
+
+function shardPath(name, fanout) {
+  if (!fanout)
+    return name;
+  const hash = crypto.createHash('md5').update(name).digest('hex');
+  const dirs = [];
+  for (let i = 0; i < fanout; ++i)
+    dirs.push(hash.substr(2 * i, 2));
+  return `${dirs.join('/')}/${name}`;
+}
+
+/*!
+ * Reads the `{fanout, storage}` layout recorded for a collection
+ * directory; directories without a record are flat and store files.
+ */
+
+async function readLayout(dir) {
+  return Object.assign({fanout: 0, storage: 'files'}, await layoutRecord(dir));
+}
+
+/*!
+ * Reads the layout record of a collection directory as stored.
+ */
+
+async function layoutRecord(dir) {
+  try {
+    return JSON.parse(await fsp.readFile(`${dir}/_meta/layout`, 'utf8'));
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return {};
+    throw e;
+  }
+}
+
+/*!
+ * Records changes to the layout of a collection directory.
+ */
+
+async function writeLayout(dir, changes) {
+  const layout = Object.assign(await layoutRecord(dir), changes);
+  const tmp = `${dir}/_tmp/layout-${process.pid}`;
+  await fsp.mkdir(`${dir}/_tmp`, {recursive: true});
+  await fsp.mkdir(`${dir}/_meta`, {recursive: true});
+  await fsp.writeFile(tmp, JSON.stringify(layout));
+  await fsp.rename(tmp, `${dir}/_meta/layout`);
+}
+
+/**
+ * Converts a collection directory in place to a layout with `fanout`
+ * levels of shard directories.
+ *
+ * Docs and their attachment directories are moved one at a time with
+ * `rename`, wherever they are found, and emptied shard directories are
+ * removed.  The new layout is recorded in `_meta/layout` once all docs
+ * have moved, so an interrupted migration is completed by running it
+ * again.  Collections are migrated when opened with a different
+ * `fanout` connection option, or this can be run while none are open.
+ *
+ * @param {String} dir collection directory
+ * @param {Number} fanout levels of shard directories, 0 for a flat directory
+ * @return {Promise}
+ * @api public
+ */
+
+async function migrateLayout(dir, fanout) {
+  const walk = async prefix => {
+    const entries = await fsp.readdir(path.join(dir, prefix), {withFileTypes: true});
+    for (const entry of entries) {
+      const rel = path.join(prefix, entry.name);
+      if (entry.isDirectory() && SHARD.test(entry.name)) {
+        await walk(rel);
+        await fsp.rmdir(path.join(dir, rel)).catch(e => {
+          if (e.code !== 'ENOTEMPTY' && e.code !== 'EEXIST')
+            throw e;
+        });
+      }
+      else if (entry.isFile() || (entry.isDirectory() && entry.name.endsWith('~att'))) {
+        const name = entry.isFile() ? entry.name : entry.name.slice(0, -'~att'.length);
+        const target = shardPath(name, fanout) + entry.name.slice(name.length);
+        if (target === rel)
+          continue;
+        await fsp.mkdir(path.join(dir, path.dirname(target)), {recursive: true});
+        await fsp.rename(path.join(dir, rel), path.join(dir, target));
+      }
+    }
+  };
+  await walk('');
+  await writeLayout(dir, {fanout});
+}
+
+FlatFileCollection.migrateLayout = migrateLayout;
+
+/**
+ * Converts a collection directory in place to `storage`, `'files'` or
+ * `'log'`.
+ *
+ * The current revision of each doc is copied to the new storage before
+ * the change is recorded in `_meta/layout`, and the old storage is
+ * removed afterwards, so an interrupted conversion is completed by
+ * running it again.  Revision history kept in a log is not carried
+ * over.  Collections are converted when opened with a different
+ * `storage` connection option, or this can be run while none are open.
+ *
+ * @param {String} dir collection directory
+ * @param {String} storage
+ * @param {Number} fanout levels of shard directories of the collection
+ * @param {Boolean} [durable] flush the new storage to disk
+ * @return {Promise}
+ * @api public
+ */
+
+async function convertStorage(dir, storage, fanout, durable) {
+  if (storage !== 'files' && storage !== 'log')
+    throw new Error(`Unknown flat-file storage ${JSON.stringify(storage)}`);
+  const files = await docFiles(dir);
+  if (storage === 'log') {
+    await removeLog(dir);
+    const log = new LogStore(dir, {durable});
+    await log.open();
+    await mapLimit(files, (file, callback) => (async () => {
+      let doc;
+      try {
+        doc = JSON.parse(await fsp.readFile(path.join(dir, file), 'utf8'));
+      }
+      catch (e) {
+        // left in place; reading it again would quarantine it
+        return;
+      }
+      await log.append(doc);
+    })().then(() => callback(), callback));
+    await log.close();
+    await writeLayout(dir, {storage});
+    await Promise.all(files.map(file => fsp.unlink(path.join(dir, file))));
+    return;
+  }
+  const log = new LogStore(dir, {durable});
+  await log.open();
+  const written = new Set();
+  for (const {id} of log.list()) {
+    const file = shardPath(encodeId(id), fanout);
+    const doc = await log.get(id).catch(() => undefined);
+    if (!doc)
+      continue;
+    const tmp = `${dir}/_tmp/convert-${process.pid}`;
+    await fsp.writeFile(tmp, viewserver.stringify(doc));
+    await fsp.mkdir(path.dirname(path.join(dir, file)), {recursive: true});
+    await fsp.rename(tmp, path.join(dir, file));
+    written.add(file);
+  }
+  await log.close();
+  // files left by an interrupted conversion to the log are stale
+  await Promise.all(files.filter(file => !written.has(file)).map(file => fsp.unlink(path.join(dir, file))));
+  await writeLayout(dir, {storage});
+  await removeLog(dir);
+}
+
+FlatFileCollection.convertStorage = convertStorage;
+
+/*!
+ * Removes the log of a collection directory.
+ */
+
+async function removeLog(dir) {
+  let names;
+  try {
+    names = await fsp.readdir(`${dir}/_log`);
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return;
+    throw e;
+  }
+  await Promise.all(names.map(name => fsp.unlink(`${dir}/_log/${name}`)));
+  await fsp.rmdir(`${dir}/_log`);
+}
+
+/*!
+ * Lists the doc files below `dir`, descending into shard directories,
+ * as paths relative to `dir`.
+ */
+
+async function docFiles(dir, prefix = '') {
+  const entries = await fsp.readdir(path.join(dir, prefix), {withFileTypes: true});
+  const nested = await Promise.all(entries.map(entry => {
+    const rel = path.join(prefix, entry.name);
+    if (entry.isFile())
+      return [rel];
+    if (entry.isDirectory() && SHARD.test(entry.name))
+      return docFiles(dir, rel);
+    return [];
+  }));
+  return [].concat(...nested);
+}
+
+/*!
+ * Longest encoded name stored as is; longer ones are hashed.
+ */
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Encodes a document id as a file name.
+ *
+ * Bytes outside `[A-Za-z0-9_.-]` are percent-encoded (as are a leading
+ * `.` and `%` itself), so the name is a single path component that can
+ * neither escape the collection directory nor collide with another id.
+ * Names that would exceed `MAX_NAME_LENGTH` are replaced with `%%` and
+ * a digest of the id; their id is recovered from the stored doc.
+ *
+ * @param {String} _id
+ * @return {String}
+ * @api private
+ */
+
+function encodeId(_id) {
+  const name = encodeURIComponent(_id)
+    .replace(/[!'()*~]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())
+    .replace(/^\./, '%2E');
+  if (name.length <= MAX_NAME_LENGTH)
+    return name;
+  return '%%' + crypto.createHash('sha256').update(_id).digest('hex');
+}
+
+/**
+ * Decodes a file name produced by `encodeId`.
+ *
+ * @param {String} name
+ * @return {String} the id, or null for hashed names
+ * @api private
+ */
+
+function decodeId(name) {
+  return name.startsWith('%%') ? null : decodeURIComponent(name);
+}
+
+FlatFileCollection.encodeId = encodeId;
+FlatFileCollection.decodeId = decodeId;
+
+/**
+ * Returns the path of the file holding `_id`.
+ *
+ * @param {String} _id
+ * @return {String}
+ * @api private
+ */
+
+FlatFileCollection.prototype.file = function (_id) {
+  const rel = shardPath(encodeId(_id), this.fanout);
+  const file = path.join(this.rootdir, rel);
+  if (path.relative(this.rootdir, file) !== rel)
+    throw new Error(`Document id ${JSON.stringify(_id)} escapes the collection directory`);
+  return file;
+};
+
+/**
+ * Atomically replaces `file` with `data`.
+ *
+ * The data is written to a temporary file in `_tmp/` and renamed over
+ * the target, so readers see either the old or the new content.  With
+ * the connection's `fsync` option the file and its directory are also
+ * flushed to disk before the callback is called.
+ *
+ * @param {String} file
+ * @param {String} data
+ * @param {Function} callback
+ * @api private
+ */
+
+FlatFileCollection.prototype.writeFile = function (file, data, callback) {
+  const durable = !!this.conn.db.fsync;
+  const tmp = `${this.rootdir}/_tmp/${process.pid}-${revision.uuid()}`;
+  (async () => {
+    const fh = await fsp.open(tmp, 'w');
+    try {
+      await fh.writeFile(data);
+      if (durable)
+        await fh.sync();
+    }
+    finally {
+      await fh.close();
+    }
+    if (this.fanout)
+      await fsp.mkdir(path.dirname(file), {recursive: true});
+    await fsp.rename(tmp, file);
+    if (durable)
+      await syncDir(path.dirname(file));
+  })().then(() => callback(), err => {
+    fs.unlink(tmp, () => callback(err));
+  });
+};
+
+/*!
+ * Flushes a directory entry table to disk.
+ */
+
+async function syncDir(dir) {
+  const fh = await fsp.open(dir, 'r');
+  try {
+    await fh.sync();
+  }
+  finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Appends a change to the collection's changes log.
+ *
+ * The change is given the next update sequence, under the lock
+ * `_changes` shared with other processes, and handed to the
+ * continuous feeds following the collection.  `_local/` docs are not
+ * recorded, as in CouchDB.
+ *
+ * @param {Object} change `{id, rev}`, with `deleted` set for deletions
+ *   and `purged` for purges
+ * @param {Function} callback
+ * @api private
+ */
+
+FlatFileCollection.prototype.record = function (change, callback) {
+  if (change.id.indexOf('_local/') === 0)
+    return process.nextTick(callback);
+  this.lock('_changes', (err, release) => {
+    if (err)
+      return callback(err);
+    this.changeLog.append(change, !!this.conn.db.fsync).then(change => {
+      release();
+      this.feeds.forEach(feed => feed(change));
+      callback();
+    }, err => {
+      release();
+      callback(err);
+    });
+  });
+};
+
+/**
+ * Compacts the changes log, under the lock `_changes`.
+ *
+ * @param {Function} callback
+ * @api private
+ */
+
+FlatFileCollection.prototype.compactChanges = function (callback) {
+  this.lock('_changes', (err, release) => {
+    if (err)
+      return callback(err);
+    this.changeLog.compact(!!this.conn.db.fsync).then(() => {
+      release();
+      callback();
+    }, err => {
+      release();
+      callback(err);
+    });
+  });
+};
+
+/*!
+ * Milliseconds for which events on a file are gathered before it is
+ * looked at.
+ */
+
+const WATCH_DELAY = 20;
+
+/**
+ * Watches the collection directory for changes made outside the driver.
+ *
+ * Started by the connection's `watch` option.  Doc files created,
+ * modified or deleted by hand, or by tools such as rsync, are recorded
+ * in the changes log, so that changes feeds report them and view
+ * indexes map them again, and reported with an `external` event on the
+ * connection with `{collection, id, rev, type}`, `type` being
+ * `created`, `modified` or `deleted`.  A deleted file is recorded as a
+ * purge.  Files that do not hold a valid doc are quarantined as when
+ * read.  With the log storage, the log is indexed again when it is
+ * changed and the docs whose current revision changed are recorded.
+ *
+ * Writes made through the driver by this process are not reported;
+ * those made by other processes sharing the root are recorded again,
+ * which the changes feed collapses.
+ *
+ * @api private
+ */
+
+FlatFileCollection.prototype.watch = function () {
+  const pending = new Set();
+  let timer = null;
+  this.written = new Map();
+  this.onDisk = this.log ? Promise.resolve() : docFiles(this.rootdir).then(files => new Set(files));
+  this.watcher = fs.watch(this.rootdir, {recursive: !!this.fanout}, (event, name) => {
+    if (!name || !this.watched(String(name)))
+      return;
+    pending.add(String(name));
+    if (!timer)
+      timer = setTimeout(() => {
+        timer = null;
+        const names = Array.from(pending);
+        pending.clear();
+        names.forEach(name => this.noticed(name));
+      }, WATCH_DELAY);
+  });
+  this.watcher.on('error', () => this.unwatch());
+  this.watcher.unref();
+};
+
+/**
+ * Stops watching the collection directory.
+ *
+ * @api private
+ */
+
+FlatFileCollection.prototype.unwatch = function () {
+  this.watcher.close();
+  this.watcher = null;
+};
+
+/*!
+ * Tells whether `name`, relative to the collection directory, is where
+ * a doc would be stored.
+ */
+
+FlatFileCollection.prototype.watched = function (name) {
+  if (this.log)
+    return name === path.join('_log', 'data');
+  const base = path.basename(name);
+  if (!/^%%[0-9a-f]{64}$/.test(base) && encodeId(decodeURIComponentSafe(base)) !== base)
+    return false;
+  return shardPath(base, this.fanout) === name;
+};
+
+/*!
+ * Decodes a percent-encoded name, or returns null if it is malformed.
+ */
+
+function decodeURIComponentSafe(name) {
+  try {
+    return decodeURIComponent(name);
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+/*!
+ * Summarizes a file's stat so that a later change can be told apart.
+ */
+
+function signature(stat) {
+  return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+}
+
+/**
+ * Looks at a watched file that has changed.
+ *
+ * @param {String} name path of the file within the collection directory
+ * @api private
+ */
+
+FlatFileCollection.prototype.noticed = function (name) {
+  if (this.log)
+    return this.noticedLog();
+  const id = decodeId(path.basename(name));
+  if (!id) {
+    // the id of a hashed name is stored in the file
+    return this.load(name, (err, doc) => doc && this.lock(doc._id, (err, release) => err ||
+      this.inspect(name, doc._id).then(release, release)));
+  }
+  this.lock(id, (err, release) => err || this.inspect(name, id).then(release, release));
+};
+
+/**
+ * Records an out of band change to a doc file; the caller holds the
+ * lock on `_id`.
+ *
+ * @param {String} name path of the file within the collection directory
+ * @param {String} _id
+ * @return {Promise}
+ * @api private
+ */
+
+FlatFileCollection.prototype.inspect = async function (name, _id) {
+  const onDisk = await this.onDisk;
+  let sig = null;
+  try {
+    sig = signature(await fsp.stat(path.join(this.rootdir, name)));
+  }
+  catch (e) {
+    if (e.code !== 'ENOENT')
+      throw e;
+  }
+  const known = this.written.get(name);
+  if (known === sig)
+    return;
+  const existed = known !== undefined ? known !== null : onDisk.has(name);
+  const doc = sig && await new Promise(resolve => this.load(name, (err, doc) => resolve(!err && doc)));
+  // a file quarantined by `load` is gone
+  this.written.set(name, doc ? sig : null);
+  if (!doc && !existed)
+    return;
+  const type = !doc ? 'deleted' : existed ? 'modified' : 'created';
+  const change = doc ? {id: _id, rev: doc._rev} : {id: _id, rev: null, purged: true};
+  if (doc && doc._deleted)
+    change.deleted = true;
+  await new Promise((resolve, reject) => this.record(change, err => err ? reject(err) : resolve()));
+  this.conn.emit('external', {collection: this.name, id: _id, rev: change.rev, type});
+};
+
+/**
+ * Indexes a log changed outside the driver and records the docs whose
+ * current revision changed.
+ *
+ * @api private
+ */
+
+FlatFileCollection.prototype.noticedLog = function () {
+  const current = () => new Map(this.log.list().map(entry => [entry.id, entry]));
+  let before, after;
+  this.log.exclusive(async () => {
+    // appends of this process are indexed by now
+    before = current();
+    await this.log.refresh(false);
+    after = current();
+  }).then(async () => {
+    const ids = new Set(Array.from(before.keys()).concat(Array.from(after.keys())));
+    for (const id of ids) {
+      const was = before.get(id);
+      const now = after.get(id);
+      if (was && now && was.rev === now.rev)
+        continue;
+      const change = now ? {id, rev: now.rev} : {id, rev: null, purged: true};
+      if (now && now.deleted)
+        change.deleted = true;
+      await new Promise((resolve, reject) => this.record(change, err => err ? reject(err) : resolve()));
+      this.conn.emit('external', {collection: this.name, id, rev: change.rev, type: !now ? 'deleted' : was ? 'modified' : 'created'});
+    }
+  }, () => {});
+};
+
+/**
+ * Moves an unparseable file out of the collection and reports it.
+ *
+ * The file is renamed into `_quarantine/` and a `corrupt` event is
+ * emitted on the connection with the id, the quarantined path and the
+ * parse error.  Calls back with a `CorruptDocumentError`.
+ *
+ * @param {String} name path of the file within the collection directory
+ * @param {Error} error
+ * @param {Function} callback receives the error
+ * @api private
+ */
+
+FlatFileCollection.prototype.quarantine = function (name, error, callback) {
+  const dir = `${this.rootdir}/_quarantine`;
+  const base = path.basename(name);
+  const target = `${dir}/${base}.${Date.now()}`;
+  const report = {error: 'corrupt', reason: error.message, id: decodeId(base) || base, path: target};
+  fs.mkdir(dir, {recursive: true}, () => {
+    fs.rename(`${this.rootdir}/${name}`, target, err => {
+      if (err)
+        report.path = undefined;
+      this.conn.emit('corrupt', Object.assign({collection: this.name}, report));
+      callback(DatabaseError.from(report));
+    });
+  });
+};
+
+/**
+ * Serializes operations on a document id.
+ *
+ * Operations within this process are queued, and each then takes the
+ * lock file `_locks/<id>` shared with other processes using the same
+ * root (see `lockfile.js`).  `fn` is called with an error, or null and a
+ * `release` function, once all operations previously queued for `_id`
+ * have released.
+ *
+ * @param {String} _id
+ * @param {Function} fn
+ * @api private
+ */
+
+FlatFileCollection.prototype.lock = function (_id, fn) {
+  this.locks = this.locks || new Map();
+  const waiting = this.locks.get(_id);
+  if (waiting)
+    return waiting.push(fn);
+  this.locks.set(_id, []);
+  const next = () => {
+    const fn = this.locks.get(_id).shift();
+    if (fn)
+      take(fn);
+    else
+      this.locks.delete(_id);
+  };
+  const take = fn => lockFile(`${this.rootdir}/_locks/${encodeId(_id)}`, this.conn.db.lockTimeout).then(
+    unlock => fn(null, () => unlock().then(next, next)),
+    err => {
+      next();
+      fn(err);
+    });
+  take(fn);
+};
+
+/**
+ * Runs `fn` holding the lock `name`, shared with other processes using
+ * the same root.
+ *
+ * @param {String} name
+ * @param {Function} fn
+ * @api private
+ */
+
+FlatFileCollection.prototype.exclusive = function (name, fn) {
+  if (this.maybeQueueCall('exclusive', false, arguments))
+    return;
+  // no doc id starts with `_lock/`
+  this.lock(`_lock/${name}`, fn);
+};
+
+/**
+ * Reads and parses a stored doc.
+ *
+ * @param {String} _id
+ * @param {Function} callback receives the doc, or undefined if absent
+ * @api private
+ */
+
+FlatFileCollection.prototype.read = function (_id, callback) {
+  if (this.log)
+    return this.readRevision(_id, undefined, callback);
+  this.load(shardPath(encodeId(_id), this.fanout), callback);
+};
+
+/**
+ * Reads a revision of a stored doc.
+ *
+ * The log storage keeps the revisions written since it was last
+ * compacted; files only keep the current one.
+ *
+ * @param {String} _id
+ * @param {String} [rev] defaults to the current revision
+ * @param {Function} callback receives the doc, or undefined if absent
+ * @api private
+ */
+
+FlatFileCollection.prototype.readRevision = function (_id, rev, callback) {
+  if (!this.log)
+    return this.read(_id, (err, doc) => callback(err, doc && (rev === undefined || doc._rev === rev) ? doc : undefined));
+  this.log.get(_id, rev).then(stored => this.cipher.unsealDoc(stored)).then(doc => callback(null, doc), err => {
+    if (err.error === 'corrupt')
+      this.conn.emit('corrupt', {collection: this.name, error: err.error, reason: err.reason, id: err.id});
+    callback(err);
+  });
+};
+
+/**
+ * Stores the current revision of a doc.
+ *
+ * @param {String} _id
+ * @param {Object} doc
+ * @param {Function} callback
+ * @api private
+ */
+
+FlatFileCollection.prototype.put = function (_id, doc, callback) {
+  this.cipher.sealDoc(doc).then(stored => {
+    if (this.log)
+      return this.log.append(stored).then(() => callback(), callback);
+    const file = this.file(_id);
+    this.writeFile(file, viewserver.stringify(stored), err => {
+      if (err || !this.watcher)
+        return callback(err);
+      fs.stat(file, (err, stat) => {
+        if (!err)
+          this.written.set(path.relative(this.rootdir, file), signature(stat));
+        callback();
+      });
+    });
+  }, callback);
+};
+
+/**
+ * Drops a stored doc.
+ *
+ * @param {String} _id
+ * @return {Promise}
+ * @api private
+ */
+
+FlatFileCollection.prototype.drop = async function (_id) {
+  if (this.log)
+    return this.log.purge(_id);
+  const file = this.file(_id);
+  await fsp.unlink(file);
+  if (this.watcher)
+    this.written.set(path.relative(this.rootdir, file), null);
+  if (this.conn.db.fsync)
+    await syncDir(path.dirname(file));
+};
+
+/*!
+ * Docs read or written at once when handling many, keeping within the
+ * limit of open files.
+ */
+
+const READ_CONCURRENCY = 64;
+
+/*!
+ * Maps `items` through `fn (item, callback)`, `READ_CONCURRENCY` at a
+ * time, resolving to the results in order.
+ */
+
+function mapLimit(items, fn) {
+  return new Promise((resolve, reject) => async.mapLimit(Array.from(items), READ_CONCURRENCY, fn,
+    (err, res) => err ? reject(err) : resolve(res)));
+}
+
+/**
+ * Lists the current revision of each stored doc, tombstones included.
+ *
+ * Corrupt docs are left out.
+ *
+ * @param {Boolean} includeDocs read the docs as well
+ * @return {Promise} resolves to `{id, rev, deleted, doc}` entries
+ * @api private
+ */
+
+FlatFileCollection.prototype.stored = async function (includeDocs) {
+  if (this.log && !includeDocs)
+    return this.log.list();
+  const entry = (file, callback) => (err, doc) => {
+    if (err && err.error !== 'corrupt')
+      return callback(err);
+    if (!doc)
+      return callback();
+    const id = file && decodeId(path.basename(file)) || doc._id;
+    callback(null, {id, rev: doc._rev, deleted: !!doc._deleted, doc});
+  };
+  const read = this.log
+    ? ({id}, callback) => this.read(id, entry(null, callback))
+    : (file, callback) => this.load(file, entry(file, callback));
+  const stored = this.log ? this.log.list() : await docFiles(this.rootdir);
+  const found = await mapLimit(stored, read);
+  return found.filter(entry => entry);
+};
+
+/*!
+ * Checks a parsed file holds a doc stored under its name.
+ */
+
+function validate(doc, name) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc))
+    throw new Error('Document is not a JSON object');
+  if (typeof doc._id !== 'string' || encodeId(doc._id) !== name)
+    throw new Error(`Document id ${JSON.stringify(doc._id)} does not match its file name`);
+  if (doc._rev !== undefined && typeof doc._rev !== 'string')
+    throw new Error('Document revision is not a string');
+}
+
+/**
+ * Reads and parses the doc stored in file `name`.
+ *
+ * @param {String} name path of the file within the collection directory
+ * @param {Function} callback receives the doc, or undefined if absent
+ * @api private
+ */
+
+FlatFileCollection.prototype.load = function (name, callback) {
+  fs.readFile(`${this.rootdir}/${name}`, (err, content) => {
+    if (err)
+      return err.code === 'ENOENT' ? callback(null, undefined) : callback(err);
+    let doc;
+    try {
+      doc = JSON.parse(content);
+      validate(doc, path.basename(name));
+    }
+    catch (e) {
+      return this.quarantine(name, e, callback);
+    }
+    this.cipher.unsealDoc(doc).then(doc => callback(null, doc), callback);
+  });
+};
+
+/**
+ * Writes a doc under the per-id lock.
+ *
+ * A doc without `_rev` replaces the stored one only if `overwrite` is
+ * set, as cradle's save does; a stale `_rev` fails with a `conflict`
+ * error.
+ *
+ * @param {Object} doc
+ * @param {Boolean} overwrite
+ * @param {Function} callback receives `{ok, id, rev}`
+ * @api private
+ */
+
+FlatFileCollection.prototype.write = function (doc, overwrite, callback) {
+  const _id = doc._id || revision.uuid();
+  const invalid = DatabaseError.from(revision.checkId(_id));
+  if (invalid)
+    return process.nextTick(() => callback(invalid));
+  this.lock(_id, (err, release) => err ? callback(err) : this.commit(_id, doc, overwrite, (err, res) => {
+    release();
+    callback(err, res);
+  }));
+};
+
+/**
+ * Writes a doc; the caller holds the lock on `_id`.
+ *
+ * Inline attachments (with base64 `data`) are stored as sidecar files
+ * and replaced by stubs, stubs are checked against the stored doc and
+ * sidecar files the new revision no longer refers to are removed.
+ *
+ * @param {String} _id
+ * @param {Object} doc
+ * @param {Boolean} overwrite
+ * @param {Function} callback receives `{ok, id, rev}`
+ * @api private
+ */
+
+FlatFileCollection.prototype.commit = function (_id, doc, overwrite, callback) {
+  this.read(_id, (err, current) => {
+    // a corrupt doc has been quarantined; write as if it were absent
+    if (err && err.error === 'corrupt')
+      err = null;
+    if (err)
+      return callback(err);
+    const stored = current && !current._deleted ? current._attachments : undefined;
+    const fail = err => {
+      // drop content stored for the failed write
+      this.collectAttachments(_id, stored).then(() => callback(err), () => callback(err));
+    };
+    err = DatabaseError.from(revision.check(current, doc, overwrite));
+    if (err)
+      return fail(err);
+    const content = Object.assign({_id}, doc);
+    const revpos = current && current._rev ? parseInt(current._rev, 10) + 1 : 1;
+    this.attachStubs(_id, content, current, revpos).then(() => {
+      content._rev = revision.next(content, current && current._rev);
+      return new Promise((resolve, reject) => this.put(_id, content, err => err ? reject(err) : resolve()));
+    }).then(() => this.collectAttachments(_id, content._attachments)).then(() => {
+      const change = {id: _id, rev: content._rev};
+      if (content._deleted)
+        change.deleted = true;
+      this.record(change, err => {
+        if (err)
+          callback(err);
+        else
+          callback(null, {ok: true, id: _id, rev: content._rev});
+      });
+    }, fail);
+  });
+};
+
+/*!
+ * Marks an attachment entry whose content `saveAttachment` has already
+ * stored.
+ */
+
+const STORED = Symbol('stored');
+
+/**
+ * Replaces the `_attachments` entries of `content` with stubs.
+ *
+ * @param {String} _id
+ * @param {Object} content doc about to be written
+ * @param {Object} [current] stored doc
+ * @param {Number} revpos generation of the revision being written
+ * @return {Promise}
+ * @api private
+ */
+
+FlatFileCollection.prototype.attachStubs = async function (_id, content, current, revpos) {
+  const attachments = content._attachments;
+  if (!attachments || !Object.keys(attachments).length) {
+    delete content._attachments;
+    return;
+  }
+  const stored = current && !current._deleted && current._attachments || {};
+  const stubs = {};
+  for (const name of Object.keys(attachments)) {
+    const att = attachments[name];
+    if (att[STORED] || att.data !== undefined) {
+      const blob = att[STORED] ? att : await new Promise((resolve, reject) =>
+        this.storeBlob(_id, Buffer.from(att.data, 'base64'), (err, blob) => err ? reject(err) : resolve(blob)));
+      stubs[name] = {
+        content_type: att.content_type || 'application/octet-stream',
+        revpos,
+        digest: blob.digest,
+        length: blob.length,
+        stub: true
+      };
+    }
+    else if (att.stub && stored[name])
+      stubs[name] = stored[name];
+    else
+      throw new DatabaseError('missing_stub', `Stub for attachment ${name} does not match a stored attachment`);
+  }
+  content._attachments = stubs;
+};
+
+/**
+ * Returns the directory holding the attachments of `_id`.
+ *
+ * It sits next to the doc's file; `~` is always encoded in file names,
+ * so it cannot clash with a document.
+ *
+ * @param {String} _id
+ * @return {String}
+ * @api private
+ */
+
+FlatFileCollection.prototype.attachmentsDir = function (_id) {
+  return `${this.file(_id)}~att`;
+};
+
+/*!
+ * Name of the sidecar file holding content with `digest`.
+ */
+
+function blobName(digest) {
+  return Buffer.from(digest.slice('md5-'.length), 'base64').toString('hex');
+}
+
+/**
+ * Stores attachment content in the sidecar directory of `_id`.
+ *
+ * Files are named by the digest of their content and written through
+ * `_tmp/`, so a stored file is complete and never changes.
+ *
+ * @param {String} _id
+ * @param {Buffer|String|Stream} body
+ * @param {Function} callback receives `{digest, length}`
+ * @api private
+ */
+
+FlatFileCollection.prototype.storeBlob = function (_id, body, callback) {
+  const durable = !!this.conn.db.fsync;
+  const dir = this.attachmentsDir(_id);
+  const tmp = `${this.rootdir}/_tmp/${process.pid}-${revision.uuid()}`;
+  const md5 = crypto.createHash('md5');
+  let length = 0;
+  const source = body instanceof stream.Readable ? body : stream.Readable.from([Buffer.from(body)]);
+  const count = new stream.Transform({
+    transform(chunk, encoding, done) {
+      md5.update(chunk);
+      length += chunk.length;
+      done(null, chunk);
+    }
+  });
+  (async () => {
+    const seal = await this.cipher.blobCipher();
+    await stream.promises.pipeline(source, count, ...(seal ? [seal] : []), fs.createWriteStream(tmp));
+    if (durable) {
+      const fh = await fsp.open(tmp, 'r');
+      try {
+        await fh.sync();
+      }
+      finally {
+        await fh.close();
+      }
+    }
+    const digest = 'md5-' + md5.digest('base64');
+    await fsp.mkdir(dir, {recursive: true});
+    await fsp.rename(tmp, `${dir}/${blobName(digest)}`);
+    if (durable)
+      await syncDir(dir);
+    return {digest, length};
+  })().then(blob => callback(null, blob), err => {
+    fs.unlink(tmp, () => callback(err));
+  });
+};
+
+/**
+ * Removes the sidecar files of `_id` not used by `attachments`.
+ *
+ * @param {String} _id
+ * @param {Object} [attachments] stubs of the stored doc
+ * @return {Promise}
+ * @api private
+ */
+
+FlatFileCollection.prototype.collectAttachments = async function (_id, attachments) {
+  const dir = this.attachmentsDir(_id);
+  const used = new Set(Object.values(attachments || {}).map(stub => blobName(stub.digest)));
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return;
+    throw e;
+  }
+  await Promise.all(names.filter(name => !used.has(name)).map(name => fsp.unlink(`${dir}/${name}`)));
+  if (!used.size)
+    await fsp.rmdir(dir);
+};
+
+/*!
+ * Runs `op` for each doc, collecting `_bulk_docs` style result rows.
+ */
+
+function bulk(docs, op, callback) {
+  mapLimit(docs, (doc, done) => op(doc, (err, res) => {
+    if (err)
+      done(null, {id: doc._id, error: err.error || 'unknown_error', reason: err.reason || err.message});
+    else
+      done(null, res);
+  })).then(res => callback(null, res));
+}
+
+/**
+ * Inserts a doc
+ */
+
+FlatFileCollection.prototype.insert = function (doc, opts, callback) {
+  if (this.maybeQueueCall('insert', false, arguments))
+    return;
+  this.write(doc, true, callback);
+};
+
+/**
+ * inserts docs in bulk
+ *
+ * Like `_bulk_docs`, updates must carry the current `_rev`; failures
+ * are reported per doc in the results rather than as an error.
+ */
+
+FlatFileCollection.prototype.bulkInsert = function (docs, callback) {
+  if (this.maybeQueueCall('bulkInsert', false, arguments))
+    return;
+  bulk(docs, (doc, done) => this.write(doc, false, done), callback);
+};
+
+/**
+ * removes a doc
+ *
+ * `_rev` must be the current revision of the doc.  A tombstone with
+ * `_deleted` set and a new revision replaces the doc, as in CouchDB;
+ * `purge` drops it.
+ */
+
+FlatFileCollection.prototype.remove = function (_id, _rev, callback) {
+  if (this.maybeQueueCall('remove', false, arguments))
+    return;
+  this.write({_id, _rev, _deleted: true}, false, callback);
+};
+
+/**
+ * removes docs in bulk
+ */
+
+FlatFileCollection.prototype.bulkRemove = function (docs, callback) {
+  if (this.maybeQueueCall('bulkRemove', false, arguments))
+    return;
+  bulk(docs, (doc, done) => this.write({_id: doc._id, _rev: doc._rev, _deleted: true}, false, done), callback);
+};
+
+/**
+ * Purges docs
+ *
+ * Like `_purge`, `docs` maps ids to lists of revisions; a doc whose
+ * current revision is listed is dropped from the store along with its
+ * attachments, whether it is live or a tombstone, and disappears from
+ * the changes feed.  The callback receives `{purged}` with the
+ * revisions dropped for each id.  Called with just a callback, every
+ * tombstone is purged.  The changes log is compacted afterwards.
+ */
+
+FlatFileCollection.prototype.purge = function (docs, callback) {
+  if (this.maybeQueueCall('purge', false, arguments))
+    return;
+  if (typeof docs === 'function') {
+    callback = docs;
+    return this.stored(false).then(found => {
+      const tombstones = {};
+      found.forEach(entry => {
+        if (entry.deleted)
+          tombstones[entry.id] = [entry.rev];
+      });
+      this.purge(tombstones, callback);
+    }, callback);
+  }
+  const purged = {};
+  mapLimit(Object.keys(docs), (_id, callback) =>
+    this.lock(_id, (err, release) => err ? callback(err) : this.read(_id, (err, current) => {
+      const done = err => {
+        release();
+        callback(err);
+      };
+      if (err && err.error !== 'corrupt')
+        return done(err);
+      if (!current || docs[_id].indexOf(current._rev) === -1)
+        return done();
+      this.drop(_id).then(() => this.collectAttachments(_id)).then(() => new Promise((resolve, reject) =>
+        this.record({id: _id, rev: current._rev, purged: true}, err => err ? reject(err) : resolve())
+      )).then(() => {
+        purged[_id] = [current._rev];
+        done();
+      }, done);
+    }))
+  ).then(() => Object.keys(purged).length && new Promise((resolve, reject) =>
+    // the changes purged docs leave behind are dropped
+    this.compactChanges(err => err ? reject(err) : resolve())
+  )).then(() => callback(null, {purged}), callback);
+};
+
+/**
+ * Compacts the collection
+ *
+ * With the log storage, the log is rewritten with only the current
+ * revision of each doc, tombstones included; earlier revisions can no
+ * longer be read afterwards.  Files hold only current revisions, so
+ * there is nothing to compact.  The callback receives `{ok: true}`.
+ */
+
+FlatFileCollection.prototype.compact = function (callback) {
+  if (this.maybeQueueCall('compact', false, arguments))
+    return;
+  (this.log ? this.log.compact() : Promise.resolve())
+    .then(() => callback(null, {ok: true}), callback);
+};
+
+/**
+ * Re-encrypts the collection under the current key
+ *
+ * Docs, with all revisions the log storage keeps, and attachments are
+ * sealed again under the connection's `encryption.keyId`, and view
+ * indexes are dropped to be rebuilt, so that the keys used before can
+ * be retired once this completes.  Data stored before encryption was
+ * enabled is encrypted.  Revisions are left as they are and no change
+ * is recorded.  The callback receives `{ok: true}`.
+ */
+
+FlatFileCollection.prototype.rotateKey = function (callback) {
+  if (this.maybeQueueCall('rotateKey', false, arguments))
+    return;
+  if (!this.cipher.enabled)
+    return process.nextTick(() => callback(new DatabaseError('bad_request', 'Encryption is not enabled')));
+  (async () => {
+    if (this.log)
+      await this.log.rewrite(true, async stored => this.cipher.sealDoc(await this.cipher.unsealDoc(stored)));
+    for (const {id} of await this.stored(false)) {
+      await new Promise((resolve, reject) => this.lock(id, (err, release) => {
         if (err)
-          throw new Error(err);
-        callback(this.context);
+          return reject(err);
+        this.reseal(id).then(() => {
+          release();
+          resolve();
+        }, err => {
+          release();
+          reject(err);
+        });
+      }));
+    }
+    const dir = `${this.rootdir}/_meta/views`;
+    this.indexes.clear();
+    await Promise.all((await fsp.readdir(dir)).map(name => fsp.unlink(`${dir}/${name}`)));
+  })().then(() => callback(null, {ok: true}), callback);
+};
+
+/**
+ * Seals a doc stored as a file and its attachments again under the
+ * current key; the caller holds the lock on `_id`.
+ *
+ * @param {String} _id
+ * @return {Promise}
+ * @api private
+ */
+
+FlatFileCollection.prototype.reseal = async function (_id) {
+  const doc = await new Promise((resolve, reject) => this.read(_id, (err, doc) => err ? reject(err) : resolve(doc)));
+  if (!doc)
+    return;
+  if (!this.log)
+    await new Promise((resolve, reject) => this.put(_id, doc, err => err ? reject(err) : resolve()));
+  for (const stub of Object.values(doc._attachments || {})) {
+    const file = `${this.attachmentsDir(_id)}/${blobName(stub.digest)}`;
+    const body = await this.cipher.openBlob(await fsp.readFile(file));
+    const tmp = `${this.rootdir}/_tmp/${process.pid}-${revision.uuid()}`;
+    await stream.promises.pipeline(stream.Readable.from([body]), await this.cipher.blobCipher(), fs.createWriteStream(tmp));
+    await fsp.rename(tmp, file);
+  }
+};
+
+/*!
+ * Takes the id and rev from a doc, a `{id, rev}` result or an id.
+ */
+
+function idAndRev(doc) {
+  if (typeof doc === 'string')
+    return [doc, undefined];
+  return [doc._id || doc.id, doc._rev || doc.rev];
+}
+
+/**
+ * Saves an attachment
+ *
+ * `doc` is the doc (or `{id, rev}`) to attach to, which must carry the
+ * current revision unless the doc does not exist yet.  `attachment` is
+ * `{name, contentType, body}` with a Buffer, string or readable stream
+ * as body; `content-type` and `Content-Type` are taken as cradle does.
+ */
+
+FlatFileCollection.prototype.saveAttachment = function (doc, attachment, callback) {
+  if (this.maybeQueueCall('saveAttachment', false, arguments))
+    return;
+  const [_id, _rev] = idAndRev(doc);
+  const invalid = DatabaseError.from(revision.checkId(_id));
+  if (invalid)
+    return process.nextTick(() => callback(invalid));
+  const contentType = attachment.contentType || attachment['content-type']
+    || attachment['Content-Type'] || 'text/plain';
+  this.lock(_id, (err, release) => {
+    if (err)
+      return callback(err);
+    const done = (err, res) => {
+      release();
+      callback(err, res);
+    };
+    this.storeBlob(_id, attachment.body || '', (err, blob) => {
+      if (err)
+        return done(err);
+      this.read(_id, (err, current) => {
+        if (err && err.error !== 'corrupt')
+          return done(err);
+        const content = current && !current._deleted ? Object.assign({}, current) : {_id};
+        content._rev = _rev;
+        content._attachments = Object.assign({}, content._attachments);
+        content._attachments[attachment.name] = Object.assign({[STORED]: true, content_type: contentType}, blob);
+        this.commit(_id, content, false, done);
       });
-    else
-      callback(this.context);
+    });
   });
 };
 
 /**
- * Inserts a doc
+ * Gets an attachment
+ *
+ * The callback receives the content as a Buffer and the attachment's
+ * stub.  Without a callback a readable stream of the content is
+ * returned; it emits `stub` before any data, and `error` if the doc or
+ * attachment does not exist or the collection cannot be opened.
  */
 
-FlatFileCollection.prototype.insert = function (doc, opts, callback) {
-  if (this.maybeQueueCall('insert', false, arguments))
+FlatFileCollection.prototype.getAttachment = function (_id, name, callback) {
+  if (!callback) {
+    const out = new stream.PassThrough();
+    const start = () => this.findAttachment(_id, name, (err, file, stub) => {
+      if (err)
+        return out.emit('error', err);
+      this.cipher.blobStream(file).then(source => {
+        out.emit('stub', stub);
+        stream.pipeline(source, out, () => {});
+      }, err => out.emit('error', err));
+    });
+    this.startWhenOpen(start, out);
+    return out;
+  }
+  if (this.maybeQueueCall('getAttachment', false, arguments))
+    return;
+  this.findAttachment(_id, name, (err, file, stub) => {
+    if (err)
+      return callback(err);
+    fs.readFile(file, (err, body) => err
+      ? callback(err)
+      : this.cipher.openBlob(body).then(body => callback(null, body, stub), callback));
+  });
+};
+
+/**
+ * Finds the sidecar file of an attachment.
+ *
+ * @param {String} _id
+ * @param {String} name
+ * @param {Function} callback receives the file and the attachment's stub
+ * @api private
+ */
+
+FlatFileCollection.prototype.findAttachment = function (_id, name, callback) {
+  this.findById(_id, (err, doc) => {
+    if (err)
+      return callback(err);
+    const stub = doc._attachments && doc._attachments[name];
+    if (!stub)
+      return callback(new DatabaseError.NotFoundError('Document is missing attachment'));
+    callback(null, `${this.attachmentsDir(_id)}/${blobName(stub.digest)}`, stub);
+  });
+};
+
+/**
+ * Removes an attachment
+ *
+ * `doc` must carry the current revision.
+ */
+
+FlatFileCollection.prototype.removeAttachment = function (doc, name, callback) {
+  if (this.maybeQueueCall('removeAttachment', false, arguments))
     return;
-  const _id = doc._id || uuid();
-  const content = Object.assign({_id}, doc);
-  fs.writeFile(`${this.rootdir}/${_id}`, JSON.stringify(content), err => {
+  const [_id, _rev] = idAndRev(doc);
+  this.lock(_id, (err, release) => err ? callback(err) : this.read(_id, (err, current) => {
+    const done = (err, res) => {
+      release();
+      callback(err, res);
+    };
+    if (err)
+      return done(err);
+    if (!current || !current._attachments || !current._attachments[name])
+      return done(new DatabaseError.NotFoundError('Document is missing attachment'));
+    const content = Object.assign({}, current, {_rev});
+    content._attachments = Object.assign({}, current._attachments);
+    delete content._attachments[name];
+    this.commit(_id, content, false, done);
+  }));
+};
+
+/**
+ * Runs a view query against the view's index.
+ *
+ * Only the docs included in the response are read.
+ *
+ * @param {String} view `design/view` path
+ * @param {Object} opts query options
+ * @param {Function} callback receives the view response
+ * @api private
+ */
+
+FlatFileCollection.prototype.view = function (view, opts, callback) {
+  const [designId, name] = viewserver.parsePath(view);
+  this.findById(designId, (err, design) => {
+    if (err)
+      return callback(err);
+    if (!design.views || !design.views[name])
+      return callback(new DatabaseError.NotFoundError('missing_named_view'));
+    const def = design.views[name];
+    this.index(def.map, (err, rows) => {
+      if (err)
+        return callback(err);
+      // a first pass finds the ids of the docs to include
+      const wanted = new Set();
+      let res;
+      try {
+        res = viewserver.queryRows(rows, def, opts, id => {
+          wanted.add(id);
+        });
+      }
+      catch (e) {
+        return callback(DatabaseError.from(e));
+      }
+      if (!wanted.size)
+        return callback(null, JSON.parse(JSON.stringify(res)));
+      mapLimit(wanted, (id, done) =>
+        this.read(id, (err, doc) => err && err.error !== 'corrupt' ? done(err) : done(null, [id, doc]))
+      ).then(docs => {
+        docs = new Map(docs);
+        res = viewserver.queryRows(rows, def, opts, id => docs.get(id));
+        callback(null, JSON.parse(JSON.stringify(res)));
+      }, callback);
+    });
+  });
+};
+
+/**
+ * Brings the index of a map function up to date and returns its rows.
+ *
+ * Indexes are kept in `_meta/views/`, named by a digest of the map
+ * function so that a changed view gets a new index.  A missing index is
+ * built from all docs; after that only the docs changed after the
+ * update sequence the index was last brought up to are mapped again.
+ *
+ * @param {String|Function} map
+ * @param {Function} callback receives the rows ordered by key and id
+ * @api private
+ */
+
+FlatFileCollection.prototype.index = function (map, callback) {
+  const hash = crypto.createHash('sha256').update(String(map)).digest('hex');
+  this.lock(`_meta/views/${hash}`, (err, release) => {
     if (err)
+      return callback(err);
+    (async () => {
+      const log = this.changeLog;
+      await log.read();
+      let index = this.indexes.get(hash) || await this.loadIndex(hash);
+      // a log started again has sequences the index has not seen
+      if (!index || index.seq > log.seq)
+        index = await this.buildIndex(map);
+      const changes = log.since(index.seq, true);
+      const seq = changes.reduce((seq, change) => Math.max(seq, change.seq), index.seq);
+      if (changes.length) {
+        const ids = new Set(changes.map(change => change.id));
+        const mapped = await mapLimit(ids, (id, done) =>
+          this.read(id, (err, doc) => err && err.error !== 'corrupt'
+            ? done(err)
+            : done(null, [id, doc && !doc._deleted ? viewserver.mapDoc(doc, map) : []]))
+        );
+        mapped.forEach(([id, pairs]) => pairs.length ? index.docs.set(id, pairs) : index.docs.delete(id));
+        index.rows = index.rows.filter(row => !ids.has(row.id))
+          .concat(indexRows(mapped))
+          .sort(viewserver.compareRows);
+      }
+      if (index.seq !== seq || index.dirty) {
+        index.seq = seq;
+        const data = await this.cipher.sealJSON({seq: index.seq, docs: Array.from(index.docs)});
+        await new Promise((resolve, reject) => this.writeFile(
+          `${this.rootdir}/_meta/views/${hash}`, data, err => err ? reject(err) : resolve()
+        ));
+        index.dirty = false;
+      }
+      this.indexes.set(hash, index);
+      return index.rows;
+    })().then(rows => {
+      release();
+      callback(null, rows);
+    }, err => {
+      release();
       callback(err);
-    else
-      callback(null, content);
+    });
   });
 };
 
 /**
- * removes a doc
+ * Reads a stored view index.
+ *
+ * @param {String} hash digest of the map function
+ * @return {Promise} resolves to the index, or undefined if there is none
+ * @api private
  */
 
-FlatFileCollection.prototype.remove = function (_id, _rev, callback) {
-  if (this.maybeQueueCall('remove', false, arguments))
+FlatFileCollection.prototype.loadIndex = async function (hash) {
+  let stored;
+  try {
+    stored = await this.cipher.unsealJSON(await fsp.readFile(`${this.rootdir}/_meta/views/${hash}`, 'utf8'));
+  }
+  catch (e) {
+    // a missing or unreadable index is rebuilt
+    return;
+  }
+  // as is one kept by offset into the changes log
+  if (typeof stored.seq !== 'number')
     return;
-  fs.unlink(`${this.rootdir}/${_id}`, callback);
+  return {seq: stored.seq, docs: new Map(stored.docs), rows: indexRows(stored.docs).sort(viewserver.compareRows)};
 };
 
 /**
- * removes docs in bulk
+ * Builds the index of a map function from all docs.
+ *
+ * @param {String|Function} map
+ * @return {Promise} resolves to the index
+ * @api private
  */
 
-FlatFileCollection.prototype.bulkRemove = function (docs, callback) {
-  if (this.maybeQueueCall('bulkRemove', false, arguments))
+FlatFileCollection.prototype.buildIndex = async function (map) {
+  // changes logged from here on are applied when the index is next used
+  await this.changeLog.read();
+  const seq = this.changeLog.seq;
+  const rows = await new Promise((resolve, reject) =>
+    this.all({include_docs: true}, (err, rows) => err ? reject(err) : resolve(rows)));
+  const docs = new Map();
+  rows.forEach(row => {
+    const pairs = viewserver.mapDoc(row.doc, map);
+    if (pairs.length)
+      docs.set(row.id, pairs);
+  });
+  return {seq, docs, rows: indexRows(docs).sort(viewserver.compareRows), dirty: true};
+};
+
+/*!
+ * Expands `[id, [[key, value], ...]]` entries into view rows.
+ */
+
+function indexRows(entries) {
+  const rows = [];
+  for (const [id, pairs] of entries)
+    pairs.forEach(([key, value]) => rows.push({id, key, value}));
+  return rows;
+}
+
+/**
+ * Removes the indexes no design doc view uses any more
+ */
+
+FlatFileCollection.prototype.viewCleanup = function (callback) {
+  if (this.maybeQueueCall('viewCleanup', false, arguments))
     return;
-  let remaining = docs.length;
-  if (remaining === 0)
-    return process.nextTick(() => callback(null, docs));
-  let n = 0;
-  const handler = err => {
-    if (!err) --remaining;
-    if (++n == docs.length) {
-      if (remaining != 0)
-        callback(new Error(`Failed to remove ${remaining} doc(s)`));
-      else
-        callback();
+  const dir = `${this.rootdir}/_meta/views`;
+  Promise.all([
+    new Promise((resolve, reject) => this.all({include_docs: true}, (err, rows) => err ? reject(err) : resolve(rows))),
+    fsp.readdir(dir)
+  ]).then(([rows, files]) => {
+    const used = new Set();
+    rows.forEach(row => {
+      if (row.id.indexOf('_design/') === 0)
+        Object.values(row.doc.views || {}).forEach(def =>
+          used.add(crypto.createHash('sha256').update(String(def.map)).digest('hex')));
+    });
+    const stale = files.filter(hash => !used.has(hash));
+    stale.forEach(hash => this.indexes.delete(hash));
+    return Promise.all(stale.map(hash => fsp.unlink(`${dir}/${hash}`)));
+  }).then(() => callback(null, {ok: true}), callback);
+};
+
+/**
+ * Evaluates a view definition over all documents.
+ *
+ * @param {Object} def view definition with `map` and optional `reduce`
+ * @param {Object} opts query options
+ * @param {Function} callback receives the view response
+ * @api private
+ */
+
+FlatFileCollection.prototype.query = function (def, opts, callback) {
+  this.all({include_docs: true}, (err, rows) => {
+    if (err)
+      return callback(err);
+    const docs = rows.map(row => row.doc);
+    const byId = new Map(docs.map(doc => [doc._id, doc]));
+    let res;
+    try {
+      res = viewserver.query(docs, def, opts, id => byId.get(id));
     }
-  };
-  for (const doc of docs)
-    this.remove(doc._id, null, handler);
+    catch (e) {
+      return callback(DatabaseError.from(e));
+    }
+    callback(null, res);
+  });
 };
+
 /**
  * Finds one doc using a view
  */
 
 FlatFileCollection.prototype.findOneWithView = function (view, opts, callback) {
-  if (this.maybeQueueCall('findOneWithView', false, arguments))
+  if (this.maybeQueueCall('findOneWithView', true, arguments))
+    return;
+  opts.limit = 1;
+  this.view(view, opts, (err, res) => {
+    if (err)
+      return callback(err);
+    callback(null, res.rows.length? res.rows[0].value : undefined);
+  });
+};
+
+/**
+ * Finds using a view
+ */
+
+FlatFileCollection.prototype.findWithView = function (view, opts, callback) {
+  if (this.maybeQueueCall('findWithView', true, arguments))
     return;
-  if (!view.startsWith('$root/by'))
-    callback(new Error('Only $root/byField views are supported to search via the key "field" having value opts.key'));
-  const field = view.substr(8).toLowerCase(); // XXX: assume field is lowercase
-  this.all({include_docs: true}, (err, res) => {
+  this.view(view, opts, (err, res) => {
     if (err)
       return callback(err);
-    const e = res.filter(e => e.doc[field] === opts.key)[0];
-    return callback(null, e && e.doc);
+    callback(null, res.rows.map(row => row.doc || row.value || row));
   });
 };
 
 /**
  * Finds with ids
+ *
+ * An array of ids gives `_all_docs?keys=` style rows, with an `error`
+ * row for each id that does not exist.  A deleted doc is `not_found`
+ * unless `opts.returnDeleted` is set, which gives its tombstone.
+ * `opts.rev` asks for a given revision, which the log storage keeps
+ * until compacted, deleted or not.
  */
 
 FlatFileCollection.prototype.findById = function (id, opts, callback) {
   if (this.maybeQueueCall('findById', false, arguments))
     return;
-  if (Array.isArray(id))
-    throw new SyntaxError('FlatFileCollection.findById only accepts a single id');
 
   if (arguments.length == 2) {
      callback = opts;
      opts = undefined;
   }
 
-  fs.readFile(`${this.rootdir}/${id}`, (err, content) => {
+  if (Array.isArray(id)) {
+    return mapLimit(id, (_id, done) => this.read(_id, done)).then(docs => {
+      const res = viewserver.allDocs(docs.filter(doc => doc), {keys: id, include_docs: true});
+      callback(null, res.rows);
+    }, callback);
+  }
+
+  const rev = opts && opts.rev;
+  this.readRevision(id, rev, (err, doc) => {
     if (err)
-      callback({error: 'not_found', reason: err});
+      callback(err);
+    else if (!doc)
+      callback(new DatabaseError.NotFoundError('missing'));
+    else if (doc._deleted && !rev && !(opts && opts.returnDeleted))
+      callback(new DatabaseError.NotFoundError('deleted'));
     else
-      try {
-        callback(null, JSON.parse(content));
-      }
-      catch (e) {
-        callback(e);
-      }
+      callback(null, doc);
   });
 };
 
@@ -179,24 +1766,285 @@ FlatFileCollection.prototype.all = function (options, callback) {
      options = undefined;
   }
 
-  fsp.readdir(this.rootdir, {withFileTypes: true}).then(files => {
-    files = files.filter(file => file.isFile());
-    if (options && options.include_docs) {
+  const includeDocs = !!(options && options.include_docs);
+  this.stored(includeDocs).then(entries => {
+    const rows = entries.filter(entry => !entry.deleted).map(entry => {
+      const row = {id: entry.id, key: entry.id, value: {rev: entry.rev}};
+      if (includeDocs)
+        row.doc = entry.doc;
+      return row;
+    }).sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    callback(null, rows);
+  }, callback);
+};
+
+/**
+ * Runs an update handler
+ *
+ * The handler stored in the design doc is evaluated locally and the
+ * doc it returns, if any, is saved.
+ */
+
+FlatFileCollection.prototype.update = function (handler, id, query, body, callback) {
+  if (this.maybeQueueCall('update', true, arguments))
+    return;
+  const [designId, name] = viewserver.parsePath(handler);
+  this.findById(designId, (err, design) => {
+    if (err)
+      return callback(err);
+    if (!design.updates || !design.updates[name])
+      return callback(new DatabaseError.NotFoundError(`missing update function ${name} on design doc ${designId}`));
+    const run = (err, current) => {
+      if (err)
+        return callback(err);
+      const req = viewserver.request(id ? 'PUT' : 'POST', id, query, body);
+      let doc, response;
+      try {
+        [doc, response] = viewserver.update(design.updates[name],
+                                            current && !current._deleted ? current : null, req);
+      }
+      catch (e) {
+        return callback(new DatabaseError('render_error', e.message));
+      }
+      if (!doc)
+        return callback(null, response);
+      this.write(doc, false, err => err ? callback(err) : callback(null, response));
+    };
+    if (id)
+      this.read(id, run);
+    else
+      run(null, null);
+  });
+};
+
+/**
+ * Runs a list function
+ *
+ * `handler` is `design/list/view`, or `design/list/otherdesign/view`
+ * for a view from another design doc.
+ */
+
+FlatFileCollection.prototype.list = function (handler, query, callback) {
+  if (this.maybeQueueCall('list', true, arguments))
+    return;
+  const [designId, path] = viewserver.parsePath(handler);
+  const [name, ...rest] = path.split('/');
+  const view = rest.length > 1 ? rest.join('/') : `${designId.slice('_design/'.length)}/${rest[0]}`;
+  this.findById(designId, (err, design) => {
+    if (err)
+      return callback(err);
+    if (!design.lists || !design.lists[name])
+      return callback(new DatabaseError.NotFoundError(`missing list function ${name} on design doc ${designId}`));
+    this.view(view, Object.assign({}, query), (err, res) => {
+      if (err)
+        return callback(err);
+      let out;
       try {
-        callback(null, files.map(file => {
-          const doc = JSON.parse(fs.readFileSync(`${this.rootdir}/${file.name}`));
-          return {id: file.name, doc};
-        }));
+        out = viewserver.list(design.lists[name], res, viewserver.request('GET', null, query));
       }
       catch (e) {
-        callback(e);
+        return callback(new DatabaseError('render_error', e.message));
       }
+      callback(null, out);
+    });
+  });
+};
+
+/**
+ * Allows temporary views
+ */
+
+FlatFileCollection.prototype.mapReduce = function (doc, opts, callback) {
+  if (this.maybeQueueCall('mapReduce', true, arguments))
+    return;
+  this.query(doc, opts, (err, res) => callback(err, res && res.rows));
+};
+
+/**
+ * Finds with a Mango query
+ *
+ * The selector is evaluated over all docs; `use_index` is ignored.
+ */
+
+FlatFileCollection.prototype.findWithSelector = function (query, callback) {
+  if (this.maybeQueueCall('findWithSelector', true, arguments))
+    return;
+  this.all({include_docs: true}, (err, rows) => {
+    if (err)
+      return callback(err);
+    let res;
+    try {
+      res = viewserver.find(rows.map(row => row.doc), query);
     }
-    else {
-      callback(null, files.map(file => {
-        return {id: file.name, value: {rev: null}}; }));
+    catch (e) {
+      return callback(DatabaseError.from(e));
     }
+    callback(null, res);
   });
 };
 
+/**
+ * Lists changes made since an update sequence
+ *
+ * Like `_changes`, only the latest change to each doc is listed and
+ * deletions are included.  The callback receives `{results, last_seq}`
+ * with rows of `{seq, id, changes: [{rev}], deleted}`.  Options:
+ *
+ * - `since`: sequence to list changes after, or `'now'` - defaults to 0
+ * - `include_docs`: add each doc, or its tombstone, to its row
+ * - `filter`: a `function (doc, req)`, the `design/filter` path of a
+ *   filter function, `_design`, or `_doc_ids` with the ids in `doc_ids`
+ * - `limit`: maximum number of rows
+ *
+ * Without a callback a continuous feed is returned instead, emitting
+ * `change` with each row since `since` and then with each later
+ * change until its `stop()` is called, and `error` if the collection
+ * cannot be opened.
+ */
+
+FlatFileCollection.prototype.changes = function (opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  if (!callback)
+    return this.follow(opts, new EventEmitter());
+  if (this.maybeQueueCall('changes', false, [opts, callback]))
+    return;
+  const log = this.changeLog;
+  log.read().then(() => {
+    const since = opts.since === 'now' ? log.seq : Number(opts.since) || 0;
+    const last = log.seq;
+    return this.present(log.since(since), opts).then(results => {
+      if (opts.limit != null && results.length > opts.limit)
+        results = results.slice(0, opts.limit);
+      const last_seq = opts.limit != null && results.length
+        ? results[results.length - 1].seq
+        : Math.max(since, last);
+      callback(null, {results, last_seq});
+    });
+  }).catch(callback);
+};
+
+/**
+ * Feeds changes since `opts.since`, and then live changes, to `feed`.
+ *
+ * Changes recorded while the log is being read are held back until the
+ * rows from the log have been emitted, so rows arrive in order.
+ *
+ * @param {Object} opts `changes` options
+ * @param {EventEmitter} feed
+ * @return {EventEmitter} feed
+ * @api private
+ */
+
+FlatFileCollection.prototype.follow = function (opts, feed) {
+  feed.stop = () => {
+    feed.stopped = true;
+    this.feeds.delete(follower);
+  };
+  const follower = change => {
+    queue = queue.then(() => change.seq > last && !change.purged && this.present([change], opts))
+      .then(emit, err => feed.emit('error', err));
+  };
+  const emit = rows => (rows || []).forEach(row => feed.stopped || feed.emit('change', row));
+  let last = Infinity;
+  let queue;
+  const start = () => {
+    if (feed.stopped)
+      return;
+    const log = this.changeLog;
+    const since = opts.since === 'now' ? log.seq : Number(opts.since) || 0;
+    this.feeds.add(follower);
+    queue = log.read().then(() => {
+      last = log.seq;
+      return this.present(log.since(since), opts);
+    }).then(emit);
+    queue = queue.catch(err => feed.emit('error', err));
+  };
+  this.startWhenOpen(start, feed);
+  return feed;
+};
+
+/**
+ * Turns changes log entries into `_changes` rows, applying the
+ * `filter` and `include_docs` options.
+ *
+ * @param {Array} changes log entries
+ * @param {Object} opts `changes` options
+ * @return {Promise} resolves to the rows
+ * @api private
+ */
+
+FlatFileCollection.prototype.present = function (changes, opts) {
+  return this.changesFilter(opts).then(filter => mapLimit(changes, (change, done) => {
+    const needsDoc = opts.include_docs || (filter && filter.needsDoc);
+    (needsDoc ? this.changedDoc(change) : Promise.resolve()).then(doc => {
+      try {
+        if (filter && !filter.match(change, doc))
+          return;
+      }
+      catch (e) {
+        throw new DatabaseError('render_error', e.message);
+      }
+      const row = {seq: change.seq, id: change.id, changes: [{rev: change.rev}]};
+      if (change.deleted)
+        row.deleted = true;
+      if (opts.include_docs)
+        row.doc = doc;
+      return row;
+    }).then(row => done(null, row), done);
+  })).then(rows => rows.filter(row => row));
+};
+
+/**
+ * Resolves the `filter` option.
+ *
+ * @param {Object} opts `changes` options
+ * @return {Promise} resolves to `{match: function (change, doc), needsDoc}`, or null
+ * @api private
+ */
+
+FlatFileCollection.prototype.changesFilter = function (opts) {
+  const filter = opts.filter;
+  if (!filter)
+    return Promise.resolve(null);
+  if (filter === '_doc_ids') {
+    const ids = new Set(opts.doc_ids || []);
+    return Promise.resolve({match: change => ids.has(change.id)});
+  }
+  if (filter === '_design')
+    return Promise.resolve({match: change => change.id.indexOf('_design/') === 0});
+  const req = viewserver.request('GET', null, opts);
+  if (typeof filter === 'function')
+    return Promise.resolve({match: (change, doc) => viewserver.filter(filter, doc, req), needsDoc: true});
+  const [designId, name] = viewserver.parsePath(filter);
+  return new Promise((resolve, reject) => this.findById(designId, (err, design) => {
+    if (err)
+      return reject(err);
+    if (!design.filters || !design.filters[name])
+      return reject(new DatabaseError.NotFoundError(`missing filter function ${name} on design doc ${designId}`));
+    resolve({match: (change, doc) => viewserver.filter(design.filters[name], doc, req), needsDoc: true});
+  }));
+};
+
+/**
+ * Reads the doc a change refers to, giving a tombstone for deletions.
+ *
+ * @param {Object} change log entry
+ * @return {Promise} resolves to the doc
+ * @api private
+ */
+
+FlatFileCollection.prototype.changedDoc = function (change) {
+  if (change.deleted)
+    return Promise.resolve({_id: change.id, _rev: change.rev, _deleted: true});
+  return new Promise((resolve, reject) => this.read(change.id, (err, doc) => {
+    if (err && err.error !== 'corrupt')
+      return reject(err);
+    resolve(doc || {_id: change.id, _rev: change.rev, _deleted: true});
+  }));
+};
+
 module.exports = FlatFileCollection;
@@ -3,9 +3,46 @@
  */
 
 var MongooseConnection = require('../../connection')
+  , Cipher = require('./cipher')
 
 /**
- * A [node-mongodb-native](https://github.com/mongodb/node-mongodb-native) connection implementation.
+ * A flat-file connection implementation.
+ *
+ * Opened with an options object:
+ *
+ * - `rootdir`: directory holding one subdirectory per collection
+ * - `fsync`: flush every write to disk before reporting success - defaults to false
+ * - `fanout`: levels of hashed subdirectories to spread documents over,
+ *   for collections too large for a single directory - defaults to 0;
+ *   collections are migrated in place when opened with a new value
+ * - `storage`: `'files'` to store documents one per file, or `'log'` to
+ *   append their revisions to a log - defaults to `'files'`; collections
+ *   are converted in place when opened with a new value
+ * - `lockTimeout`: milliseconds after which a lock file left by a process
+ *   on another host is taken to be stale - defaults to 30000
+ * - `watch`: watch collection directories for documents created,
+ *   modified or deleted by hand - defaults to false
+ * - `encryption`: `{keyId, keyProvider}` to encrypt documents, view
+ *   indexes and attachments under the key named `keyId`, which
+ *   `keyProvider(keyId, callback)` supplies as a 32 byte Buffer (see
+ *   `cipher.js`); collections are re-encrypted under a new `keyId` by
+ *   `rotateKey`
+ *
+ * Documents are stored one per file, or with the `log` storage as lines
+ * of `_log/data`, with their attachments in a `~att` directory beside
+ * where their file would be.  Each collection directory keeps a
+ * log of its changes, with their update sequence numbers, in
+ * `_meta/changes` (see `changes.js`) and its view indexes in
+ * `_meta/views/`.
+ *
+ * Processes may share a root: writes to a document, design doc updates
+ * and appends to the logs hold advisory lock files in `_locks/`.
+ *
+ * Emits `corrupt` with `{collection, id, path, error, reason}` when a
+ * stored document cannot be parsed, or does not hold a document stored
+ * under its name; files are moved to `_quarantine/`.  With `watch`,
+ * emits `external` with `{collection, id, rev, type}` for each document
+ * changed outside the driver.
  *
  * @inherits Connection
  * @api private
@@ -31,6 +68,7 @@ FlatFileConnection.prototype.__proto__ = MongooseConnection.prototype;
 
 FlatFileConnection.prototype.doOpen = function (fn) {
   [this.db] = this.connectionOpts;
+  this.cipher = new Cipher(this.db.encryption);
   fn();
 
   return this;
@@ -45,6 +83,8 @@ FlatFileConnection.prototype.doOpen = function (fn) {
  */
 
 FlatFileConnection.prototype.doClose = function (fn) {
+  for (var name in this.collections)
+    this.collections[name].onClose();
   this.collections = {};
   this.models = {};
   this.connectionOpts = null;
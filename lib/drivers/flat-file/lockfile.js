@@ -0,0 +1,137 @@
+/*!
+ * Module dependencies.
+ */
+
+var fsp = require('fs').promises;
+var os = require('os');
+var path = require('path');
+var revision = require('../../revision');
+
+/*!
+ * Milliseconds after which a lock that has not been refreshed is stale.
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+
+/*!
+ * Bounds of the delay between attempts to take a held lock.
+ */
+
+const MIN_DELAY = 5;
+const MAX_DELAY = 200;
+
+/**
+ * Takes the advisory lock `file`, shared by all processes using the
+ * same flat-file root.
+ *
+ * A lock is a file created exclusively, holding the pid and host name
+ * of its owner; its mtime is refreshed while it is held.  A lock is
+ * stale when its owner is no longer running on this host, or when it
+ * has not been refreshed for `timeout` ms, which covers owners on other
+ * hosts; a stale lock is broken by the next process waiting for it.
+ * Until then, takers retry with a growing delay.
+ *
+ * @param {String} file
+ * @param {Number} [timeout]
+ * @return {Promise} resolves to a function releasing the lock, which
+ *   returns a Promise
+ * @api private
+ */
+
+async function lockFile(file, timeout = DEFAULT_TIMEOUT) {
+  const owner = JSON.stringify({pid: process.pid, host: os.hostname(), token: revision.uuid()});
+  for (let delay = MIN_DELAY; ; delay = Math.min(2 * delay, MAX_DELAY)) {
+    try {
+      await fsp.writeFile(file, owner, {flag: 'wx'});
+      break;
+    }
+    catch (e) {
+      if (e.code === 'ENOENT') {
+        await fsp.mkdir(path.dirname(file), {recursive: true});
+        continue;
+      }
+      if (e.code !== 'EEXIST')
+        throw e;
+    }
+    if (!await breakStale(file, timeout))
+      await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  const refresh = setInterval(() => {
+    const now = new Date();
+    fsp.utimes(file, now, now).catch(() => {});
+  }, timeout / 3);
+  refresh.unref();
+  return async () => {
+    clearInterval(refresh);
+    const content = await fsp.readFile(file, 'utf8').catch(() => null);
+    // a lock broken as stale may have been taken by another process
+    if (content === owner)
+      await fsp.unlink(file);
+  };
+}
+
+/*!
+ * Removes the lock `file` if it is stale, returning whether it may be
+ * taken right away.
+ */
+
+async function breakStale(file, timeout) {
+  let content, stat;
+  try {
+    [content, stat] = await Promise.all([fsp.readFile(file, 'utf8'), fsp.stat(file)]);
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return true;
+    throw e;
+  }
+  if (!isStale(content, stat, timeout))
+    return false;
+  const moved = `${file}.${process.pid}.${revision.uuid()}`;
+  try {
+    await fsp.rename(file, moved);
+  }
+  catch (e) {
+    if (e.code === 'ENOENT')
+      return true;
+    throw e;
+  }
+  // another process may have broken the stale lock and taken it between
+  // the check and the rename; give it back
+  if (await fsp.readFile(moved, 'utf8') !== content)
+    await fsp.link(moved, file).catch(() => {});
+  await fsp.unlink(moved);
+  return true;
+}
+
+/*!
+ * Tells whether a lock with `content` and `stat` is stale.
+ */
+
+function isStale(content, stat, timeout) {
+  if (Date.now() - stat.mtimeMs > timeout)
+    return true;
+  let owner;
+  try {
+    owner = JSON.parse(content);
+  }
+  catch (e) {
+    // still being written by its owner
+    return false;
+  }
+  if (owner.host !== os.hostname())
+    return false;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  }
+  catch (e) {
+    return e.code === 'ESRCH';
+  }
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = lockFile;
@@ -0,0 +1,470 @@
+/*!
+ * Module dependencies.
+ */
+
+var fsp = require('fs').promises;
+var DatabaseError = require('../../errors/database');
+var viewserver = require('../../viewserver');
+var lockFile = require('./lockfile');
+
+/*!
+ * Revisions appended between checkpoints of the offset index.
+ */
+
+const CHECKPOINT_INTERVAL = 1000;
+
+/*!
+ * Size of the buffers the log is scanned and compacted through.
+ */
+
+const CHUNK_SIZE = 1 << 20;
+
+/**
+ * Append-only storage for a flat-file collection.
+ *
+ * Every revision written is appended as a line of JSON to `_log/data`,
+ * tombstones included, and a purge appends a `{_id, _purged}` marker.
+ * The offsets of the revisions of each id are kept in memory and
+ * checkpointed to `_log/index` along with the size of the log they
+ * cover; lines appended after the checkpoint are indexed again from the
+ * log on open, and a line torn by a crash is cut off.
+ *
+ * Appends requested while a write is in progress are written together,
+ * so concurrent and bulk writes cost one write (and one fsync) per
+ * batch.  Older revisions stay readable until `compact` rewrites the
+ * log with only the current revision of each doc.
+ *
+ * Other processes may share the log: appends and compaction take the
+ * lock file `_locks/_log`, and reads first index what was appended, or
+ * reload a log compacted, since the last look.
+ *
+ * Options:
+ *
+ * - `durable`: flush appends to disk before they complete
+ * - `lockTimeout`: see `lockfile.js`
+ *
+ * @param {String} dir collection directory
+ * @param {Object} [options]
+ * @api private
+ */
+
+function LogStore(dir, options = {}) {
+  this.dir = `${dir}/_log`;
+  this.file = `${this.dir}/data`;
+  this.lockFile = `${dir}/_locks/_log`;
+  this.durable = !!options.durable;
+  this.lockTimeout = options.lockTimeout;
+  this.docs = new Map();
+  this.ino = null;
+  this.size = 0;
+  this.unsaved = 0;
+  this.pending = [];
+  this.flushing = false;
+  this.writing = Promise.resolve();
+  this.handle = null;
+}
+
+/**
+ * Opens the log, loading its index.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.open = async function () {
+  await fsp.mkdir(this.dir, {recursive: true});
+  await this.locked(() => this.load(true));
+};
+
+/**
+ * Opens the log file, loading its index from the checkpoint if it
+ * matches the file and indexing the lines appended after it.
+ *
+ * @param {Boolean} locked the log lock is held
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.load = async function (locked) {
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(await fsp.readFile(`${this.dir}/index`, 'utf8'));
+  }
+  catch (e) {
+    // a missing or unreadable checkpoint is rebuilt from the log
+  }
+  const fh = await fsp.open(this.file, 'a+');
+  const {ino, size} = await fh.stat();
+  this.docs = new Map();
+  this.size = 0;
+  if (checkpoint && checkpoint.ino === ino && checkpoint.size <= size) {
+    this.docs = new Map(checkpoint.docs);
+    this.size = checkpoint.size;
+  }
+  if (this.handle)
+    this.retire(this.handle);
+  this.handle = {fh, refs: 0};
+  this.ino = ino;
+  await this.scan(size, locked);
+  if (this.unsaved && locked)
+    await this.checkpoint();
+};
+
+/**
+ * Brings the index up to date with the log file, which other processes
+ * may have appended to or compacted.
+ *
+ * @param {Boolean} locked the log lock is held
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.refresh = async function (locked) {
+  const {ino, size} = await fsp.stat(this.file);
+  if (ino !== this.ino || size < this.size)
+    await this.load(locked);
+  else if (size > this.size)
+    await this.scan(size, locked);
+};
+
+/**
+ * Runs `fn` holding the log lock.
+ *
+ * @param {Function} fn returns a Promise
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.locked = async function (fn) {
+  const unlock = await lockFile(this.lockFile, this.lockTimeout);
+  try {
+    return await fn();
+  }
+  finally {
+    await unlock();
+  }
+};
+
+/**
+ * Closes the log file.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.close = function () {
+  return this.exclusive(async () => {
+    if (this.unsaved)
+      await this.checkpoint();
+    this.retire(this.handle);
+    this.handle = null;
+  });
+};
+
+/**
+ * Indexes the lines of the log from the indexed size up to `end`.
+ *
+ * A line with no end is being appended by another process, or was torn
+ * by a crash; it is cut off if the log lock is held.
+ *
+ * @param {Number} end
+ * @param {Boolean} locked the log lock is held
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.scan = async function (end, locked) {
+  const fh = this.handle.fh;
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  let pos = this.size;
+  let carry = Buffer.alloc(0);
+  while (pos < end) {
+    const {bytesRead} = await fh.read(chunk, 0, Math.min(chunk.length, end - pos), pos);
+    if (!bytesRead)
+      break;
+    const data = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+    const base = pos - carry.length;
+    let start = 0;
+    let nl;
+    while ((nl = data.indexOf(10, start)) !== -1) {
+      let doc;
+      try {
+        doc = JSON.parse(data.subarray(start, nl));
+      }
+      catch (e) {
+        // a damaged line is skipped; its doc keeps its previous revision
+      }
+      if (doc)
+        this.apply(doc, base + start, nl - start);
+      start = nl + 1;
+    }
+    carry = Buffer.from(data.subarray(start));
+    pos += bytesRead;
+  }
+  this.size = pos - carry.length;
+  if (this.size < end && locked)
+    await fh.truncate(this.size);
+};
+
+/**
+ * Records the revision stored at `offset` in the index.
+ *
+ * @param {Object} doc
+ * @param {Number} offset
+ * @param {Number} length
+ * @api private
+ */
+
+LogStore.prototype.apply = function (doc, offset, length) {
+  ++this.unsaved;
+  if (doc._purged)
+    return this.docs.delete(doc._id);
+  const revs = this.docs.get(doc._id) || [];
+  revs.push([doc._rev, offset, length, doc._deleted ? 1 : 0]);
+  this.docs.set(doc._id, revs);
+};
+
+/**
+ * Writes the index to `_log/index`.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.checkpoint = async function () {
+  const tmp = `${this.dir}/index.${process.pid}`;
+  this.unsaved = 0;
+  await fsp.writeFile(tmp, JSON.stringify({ino: this.ino, size: this.size, docs: Array.from(this.docs)}));
+  await fsp.rename(tmp, `${this.dir}/index`);
+};
+
+/**
+ * Runs `fn` once the writes before it have completed, holding off later
+ * writes until it completes.
+ *
+ * @param {Function} fn returns a Promise
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.exclusive = function (fn) {
+  const done = this.writing.then(fn);
+  this.writing = done.catch(() => {});
+  return done;
+};
+
+/**
+ * Reads a revision of a doc.
+ *
+ * @param {String} _id
+ * @param {String} [rev] defaults to the current revision
+ * @return {Promise} resolves to the doc, or undefined if absent
+ * @api private
+ */
+
+LogStore.prototype.get = async function (_id, rev) {
+  const {ino, size} = await fsp.stat(this.file);
+  if (ino !== this.ino || size !== this.size)
+    await this.exclusive(() => this.refresh(false));
+  const revs = this.docs.get(_id);
+  const entry = revs && (rev === undefined
+    ? revs[revs.length - 1]
+    : revs.find(entry => entry[0] === rev));
+  if (!entry)
+    return;
+  // the handle is taken with the index entry; `compact` swaps both
+  const handle = this.handle;
+  const buffer = Buffer.alloc(entry[2]);
+  ++handle.refs;
+  try {
+    await handle.fh.read(buffer, 0, entry[2], entry[1]);
+  }
+  finally {
+    --handle.refs;
+    if (handle.retired && !handle.refs)
+      handle.fh.close();
+  }
+  try {
+    return JSON.parse(buffer);
+  }
+  catch (e) {
+    throw DatabaseError.from({error: 'corrupt', reason: e.message, id: _id});
+  }
+};
+
+/**
+ * Lists the current revision of each doc.
+ *
+ * @return {Array} `{id, rev, deleted}` entries
+ * @api private
+ */
+
+LogStore.prototype.list = function () {
+  return Array.from(this.docs, ([id, revs]) => {
+    const [rev, , , deleted] = revs[revs.length - 1];
+    return {id, rev, deleted: !!deleted};
+  });
+};
+
+/**
+ * Appends a revision of a doc.
+ *
+ * @param {Object} doc
+ * @return {Promise} resolves once the revision is written and indexed
+ * @api private
+ */
+
+LogStore.prototype.append = function (doc) {
+  return new Promise((resolve, reject) => {
+    this.pending.push({doc, resolve, reject});
+    if (!this.flushing)
+      this.flush();
+  });
+};
+
+/**
+ * Drops a doc and all its revisions.
+ *
+ * @param {String} _id
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.purge = function (_id) {
+  return this.append({_id, _purged: true});
+};
+
+/**
+ * Writes the pending appends as one batch.
+ *
+ * @api private
+ */
+
+LogStore.prototype.flush = function () {
+  this.flushing = true;
+  this.exclusive(async () => {
+    const batch = this.pending;
+    this.pending = [];
+    const lines = batch.map(entry => Buffer.from(viewserver.stringify(entry.doc) + '\n'));
+    try {
+      await this.locked(async () => {
+        await this.refresh(true);
+        const fh = this.handle.fh;
+        try {
+          await fh.write(Buffer.concat(lines));
+          if (this.durable)
+            await fh.sync();
+        }
+        catch (e) {
+          await fh.truncate(this.size).catch(() => {});
+          throw e;
+        }
+        batch.forEach((entry, i) => {
+          this.apply(entry.doc, this.size, lines[i].length - 1);
+          this.size += lines[i].length;
+        });
+        if (this.unsaved >= CHECKPOINT_INTERVAL)
+          await this.checkpoint().catch(() => {});
+      });
+    }
+    catch (e) {
+      batch.forEach(entry => entry.reject(e));
+      return;
+    }
+    batch.forEach(entry => entry.resolve());
+  }).then(() => {
+    this.flushing = false;
+    if (this.pending.length)
+      this.flush();
+  });
+};
+
+/**
+ * Rewrites the log with only the current revision of each doc.
+ *
+ * Purged docs and older revisions are dropped; tombstones are kept.
+ * Reads started before the new log is in place finish on the old one.
+ *
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.compact = function () {
+  return this.rewrite(false);
+};
+
+/**
+ * Rewrites the log, passing each revision kept through `transform`.
+ *
+ * @param {Boolean} history keep earlier revisions, as `compact` does not
+ * @param {Function} [transform] returns a Promise of the revision to
+ *   store in place of the one it is given
+ * @return {Promise}
+ * @api private
+ */
+
+LogStore.prototype.rewrite = function (history, transform) {
+  return this.exclusive(() => this.locked(async () => {
+    await this.refresh(true);
+    const tmp = `${this.dir}/data.compact`;
+    const out = await fsp.open(tmp, 'w');
+    const docs = new Map();
+    let size = 0;
+    try {
+      let chunks = [];
+      let buffered = 0;
+      for (const [id, revs] of this.docs) {
+        const kept = [];
+        for (const [rev, offset, length, deleted] of history ? revs : revs.slice(-1)) {
+          let line = Buffer.alloc(length + 1);
+          await this.handle.fh.read(line, 0, length + 1, offset);
+          if (transform)
+            line = Buffer.from(viewserver.stringify(await transform(JSON.parse(line))) + '\n');
+          chunks.push(line);
+          buffered += line.length;
+          kept.push([rev, size, line.length - 1, deleted]);
+          size += line.length;
+        }
+        docs.set(id, kept);
+        if (buffered >= CHUNK_SIZE) {
+          await out.write(Buffer.concat(chunks));
+          chunks = [];
+          buffered = 0;
+        }
+      }
+      await out.write(Buffer.concat(chunks));
+      await out.sync();
+    }
+    catch (e) {
+      await out.close();
+      await fsp.unlink(tmp);
+      throw e;
+    }
+    await out.close();
+    await fsp.rename(tmp, this.file);
+    const fh = await fsp.open(this.file, 'a+');
+    const old = this.handle;
+    this.handle = {fh, refs: 0};
+    this.ino = (await fh.stat()).ino;
+    this.docs = docs;
+    this.size = size;
+    this.retire(old);
+    await this.checkpoint();
+  }));
+};
+
+/*!
+ * Closes a replaced file handle once no reads are using it.
+ */
+
+LogStore.prototype.retire = function (handle) {
+  handle.retired = true;
+  if (!handle.refs)
+    handle.fh.close();
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = LogStore;
@@ -0,0 +1,374 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseCollection = require('../../collection')
+    , DatabaseError = require('../../errors/database')
+    , viewserver = require('../../viewserver')
+    , revision = require('../../revision')
+
+/**
+ * An in-memory collection implementation.
+ *
+ * Mirrors the surface of `CradleCollection`, keeping documents (and
+ * deletion tombstones) in a `Map` and answering view queries by running
+ * the stored design document functions locally.  Results are returned
+ * in the shapes cradle hands back for the equivalent CouchDB requests.
+ *
+ * @inherits Collection
+ * @api private
+ */
+
+function MemoryCollection() {
+  this.collection = null;
+  MongooseCollection.apply(this, arguments);
+}
+
+/*!
+ * Inherit from abstract Collection.
+ */
+
+MemoryCollection.prototype.__proto__ = MongooseCollection.prototype;
+
+/**
+ * Called when the connection opens.
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.onOpen = function (db) {
+  if(this.conn && this.conn.db) {
+    this.collection = db
+  }
+  MongooseCollection.prototype.onOpen.call(this);
+};
+
+/**
+ * Called when the connection closes
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.onClose = function () {
+  MongooseCollection.prototype.onClose.call(this);
+};
+
+/**
+ * Checks for db existence, creates if necessary.
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.ensureDb = function(callback) {
+  const databases = this.conn.db.databases;
+  const db = databases[this.name] || (databases[this.name] = {docs: new Map(), seq: 0});
+  process.nextTick(() => callback(db));
+};
+
+/*!
+ * Returns a copy of a stored document.
+ */
+
+function copy(doc) {
+  return doc && JSON.parse(JSON.stringify(doc));
+}
+
+/**
+ * Writes a single doc, returning a `_bulk_docs` style result row.
+ *
+ * @param {Object} doc
+ * @param {Boolean} overwrite treat a missing `_rev` as the current one
+ * @api private
+ */
+
+MemoryCollection.prototype.write = function (doc, overwrite) {
+  const _id = doc._id || revision.uuid();
+  const current = this.collection.docs.get(_id);
+  const err = revision.checkId(_id) || revision.check(current, doc, overwrite);
+  if (err)
+    return Object.assign({id: _id}, err);
+  const stored = doc._deleted
+    ? {_id, _deleted: true}
+    : Object.assign({_id}, JSON.parse(viewserver.stringify(doc)));
+  stored._rev = revision.next(stored, current && current._rev);
+  this.collection.docs.set(_id, stored);
+  ++this.collection.seq;
+  return {ok: true, id: _id, rev: stored._rev};
+};
+
+/**
+ * Inserts a doc
+ */
+
+MemoryCollection.prototype.insert = function (doc, opts, callback) {
+  if (this.maybeQueueCall('insert', false, arguments))
+    return;
+  const res = this.write(doc, true);
+  process.nextTick(() => res.error
+    ? callback(DatabaseError.from(res))
+    : callback(null, res));
+};
+
+/**
+ * inserts docs in bulk
+ */
+
+MemoryCollection.prototype.bulkInsert = function (docs, callback) {
+  if (this.maybeQueueCall('bulkInsert', false, arguments))
+    return;
+  const res = docs.map(doc => this.write(doc, false));
+  process.nextTick(() => callback(null, res));
+};
+
+/**
+ * removes a doc
+ */
+
+MemoryCollection.prototype.remove = function (_id, _rev, callback) {
+  if (this.maybeQueueCall('remove', false, arguments))
+    return;
+  const res = this.write({_id, _rev, _deleted: true}, false);
+  process.nextTick(() => res.error
+    ? callback(DatabaseError.from(res))
+    : callback(null, res));
+};
+
+/**
+ * removes docs in bulk
+ */
+
+MemoryCollection.prototype.bulkRemove = function (docs, callback) {
+  if (this.maybeQueueCall('bulkRemove', false, arguments))
+    return;
+  const res = docs.map(doc => this.write({_id: doc._id, _rev: doc._rev, _deleted: true}, false));
+  process.nextTick(() => callback(null, res));
+};
+
+/**
+ * Runs a view query against the stored docs.
+ *
+ * @param {String} view `design/view` path
+ * @param {Object} opts query options
+ * @return {Object} view response
+ * @api private
+ */
+
+MemoryCollection.prototype.view = function (view, opts) {
+  const [designId, name] = viewserver.parsePath(view);
+  const design = this.design(designId);
+  if (!design.views || !design.views[name])
+    throw new DatabaseError.NotFoundError('missing_named_view');
+  return viewserver.query(this.liveDocs(), design.views[name], opts,
+                          id => this.collection.docs.get(id));
+};
+
+/**
+ * Returns the stored docs that are not deleted.
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.liveDocs = function () {
+  return Array.from(this.collection.docs.values()).filter(doc => !doc._deleted);
+};
+
+/**
+ * Finds one doc using a view
+ */
+
+MemoryCollection.prototype.findOneWithView = function (view, opts, callback) {
+  if (this.maybeQueueCall('findOneWithView', true, arguments))
+    return;
+  opts.limit = 1;
+  let res;
+  try {
+    res = this.view(view, opts).rows;
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  process.nextTick(() => callback(null, res.length? res[0].value : undefined));
+};
+
+/**
+ * Finds using a view
+ */
+
+MemoryCollection.prototype.findWithView = function (view, opts, callback) {
+  if (this.maybeQueueCall('findWithView', true, arguments))
+    return;
+  let res;
+  try {
+    res = this.view(view, opts).rows;
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  const docs = res.map(row => row.doc || row.value || row);
+  process.nextTick(() => callback(null, docs));
+};
+
+/**
+ * Finds with ids
+ */
+
+MemoryCollection.prototype.findById = function (ids, opts, callback) {
+  if (this.maybeQueueCall('findById', false, arguments))
+    return;
+
+  if (arguments.length == 2) {
+     callback = opts;
+     opts = undefined;
+  }
+
+  if (Array.isArray(ids)) {
+    const res = viewserver.allDocs(Array.from(this.collection.docs.values()),
+                                   {keys: ids, include_docs: true});
+    return process.nextTick(() => callback(null, res.rows));
+  }
+
+  const doc = this.collection.docs.get(ids);
+  let err;
+  if (!doc)
+    err = new DatabaseError.NotFoundError('missing');
+  else if (doc._deleted && !(opts && opts.returnDeleted))
+    err = new DatabaseError.NotFoundError('deleted');
+  process.nextTick(() => err ? callback(err) : callback(null, copy(doc)));
+};
+
+MemoryCollection.prototype.all = function (options, callback) {
+  if (this.maybeQueueCall('all', false, arguments))
+    return;
+
+  if (arguments.length == 1)
+  {
+     callback = options;
+     options = undefined;
+  }
+
+  const res = viewserver.allDocs(Array.from(this.collection.docs.values()), options);
+  process.nextTick(() => callback(null, res.rows));
+};
+
+/**
+ * Allows temporary views
+ */
+
+MemoryCollection.prototype.mapReduce = function (doc, opts, callback) {
+  if (this.maybeQueueCall('mapReduce', true, arguments))
+    return;
+  let res;
+  try {
+    res = viewserver.query(this.liveDocs(), doc, opts,
+                           id => this.collection.docs.get(id)).rows;
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  process.nextTick(() => callback(null, res));
+};
+
+/**
+ * Finds with a Mango query
+ *
+ * The selector is evaluated over all docs; `use_index` is ignored.
+ */
+
+MemoryCollection.prototype.findWithSelector = function (query, callback) {
+  if (this.maybeQueueCall('findWithSelector', true, arguments))
+    return;
+  let res;
+  try {
+    res = viewserver.find(this.liveDocs(), query);
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  process.nextTick(() => callback(null, res));
+};
+
+/**
+ * Returns a stored design doc, throwing `not_found` if absent.
+ *
+ * @param {String} designId
+ * @api private
+ */
+
+MemoryCollection.prototype.design = function (designId) {
+  const design = this.collection.docs.get(designId);
+  if (!design || design._deleted)
+    throw new DatabaseError.NotFoundError('missing');
+  return design;
+};
+
+/**
+ * Runs an update handler
+ */
+
+MemoryCollection.prototype.update = function (handler, id, query, body, callback) {
+  if (this.maybeQueueCall('update', true, arguments))
+    return;
+  const [designId, name] = viewserver.parsePath(handler);
+  let res;
+  try {
+    const design = this.design(designId);
+    if (!design.updates || !design.updates[name])
+      throw new DatabaseError.NotFoundError(`missing update function ${name} on design doc ${designId}`);
+    const current = id && this.collection.docs.get(id);
+    const req = viewserver.request(id ? 'PUT' : 'POST', id, query, body);
+    let doc, response;
+    try {
+      [doc, response] = viewserver.update(design.updates[name],
+                                          current && !current._deleted ? current : null, req);
+    }
+    catch (e) {
+      throw new DatabaseError('render_error', e.message);
+    }
+    const written = doc && this.write(doc, false);
+    if (written && written.error)
+      throw DatabaseError.from(written);
+    res = response;
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  process.nextTick(() => callback(null, res));
+};
+
+/**
+ * Runs a list function
+ *
+ * `handler` is `design/list/view`, or `design/list/otherdesign/view`
+ * for a view from another design doc.
+ */
+
+MemoryCollection.prototype.list = function (handler, query, callback) {
+  if (this.maybeQueueCall('list', true, arguments))
+    return;
+  const [designId, path] = viewserver.parsePath(handler);
+  const [name, ...rest] = path.split('/');
+  const view = rest.length > 1 ? rest.join('/') : `${designId.slice('_design/'.length)}/${rest[0]}`;
+  let res;
+  try {
+    const design = this.design(designId);
+    if (!design.lists || !design.lists[name])
+      throw new DatabaseError.NotFoundError(`missing list function ${name} on design doc ${designId}`);
+    const rows = this.view(view, Object.assign({}, query));
+    try {
+      res = viewserver.list(design.lists[name], rows, viewserver.request('GET', null, query));
+    }
+    catch (e) {
+      throw new DatabaseError('render_error', e.message);
+    }
+  }
+  catch (e) {
+    return process.nextTick(() => callback(DatabaseError.from(e)));
+  }
+  process.nextTick(() => callback(null, res));
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryCollection;
@@ -0,0 +1,70 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseConnection = require('../../connection')
+
+/**
+ * An in-memory connection implementation.
+ *
+ * The connection holds a store of databases keyed by collection name.
+ * Passing a store to `open` lets several connections share data:
+ *
+ *     mongoose.instance('memory').connect(); // private store
+ *     mongoose.instance('memory').connect({databases: {}}); // given store
+ *
+ * @inherits Connection
+ * @api private
+ */
+
+function MemoryConnection() {
+  MongooseConnection.apply(this, arguments);
+};
+
+/*!
+ * Inherits from Connection.
+ */
+
+MemoryConnection.prototype.__proto__ = MongooseConnection.prototype;
+
+/**
+ * Opens the connection to the in-memory store.
+ *
+ * @param {Function} fn
+ * @return {Connection} this
+ * @api private
+ */
+
+MemoryConnection.prototype.doOpen = function (fn) {
+  this.db = this.connectionOpts[0] || {};
+  this.db.databases = this.db.databases || {};
+  fn();
+
+  return this;
+};
+
+/**
+ * Closes the connection
+ *
+ * @param {Function} fn
+ * @return {Connection} this
+ * @api private
+ */
+
+MemoryConnection.prototype.doClose = function (fn) {
+  this.collections = {};
+  this.models = {};
+  this.connectionOpts = null;
+  this.name = null;
+  delete(this.db);
+  delete(this._events)
+
+  fn && fn();
+  return this;
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryConnection;
@@ -36,3 +36,11 @@ MongooseError.ValidatorError = require('./errors/validator')
 MongooseError.OverwriteModelError = require('./errors/overwriteModel')
 MongooseError.MissingSchemaError = require('./errors/missingSchema')
 MongooseError.ElemMatchError = require('./errors/elemMatch')
+MongooseError.InvalidDriverError = require('./errors/invalidDriver')
+MongooseError.DatabaseError = require('./errors/database')
+MongooseError.NotFoundError = MongooseError.DatabaseError.NotFoundError
+MongooseError.ConflictError = MongooseError.DatabaseError.ConflictError
+MongooseError.UnauthorizedError = MongooseError.DatabaseError.UnauthorizedError
+MongooseError.ForbiddenError = MongooseError.DatabaseError.ForbiddenError
+MongooseError.DatabaseMissingError = MongooseError.DatabaseError.DatabaseMissingError
+MongooseError.CorruptDocumentError = MongooseError.DatabaseError.CorruptDocumentError
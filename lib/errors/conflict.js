@@ -0,0 +1,33 @@
+/*!
+ * Module dependencies.
+ */
+
+var DatabaseError = require('./database');
+
+/**
+ * ConflictError constructor.
+ *
+ * The document was written without its current revision.
+ *
+ * @param {String} [reason]
+ * @inherits DatabaseError
+ * @api public
+ */
+
+function ConflictError (reason) {
+  DatabaseError.call(this, 'conflict', reason || 'Document update conflict.');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'ConflictError';
+};
+
+/*!
+ * Inherits from DatabaseError.
+ */
+
+ConflictError.prototype.__proto__ = DatabaseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = ConflictError;
@@ -0,0 +1,33 @@
+/*!
+ * Module dependencies.
+ */
+
+var DatabaseError = require('./database');
+
+/**
+ * CorruptDocumentError constructor.
+ *
+ * A stored document cannot be read back, e.g. it is not valid JSON.
+ *
+ * @param {String} [reason]
+ * @inherits DatabaseError
+ * @api public
+ */
+
+function CorruptDocumentError (reason) {
+  DatabaseError.call(this, 'corrupt', reason);
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'CorruptDocumentError';
+};
+
+/*!
+ * Inherits from DatabaseError.
+ */
+
+CorruptDocumentError.prototype.__proto__ = DatabaseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = CorruptDocumentError;
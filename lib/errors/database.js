@@ -0,0 +1,90 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseError = require('../error');
+
+/**
+ * Database Error constructor.
+ *
+ * The base of the errors drivers call back with.  `error` and `reason`
+ * are CouchDB's, e.g. `not_found` and `deleted`, whichever the backend.
+ *
+ * @param {String} error
+ * @param {String} [reason]
+ * @inherits MongooseError
+ * @api public
+ */
+
+function DatabaseError (error, reason) {
+  MongooseError.call(this, reason ? error + ': ' + reason : error);
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'DatabaseError';
+  this.error = error;
+  this.reason = reason;
+};
+
+/*!
+ * Inherits from MongooseError.
+ */
+
+DatabaseError.prototype.__proto__ = MongooseError.prototype;
+
+/*!
+ * Error classes by CouchDB error, and by HTTP status for bodies that
+ * are not CouchDB errors.
+ */
+
+var byError = {};
+var byStatus = {};
+
+/**
+ * Maps a driver error to a DatabaseError.
+ *
+ * CouchDB error bodies, cradle's `CouchError`s and the drivers' own
+ * `{error, reason}` objects become instances of the matching subclass,
+ * keeping any other fields.  Malformed JSON becomes a
+ * `CorruptDocumentError`; other errors, e.g. from the network or file
+ * system, are returned as they are.
+ *
+ * @param {Object} err
+ * @param {Number} [status] HTTP status of the response
+ * @return {Object}
+ * @api private
+ */
+
+DatabaseError.from = function from (err, status) {
+  if (!err || err instanceof DatabaseError)
+    return err;
+  if (err instanceof SyntaxError)
+    return new byError.corrupt(err.message);
+  if (typeof err.error !== 'string')
+    return err;
+
+  var Ctor = byError[err.error] || byStatus[status];
+  if (Ctor === byError.not_found && /^(no_db_file|Database does not exist\.)$/.test(err.reason))
+    Ctor = DatabaseError.DatabaseMissingError;
+  var mapped = Ctor ? new Ctor(err.reason) : new DatabaseError(err.error, err.reason);
+  Object.keys(err).forEach(function (key) {
+    if (!(key in mapped))
+      mapped[key] = err[key];
+  });
+  return mapped;
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = exports = DatabaseError;
+
+/*!
+ * Expose subclasses
+ */
+
+DatabaseError.NotFoundError = byStatus[404] = byError.not_found = require('./notFound');
+DatabaseError.ConflictError = byStatus[409] = byError.conflict = require('./conflict');
+DatabaseError.UnauthorizedError = byStatus[401] = byError.unauthorized = require('./unauthorized');
+DatabaseError.ForbiddenError = byStatus[403] = byError.forbidden = require('./forbidden');
+DatabaseError.DatabaseMissingError = require('./databaseMissing');
+DatabaseError.CorruptDocumentError = byError.corrupt = require('./corruptDocument');
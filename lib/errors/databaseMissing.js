@@ -0,0 +1,33 @@
+/*!
+ * Module dependencies.
+ */
+
+var NotFoundError = require('./notFound');
+
+/**
+ * DatabaseMissingError constructor.
+ *
+ * The database itself does not exist.
+ *
+ * @param {String} [reason]
+ * @inherits NotFoundError
+ * @api public
+ */
+
+function DatabaseMissingError (reason) {
+  NotFoundError.call(this, reason || 'Database does not exist.');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'DatabaseMissingError';
+};
+
+/*!
+ * Inherits from NotFoundError.
+ */
+
+DatabaseMissingError.prototype.__proto__ = NotFoundError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = DatabaseMissingError;
@@ -0,0 +1,34 @@
+/*!
+ * Module dependencies.
+ */
+
+var DatabaseError = require('./database');
+
+/**
+ * ForbiddenError constructor.
+ *
+ * The credentials do not allow the request, or a validation function
+ * rejected the document.
+ *
+ * @param {String} [reason]
+ * @inherits DatabaseError
+ * @api public
+ */
+
+function ForbiddenError (reason) {
+  DatabaseError.call(this, 'forbidden', reason || 'You are not allowed to access this db.');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'ForbiddenError';
+};
+
+/*!
+ * Inherits from DatabaseError.
+ */
+
+ForbiddenError.prototype.__proto__ = DatabaseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = ForbiddenError;
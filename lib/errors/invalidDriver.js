@@ -0,0 +1,30 @@
+
+/*!
+ * Module dependencies.
+ */
+
+var MongooseError = require('../error');
+
+/*!
+ * InvalidDriver Error constructor.
+ *
+ * @inherits MongooseError
+ */
+
+function InvalidDriverError (name, problem) {
+  MongooseError.call(this, 'Driver `' + name + '` ' + problem + '.');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'InvalidDriverError';
+};
+
+/*!
+ * Inherits from MongooseError.
+ */
+
+InvalidDriverError.prototype.__proto__ = MongooseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = InvalidDriverError;
@@ -0,0 +1,34 @@
+/*!
+ * Module dependencies.
+ */
+
+var DatabaseError = require('./database');
+
+/**
+ * NotFoundError constructor.
+ *
+ * The document, view or attachment does not exist; `reason` is
+ * `deleted` for a deleted document.
+ *
+ * @param {String} [reason]
+ * @inherits DatabaseError
+ * @api public
+ */
+
+function NotFoundError (reason) {
+  DatabaseError.call(this, 'not_found', reason || 'missing');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'NotFoundError';
+};
+
+/*!
+ * Inherits from DatabaseError.
+ */
+
+NotFoundError.prototype.__proto__ = DatabaseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = NotFoundError;
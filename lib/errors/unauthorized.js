@@ -0,0 +1,34 @@
+/*!
+ * Module dependencies.
+ */
+
+var DatabaseError = require('./database');
+
+/**
+ * UnauthorizedError constructor.
+ *
+ * The credentials are missing or wrong, or encrypted data cannot be
+ * decrypted with the keys given.
+ *
+ * @param {String} [reason]
+ * @inherits DatabaseError
+ * @api public
+ */
+
+function UnauthorizedError (reason) {
+  DatabaseError.call(this, 'unauthorized', reason || 'You are not authorized to access this db.');
+  Error.captureStackTrace(this, arguments.callee);
+  this.name = 'UnauthorizedError';
+};
+
+/*!
+ * Inherits from DatabaseError.
+ */
+
+UnauthorizedError.prototype.__proto__ = DatabaseError.prototype;
+
+/*!
+ * exports
+ */
+
+module.exports = UnauthorizedError;
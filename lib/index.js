@@ -10,7 +10,9 @@ var Schema = require('./schema')
     , Types = require('./types')
     , Promise = require('./promise')
     , Model = require('./model')
+    , Query = require('./query')
     , Document = require('./document')
+    , driver = require('./driver')
     , utils = require('./utils')
     , format = utils.toCollectionName;
 
@@ -26,13 +28,13 @@ var Schema = require('./schema')
 function Mongoose(options) {
   this.options = Object.assign({}, options);
   this.options.driver = this.options.driver || 'couchdb-cradle';
-  const driverPath = './drivers/' + this.options.driver;
+  const loaded = driver.load(this.options.driver, this.options.name);
   this.connections = [];
   this.plugins = [];
   this.models = {};
   this.modelSchemas = {};
-  this.Connection = require(driverPath + '/connection');
-  this.Collection = require(driverPath + '/collection');
+  this.Connection = loaded.Connection;
+  this.Collection = loaded.Collection;
   this.connectionArgs = Array.prototype.slice.call(arguments, 1);
   // default connection
   this.createConnection.apply(this, this.connectionArgs);
@@ -472,6 +474,15 @@ Mongoose.prototype.Promise = Promise;
 
 Mongoose.prototype.Model = Model;
 
+/**
+ * The Mongoose Query constructor.
+ *
+ * @method Query
+ * @api public
+ */
+
+Mongoose.prototype.Query = Query;
+
 /**
  * The Mongoose Document constructor.
  *
@@ -491,12 +502,47 @@ Mongoose.prototype.Document = Document;
 Mongoose.prototype.Error = require('./error');
 
 /**
- * Set the driver for this instance.
+ * Driver loading and the abstract classes drivers inherit from.
+ *
+ * ####Example:
+ *
+ *     var driver = require('mongoose-couch').driver;
+ *     function MyCollection() { driver.Collection.apply(this, arguments); }
+ *     MyCollection.prototype.__proto__ = driver.Collection.prototype;
+ *
+ * @see driver.js
+ * @api public
+ */
+
+Mongoose.prototype.driver = driver;
+
+/**
+ * Returns the Mongoose instance with the given name, creating it with
+ * the given driver the first time.
+ *
+ * The driver is the name of a bundled driver, a package name, a path
+ * or an object of `Connection` and `Collection` constructors; it is
+ * loaded and checked when the instance is created.  Instances using a
+ * driver object need a `name`.
+ *
+ * ####Example:
+ *
+ *     mongoose.instance('memory');
+ *     mongoose.instance({name: 'cache', driver: 'memory'});
+ *     mongoose.instance({name: 'mine', driver: {Connection: MyConnection, Collection: MyCollection}});
+ *
+ * @param {String|Object} nameOrOptions driver name, or options with `name` and `driver`
+ * @throws {InvalidDriverError} when the driver cannot be loaded or lacks required methods
+ * @return {Mongoose}
+ * @api public
  */
 
 var instances = {};
 
 Mongoose.prototype.instance = function(nameOrOptions) {
+  if (typeof nameOrOptions === 'object' && !nameOrOptions.name && nameOrOptions.driver
+      && typeof nameOrOptions.driver !== 'string')
+    throw new Mongoose.prototype.Error('An instance using a driver object needs a name');
   const instanceName = nameOrOptions.name || nameOrOptions.driver || nameOrOptions;
   if (instanceName === nameOrOptions)
     arguments[0] = nameOrOptions = {name: instanceName, driver: instanceName};
@@ -9,6 +9,8 @@ var Document = require('./document')
     , DiscriminatorMismatch = require('./errors/discriminator-mismatch')
     , EventEmitter = require('events').EventEmitter
     , Promise = require('./promise')
+    , Query = require('./query')
+    , MongooseCollection = require('./collection')
     , tick = utils.tick
     , async = require('async')
 
@@ -390,6 +392,27 @@ Model.init = function init() {
  *       if (err) console.error(err); // error occurred during index creation
  *     })
  *
+ * Each index becomes a view of the `$root` design doc (or one named after the
+ * discriminator) emitting the indexed value as key: `byName` for `{ name: 1 }`.
+ * Compound indexes emit an array of their values, `[doc.last, doc.first]` in
+ * `byLastAndFirst` for `{ last: 1, first: 1 }`; CouchDB collates the whole key
+ * one way, so the directions given are not used.
+ *
+ * An indexed array, `roles: { type: [String], index: true }`, emits a row for
+ * each of its elements instead, so `byRoles` finds documents by any one role
+ * (see `findByElement`). A document may then appear in several rows; an index
+ * holds one array at most.
+ *
+ * Indexes declared with `{ type: 'json' }` are made CouchDB Mango indexes for
+ * `findBySelector` instead, kept in the `_design/mango-$root` design doc (or
+ * one named after the discriminator). Indexes changed or no longer declared
+ * there are replaced or dropped. Drivers without Mango queries ignore them.
+ *
+ * ####Example:
+ *
+ *     eventSchema.index({ kind: 1, date: -1 }, { type: 'json' });
+ *     eventSchema.index({ date: 1 }, { type: 'json', name: 'by-date', partial_filter_selector: { kind: 'party' } });
+ *
  * _NOTE: It is not recommended that you run this in production. View creation may impact database performance depending on your load. Use with caution._
  *
  * @param {Function} [cb] optional callback
@@ -398,6 +421,15 @@ Model.init = function init() {
 
 Model.ensureIndexes = function ensureIndexes(cb) {
   var indexes = this.schema.indexes();
+  var mangoIndexes = indexes.filter(function (index) {
+    return 'json' == index[1].type;
+  });
+  indexes = indexes.filter(function (index) {
+    return 'json' != index[1].type;
+  });
+  // drivers without Mango queries have no use for Mango indexes
+  if (this.collection.getIndexes === MongooseCollection.prototype.getIndexes)
+    mangoIndexes = [];
   var defaultView;
   var customViews = this.schema.options.views;
   /** Handle explicit views. */
@@ -420,36 +452,67 @@ Model.ensureIndexes = function ensureIndexes(cb) {
     designDoc = utils.toCollectionName(this.schema.discriminatorMapping.value);
     discriminatorEarlyOut =
       "if (doc['"+this.schema.discriminatorMapping.key+"'] !== '"+this.schema.discriminatorMapping.value+"') return;";
-    if ((indexes.length === 0 && !defaultView) ||
+    // views of arrays leave out documents with none of their elements
+    var plain = indexes.filter(function (index) {
+      return !Object.keys(index[0]).some(function (path) { return isArrayPath(this.schema, path); }, this);
+    }, this)[0];
+    if ((!plain && !defaultView) ||
         this.schema.options.forcePlainDiscriminatorIndex) {
       indexes = indexes.concat([[{'_id': 1}]]);
       defaultView = designDoc + '/by_id';
     }
-    else
-      for (var fieldName in indexes[0][0]) // loop just to extract key/value pair (only one iteration)
-        defaultView = designDoc + '/by' + fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+    else if (plain)
+      defaultView = designDoc + '/' + indexViewName(plain[0]);
   }
 
   var customUpdates = this.schema.options.updates;
   var customLists = this.schema.options.lists;
 
-  if (!indexes.length && !customViews && !customUpdates && !customLists) {
+  var needsDesign = indexes.length || customViews || customUpdates || customLists;
+  if (!needsDesign && !mangoIndexes.length) {
     return cb && process.nextTick(cb);
   }
 
+  // views answering queries on indexed paths; keys changed by an index
+  // modifier cannot be compared with the values queried
+  var indexViews = [];
+  indexes.forEach(function (index) {
+    var paths = Object.keys(index[0]);
+    var arrays = paths.filter(function (path) {
+      return isArrayPath(this.schema, path);
+    }, this);
+    if (arrays.length > 1)
+      throw new Error(this.modelName + ": Cannot index parallel arrays " + arrays.join(' and ') + ".");
+    if (paths.length > 1 || !indexKeyModifier(this.schema, paths[0])) {
+      var indexView = { view: designDoc + '/' + indexViewName(index[0]), paths: paths };
+      if (arrays.length)
+        indexView.multikey = arrays[0];
+      indexViews.push(indexView);
+    }
+  }, this);
+
   ++this.collection.ensuringIndexes;
 
   this.defaultView = defaultView;
+  this.indexViews = indexViews;
 
   var self = this;
+  var release;
 
   function done(err) {
+    release && release();
     self.emit('index', err);
     if (--self.collection.ensuringIndexes === 0)
        self.collection.doQueue();
     cb && cb(err);
   }
 
+  function designDone(err) {
+    if (err || !mangoIndexes.length)
+      return done(err);
+    syncMangoIndexes(self.collection, '_design/mango-' + designDoc, mangoIndexes, done);
+  }
+
   function hasEquivalentFunctions(a, b) {
     if (a === undefined && b === undefined)
       return true;
@@ -463,7 +526,18 @@ Model.ensureIndexes = function ensureIndexes(cb) {
 
   var schema = this.schema;
 
-  self.collection.findById('_design/' + designDoc, function (err, design) {
+  if (!needsDesign)
+    return designDone();
+
+  // other clients of the database may be updating the design doc too
+  self.collection.exclusive('_design/' + designDoc, function (err, unlock) {
+    if (err)
+      return done(err);
+    release = unlock;
+    self.collection.findById('_design/' + designDoc, update);
+  });
+
+  function update(err, design) {
     design = design || {};
     if (!design.views)
       design.views = {};
@@ -511,7 +585,7 @@ Model.ensureIndexes = function ensureIndexes(cb) {
       if (spec)
         customViewNames.push((viewName = name));
       else
-        indexViewNames.push((viewName = 'by' + name.charAt(0).toUpperCase() + name.slice(1)));
+        indexViewNames.push((viewName = indexViewName(name)));
       var def = {};
       if (spec) {
         if (spec.map)
@@ -520,10 +594,20 @@ Model.ensureIndexes = function ensureIndexes(cb) {
           def.reduce = spec.reduce;
       }
       else {
-        var keyModifier = self.schema.tree[name].index;
-        if (typeof keyModifier !== 'string')
-          keyModifier = '';
-        def.map = 'function(doc){'+discriminatorEarlyOut+'emit(doc.'+name+keyModifier+',doc);}';
+        var paths = Object.keys(name);
+        var array = paths.filter(function (path) {
+          return isArrayPath(self.schema, path);
+        })[0];
+        var values = paths.map(function (path) {
+          return path === array ? 'e' : 'doc.' + path;
+        });
+        var key = values.length > 1
+          ? '[' + values.join(',') + ']'
+          : values[0] + indexKeyModifier(self.schema, paths[0]);
+        // arrays emit a row for each of their elements
+        def.map = array
+          ? 'function(doc){'+discriminatorEarlyOut+'if(Array.isArray(doc.'+array+'))doc.'+array+'.forEach(function(e){emit('+key+',doc);});}'
+          : 'function(doc){'+discriminatorEarlyOut+'emit('+key+',doc);}';
       }
       if (!hasEquivalentFunctions(views[viewName], def)) {
         views[viewName] = def;
@@ -531,11 +615,8 @@ Model.ensureIndexes = function ensureIndexes(cb) {
       }
     }
 
-    for (var i in indexes) {
-      var fieldSpec = indexes[i][0];
-      for (fieldName in fieldSpec) // loop just to extract key/value pair (only one iteration)
-        maybeUpdateIndex(fieldName);
-    }
+    for (var i in indexes)
+      maybeUpdateIndex(indexes[i][0]);
 
     for (var viewName in customViews)
       maybeUpdateIndex(viewName, customViews[viewName]);
@@ -558,10 +639,95 @@ Model.ensureIndexes = function ensureIndexes(cb) {
 
     if (modified) {
       design._id = '_design/' + designDoc;
-      self.collection.insert(design, null, done);
+      self.collection.insert(design, null, designDone);
     }
     else
-      process.nextTick(done);
+      process.nextTick(designDone);
+  }
+}
+
+/*!
+ * Names the view of an index: `byLast`, or `byLastAndFirst` for
+ * `{ last: 1, first: 1 }`.
+ */
+
+function indexViewName(spec) {
+  return 'by' + Object.keys(spec).map(function (path) {
+    return path.charAt(0).toUpperCase() + path.slice(1);
+  }).join('And');
+}
+
+/*!
+ * Tells whether `path` holds an array.
+ */
+
+function isArrayPath(schema, path) {
+  return schema.path(path) instanceof Types.Array;
+}
+
+/*!
+ * Returns the key modifier of a path indexed with e.g.
+ * `{ index: '.toLowerCase()' }`, or an empty string.
+ */
+
+function indexKeyModifier(schema, path) {
+  var type = schema.tree[path];
+  return type && 'string' == typeof type.index ? type.index : '';
+}
+
+/*!
+ * Turns `{ a: 1, b: -1 }` into the fields of a Mango index.
+ */
+
+function mangoIndexFields(spec) {
+  return Object.keys(spec).map(function (path) {
+    var field = {};
+    field[mangoField(path)] = -1 == spec[path] || 'desc' == spec[path] ? 'desc' : 'asc';
+    return field;
+  });
+}
+
+/*!
+ * Makes the Mango indexes in design doc `ddoc` those `declared`:
+ * missing ones are created, changed ones replaced and the rest
+ * dropped.  Indexes in other design docs are left alone.
+ */
+
+function syncMangoIndexes(collection, ddoc, declared, callback) {
+  var wanted = declared.map(function (index) {
+    var def = { fields: mangoIndexFields(index[0]) };
+    if (index[1].partial_filter_selector)
+      def.partial_filter_selector = index[1].partial_filter_selector;
+    var name = index[1].name || Object.keys(index[0]).map(function (path) {
+      return path + '_' + index[0][path];
+    }).join('_');
+    return { index: def, ddoc: ddoc, name: name, type: 'json' };
+  });
+
+  function same(existing, index) {
+    return existing.name == index.name
+        && utils.deepEqual(existing.def.fields, index.index.fields)
+        && utils.deepEqual(existing.def.partial_filter_selector || {}, index.index.partial_filter_selector || {});
+  }
+
+  collection.getIndexes(function (err, existing) {
+    if (err)
+      return callback(err);
+    existing = existing.filter(function (index) { return index.ddoc == ddoc; });
+    var stale = existing.filter(function (index) {
+      return !wanted.some(function (w) { return same(index, w); });
+    });
+    var missing = wanted.filter(function (w) {
+      return !existing.some(function (index) { return same(index, w); });
+    });
+    // drop first: a changed index keeps its name
+    async.series(stale.map(function (index) {
+      return function (next) { collection.dropIndex(ddoc, index.name, next); };
+    }).concat(missing.map(function (index) {
+      return function (next) { collection.ensureIndex(index, next); };
+    })), function (err) {
+      callback(err);
+    });
   });
 }
 
@@ -645,109 +811,59 @@ Model.remove = function remove(docs, callback) {
   this.collection.bulkRemove(docs, callback);
 };
 
-/**
- * find [[options [manipulator]] callback]
- * Hack to pacify client interface.
- * Ignores manipulator.
- * Returns a wrapper that only supports 'remove' with a callback.
- * if callback given, fetch full objects
- */
-
-function response_to_input_refs(a) {
-   for(var i = 0, j = 0, e = a.length; i < e; ++i) {
-      if (a[i].id[0] === '_')
-         continue;
-      var o = a[i];
-      o._id = o.id; delete o.id; delete o.key;
-      o._rev = o.value.rev; delete o.value;
-      a[j++] = o;
-   };
-   a.length = j;
-}
-
-function response_to_input_full(a) {
-   for(var i = 0, j = 0, e = a.length; i < e; ++i) {
-      if (a[i].id[0] === '_')
-         continue;
-      a[j++] = a[i].doc;
-   };
-   a.length = j;
-}
-
-function is_empty(o) {
-  var k;
-  for (k in o)
-    return false;
-  return true;
+function rows_to_docs(a) {
+   return a.filter(function (row) { return row.doc; })
+           .map(function (row) { return row.doc; });
 }
 
+/**
+ * Finds documents.
+ *
+ * Returns a [Query](#query-js) to refine further, run by `exec` or
+ * `then`, or at once when a `callback` is passed.  Conditions on
+ * indexed paths are answered by the index views.
+ *
+ * ####Examples:
+ *
+ *     // all people
+ *     Person.find(function (err, people) {});
+ *
+ *     // adults, oldest first, by name only
+ *     Person.find({ age: { $gte: 18 } }, 'name', { sort: '-age' }, function (err, people) {});
+ *
+ *     // same as above
+ *     Person.find().where('age').gte(18).select('name').sort('-age').exec(function (err, people) {});
+ *
+ *     // remove what is found
+ *     Person.find({ age: { $lt: 18 } }).remove(function (err, res) {});
+ *
+ * @param {Object} [conditions]
+ * @param {Object|String} [fields] optional fields to select
+ * @param {Object} [options] `sort`, `limit`, `skip` and `lean`
+ * @param {Function} [callback]
+ * @return {Query}
+ * @see Query #query-js
+ * @api public
+ */
 
-Model.find = function find(options, manipulator, callback) {
-  var self = this;
-  switch (arguments.length) {
-     case 1:
-       if (typeof options === 'function')
-       {
-          callback = options;
-          options = undefined;
-       }
-       break;
-     case 2:
-       callback = manipulator;
-       break;
-     case 0:
-     case 3:
-       break;
-     default:
-       throw new Error('Invalid arguments');
+Model.find = function find(conditions, fields, options, callback) {
+  if ('function' == typeof conditions) {
+    callback = conditions;
+    conditions = fields = options = undefined;
   }
-  var search = new Promise(callback);
-  if (options !== undefined && !is_empty(options))
-     options = {body: options};
-  var find = self.defaultView
-    ? self.collection.findWithView.bind(self.collection, self.defaultView)
-    : self.collection.all.bind(self.collection)
-    ;
-  // If fetching directly from cradle, some transformation is required
-  // here.  If going through a view (defaultView is defined) then
-  // findWithView does that transformation already.
-  var transform = function (x) { return x; };
-  if (callback !== undefined) {
-    if (options === undefined)
-       options = {};
-    options.include_docs = true;
-    if (!self.defaultView)
-      transform = response_to_input_full;
+  else if ('function' == typeof fields) {
+    callback = fields;
+    fields = options = undefined;
   }
-  else if (!self.defaultView)
-    transform = response_to_input_refs;
-
-  find(options, function(err, objs){
-     if (err)
-        return search.reject(err);
-     transform(objs);
-     return search.fulfill(objs);
-  });
-  if(callback !== undefined)
-     return search;
-  var onReject = function(err) {
-     console.log("Find operation failed but error was not caught.", err);
-  };
-  search.onReject(function(err) {
-     onReject(err);
-  });
-  return {
-     onReject: function(f) { onReject = f; return this; },
-     remove: function(callback) {
-        search.then(function(objs) {
-           self.collection.bulkRemove(objs, callback);
-        }, function(err) {
-           callback(err);
-        }).end(function(err) {
-           callback(err);
-        });
-     }
-  };
+  else if ('function' == typeof options) {
+    callback = options;
+    options = undefined;
+  }
+
+  var query = new Query(this, conditions, fields, options);
+  if (callback)
+    query.exec(callback);
+  return query;
 };
 
 /**
@@ -819,6 +935,227 @@ Model.findOneWithView = function findOneWithView(view, options, callback) {
   });
 };
 
+/*!
+ * Mango operators whose argument is not a value of the field.
+ */
+
+var VERBATIM_OPERATORS = ['$exists', '$type', '$size', '$mod', '$regex'];
+
+/*!
+ * Tells whether `cond` is a plain object of conditions rather than a value.
+ */
+
+function isConditions(cond) {
+  return !!cond && 'object' == typeof cond && !Array.isArray(cond)
+      && !(cond instanceof Date) && !(cond instanceof RegExp);
+}
+
+/*!
+ * Casts the operators of a Mango condition for a path of `type`.
+ */
+
+function castOperators(type, cond) {
+  if (!isConditions(cond))
+    return utils.castValue(type, cond);
+
+  var out = {};
+  Object.keys(cond).forEach(function (op) {
+    var arg = cond[op];
+    if ('$and' == op || '$or' == op || '$nor' == op)
+      out[op] = arg.map(function (sub) { return castOperators(type, sub); });
+    else if ('$not' == op)
+      out[op] = castOperators(type, arg);
+    else if ('$elemMatch' == op || '$allMatch' == op)
+      out[op] = type && type.schema
+        ? castSelector(type.schema, arg, '')
+        : castOperators(type && type.caster, arg);
+    else if (-1 != VERBATIM_OPERATORS.indexOf(op))
+      out[op] = arg;
+    else if (('$in' == op || '$nin' == op || '$all' == op) && Array.isArray(arg))
+      out[op] = arg.map(function (v) { return utils.castValue(type, v); });
+    else
+      out[op] = utils.castValue(type, arg);
+  });
+  return out;
+}
+
+/*!
+ * Casts the condition of a Mango selector on `path`.
+ */
+
+function castCondition(schema, path, cond) {
+  var type = schema.path(path);
+  var nested = isConditions(cond) && !Object.keys(cond).some(function (key) {
+    return '$' == key.charAt(0);
+  });
+  // fields of a nested object are paths of the schema
+  if (nested && !type)
+    return castSelector(schema, cond, path + '.');
+  return nested ? cond : castOperators(type, cond);
+}
+
+/*!
+ * Casts the values of a Mango selector through `schema`.
+ */
+
+function castSelector(schema, selector, prefix) {
+  var out = {};
+  Object.keys(selector).forEach(function (key) {
+    var cond = selector[key];
+    if ('$and' == key || '$or' == key || '$nor' == key)
+      out[key] = cond.map(function (sub) { return castSelector(schema, sub, prefix); });
+    else if ('$not' == key)
+      out[key] = castSelector(schema, cond, prefix);
+    else
+      out[key] = castCondition(schema, prefix + key, cond);
+  });
+  return out;
+}
+
+/*!
+ * Escapes the `$` starting a field name in a Mango selector.
+ */
+
+function mangoField(path) {
+  return path.split('.').map(function (key) {
+    return key.replace(/^\$/, '\\$');
+  }).join('.');
+}
+
+/*!
+ * Turns `'-age name'` or `{ age: -1, name: 1 }` into a Mango sort.
+ */
+
+function mangoSort(sort) {
+  if (Array.isArray(sort))
+    return sort;
+  if ('string' == typeof sort) {
+    return sort.split(/\s+/).filter(Boolean).map(function (path) {
+      var spec = {};
+      if ('-' == path.charAt(0))
+        spec[path.slice(1)] = 'desc';
+      else
+        spec[path.replace(/^\+/, '')] = 'asc';
+      return spec;
+    });
+  }
+  return Object.keys(sort).map(function (path) {
+    var spec = {};
+    var dir = sort[path];
+    spec[path] = -1 == dir || 'desc' == dir || 'descending' == dir ? 'desc' : 'asc';
+    return spec;
+  });
+}
+
+/**
+ * Finds documents with a CouchDB Mango query.
+ *
+ * The values in the `selector` are cast through the schema.  Sorting
+ * needs an index on the sorted fields, and CouchDB returns 25
+ * documents unless given a `limit`; the `bookmark` passed to the
+ * callback continues from the last document returned.  The CouchDB
+ * drivers need CouchDB 2.0 or later; the memory and flat-file drivers
+ * check the selector against all documents.
+ *
+ * ####Example:
+ *
+ *     Person.findBySelector({ age: { $gte: 18 } }, { sort: '-age', limit: 10 }, function (err, people, bookmark) {
+ *       // next page
+ *       Person.findBySelector({ age: { $gte: 18 } }, { sort: '-age', limit: 10, bookmark: bookmark }, callback);
+ *     });
+ *
+ * @param {Object} selector Mango selector
+ * @param {Object} [options] `fields`, `sort`, `limit`, `skip`, `bookmark`, `use_index` and other `_find` options
+ * @param {Function} callback receives the documents and the bookmark
+ * @see http://docs.couchdb.org/en/stable/api/database/find.html
+ * @api public
+ */
+
+Model.findBySelector = function findBySelector(selector, options, callback) {
+  if ('function' == typeof options) {
+    callback = options;
+    options = {};
+  }
+
+  if (this.collection.findWithSelector === MongooseCollection.prototype.findWithSelector)
+    return callback(new Error(this.modelName + ": The driver does not support Mango queries."));
+
+  var self = this;
+  var mapping = this.schema.discriminatorMapping;
+  var query = utils.clone(options || {});
+
+  try {
+    query.selector = castSelector(this.schema, selector || {}, '');
+  }
+  catch (err) {
+    return callback(err);
+  }
+  var kind = mapping && mangoField(mapping.key);
+  if (mapping && !mapping.isRoot && !(kind in query.selector))
+    query.selector[kind] = mapping.value;
+
+  if (query.fields) {
+    var fields = 'string' == typeof query.fields
+      ? query.fields.split(/\s+/).filter(Boolean)
+      : query.fields.slice();
+    // what a saved document needs, and what hydrate checks
+    ['_id', '_rev'].concat(mapping ? [kind] : []).forEach(function (path) {
+      if (-1 == fields.indexOf(path))
+        fields.push(path);
+    });
+    query.fields = fields;
+  }
+  if (query.sort)
+    query.sort = mangoSort(query.sort);
+
+  this.collection.findWithSelector(query, function (err, res) {
+    if (err)
+      return callback(err);
+    self.hydrate(res.docs, /*queryRoot=*/false, function (err, docs) {
+      callback(err, docs, res.bookmark);
+    });
+  });
+};
+
+/**
+ * Finds the documents whose array at `path` holds `value`.
+ *
+ * The `value` is cast to the type of the elements.  With the array
+ * indexed, `roles: { type: [String], index: true }`, its view emitting
+ * each element answers the lookup; each document is found once however
+ * many of its elements match.
+ *
+ * ####Example:
+ *
+ *     Account.findByElement('roles', 'admin', function (err, admins) {});
+ *
+ *     // same as above
+ *     Account.findByElement('roles', 'admin').sort('name').exec(callback);
+ *
+ * @param {String} path of an array
+ * @param {any} value
+ * @param {Function} [callback]
+ * @return {Query}
+ * @api public
+ */
+
+Model.findByElement = function findByElement(path, value, callback) {
+  var type = this.schema.path(path);
+  if (!isArrayPath(this.schema, path))
+    throw new Error(this.modelName + ": " + path + " is not an array.");
+
+  var conditions = {};
+  try {
+    conditions[path] = utils.castValue(type, value);
+  }
+  catch (err) {
+    if (!callback)
+      throw err;
+    return callback(err);
+  }
+  return this.find(conditions, callback);
+};
+
 /**
  * Finds a single document by id.
  *
@@ -847,6 +1184,9 @@ Model.findOneWithView = function findOneWithView(view, options, callback) {
  *     // same as above
  *     Adventure.findById(id, 'name').lean().exec(function (err, doc) {});
  *
+ *     // find several adventures; missing or deleted ids are left out
+ *     Adventure.findById([id1, id2], function (err, adventures) {});
+ *
  * @param {ObjectId|HexId} id objectid, or a value that can be casted to one
  * @param {Object} [fields] optional fields to select
  * @param {Object} [options] optional
@@ -868,6 +1208,8 @@ Model.findById = function findById(ids, options, callback) {
     if (err) {
       return callback(err);
     }
+    if (Array.isArray(ids))
+      docs = rows_to_docs(docs);
     self.hydrate(docs, /*queryRoot=*/false, callback);
   });
 };
@@ -947,16 +1289,42 @@ Model.mapReduce = function mapReduce(doc, opts, callback) {
 
 /**
  * Run the given CouchDB update handler with the given parameters.
- * Forwards to cradle:
- *    https://github.com/flatiron/cradle#update-handlers
+ *
+ * ####Example:
+ *
+ *     // runs _design/$root/_update/touch against doc 'abc'
+ *     Event.update('$root/touch', 'abc', {}, null, function (err, res) {});
+ *
+ * @param {String} handlerName `design/handler` path
+ * @param {String} [id] document to update; a new doc is made if omitted
+ * @param {Object} [query] query parameters for the handler
+ * @param {Object|String} [body] request body for the handler
+ * @param {Function} callback
+ * @see http://docs.couchdb.org/en/stable/ddocs/ddocs.html#update-functions
+ * @api public
  */
 
 Model.update = function update(handlerName, id, query, body, callback) {
-  this.collection.collection.update(handlerName, id, query, body, callback);
+  this.collection.update(handlerName, id, query, body, callback);
 };
 
+/**
+ * Run the given CouchDB list function with the given parameters.
+ *
+ * ####Example:
+ *
+ *     // renders the $root/byName view with _design/$root/_list/names
+ *     Event.list('$root/names/byName', { limit: 10 }, function (err, res) {});
+ *
+ * @param {String} handlerName `design/list/view` or `design/list/otherdesign/view` path
+ * @param {Object} [query] view query options
+ * @param {Function} callback
+ * @see http://docs.couchdb.org/en/stable/ddocs/ddocs.html#list-functions
+ * @api public
+ */
+
 Model.list = function list(handlerName, query, callback) {
-  this.collection.collection.list(handlerName, query, callback);
+  this.collection.list(handlerName, query, callback);
 };
 
 
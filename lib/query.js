@@ -0,0 +1,803 @@
+/*!
+ * Module dependencies.
+ */
+
+var Promise = require('./promise')
+  , utils = require('./utils')
+  , viewserver = require('./viewserver');
+
+/**
+ * Query constructor used for building queries.
+ *
+ * Returned by `Model.find`.  Condition values are cast through the
+ * schema, and `$or`, `$and` and `$nor` take arrays of conditions that
+ * are checked against the documents.  Conditions on indexed paths are answered
+ * by the index's view: equality becomes `key`, `$in` becomes `keys`
+ * and a range becomes `startkey` and `endkey`.  The view of a compound
+ * index answers equality on its leading paths, followed by `$in` on
+ * its last path or a range on the next, and gives results ordered by
+ * the paths that follow.  Without such a view, the model's documents
+ * are read.  Whatever the view does not
+ * answer is checked against the documents, comparing values as view
+ * keys are collated.
+ *
+ * ####Example:
+ *
+ *     Person.find({ age: { $gte: 21 } })
+ *       .where('name').in(['Alice', 'Bob'])
+ *       .sort('-age name')
+ *       .skip(10).limit(5)
+ *       .select('name age')
+ *       .exec(function (err, people) {});
+ *
+ *     // queries are thenable
+ *     Person.find().where('name', 'Alice').lean().then(function (people) {});
+ *
+ * CouchDB replaces documents as a whole, so saving a document found
+ * with `select` drops the fields left out.  Conditions the query cannot
+ * take, such as unsupported operators or values that do not cast, are
+ * passed to the callback of `exec`.
+ *
+ * @param {Model} model
+ * @param {Object} [conditions]
+ * @param {Object|String} [fields] as for `select`
+ * @param {Object} [options] `sort`, `limit`, `skip` and `lean`
+ * @api public
+ */
+
+function Query(model, conditions, fields, options) {
+  this.model = model;
+  this._conditions = {};
+  this._clauses = [];
+  this._error = undefined;
+  this._path = undefined;
+  this._fields = undefined;
+  this._sort = [];
+  this._limit = undefined;
+  this._skip = 0;
+  this._lean = false;
+
+  if (conditions)
+    this.where(conditions);
+  if (fields)
+    this.select(fields);
+  options = options || {};
+  if (options.sort)
+    this.sort(options.sort);
+  if (options.limit != null)
+    this.limit(options.limit);
+  if (options.skip != null)
+    this.skip(options.skip);
+  if (options.lean)
+    this.lean(options.lean);
+}
+
+/*!
+ * Operators conditions may use.
+ */
+
+var OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex'];
+
+/*!
+ * Operators joining arrays of conditions.
+ */
+
+var LOGICAL = ['$or', '$and', '$nor'];
+
+/*!
+ * Tells whether `value` is an object of operators, e.g. `{ $gt: 1 }`.
+ */
+
+function isOperators(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof RegExp)
+    return false;
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys.every(function (key) { return key[0] === '$'; });
+}
+
+/*!
+ * Turns a condition value into what is stored, e.g. dates into their
+ * JSON strings.
+ */
+
+function normalize(value) {
+  if (value instanceof RegExp)
+    return value;
+  if (Array.isArray(value))
+    return value.map(normalize);
+  if (value === undefined)
+    return undefined;
+  return JSON.parse(viewserver.stringify(value));
+}
+
+/**
+ * Specifies a path for use with chaining, or adds conditions.
+ *
+ * ####Example:
+ *
+ *     Person.find().where('age').gte(21).lte(65);
+ *     Person.find().where('name', 'Alice');
+ *     Person.find().where({ name: 'Alice', age: { $gte: 21 } });
+ *
+ * @param {String|Object} path
+ * @param {any} [val] equality, or an object of operators
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.where = function (path, val) {
+  if (path && typeof path === 'object') {
+    for (var p in path) {
+      if (LOGICAL.indexOf(p) !== -1)
+        this.clauses(p, path[p]);
+      else
+        this.where(p, path[p]);
+    }
+    return this;
+  }
+  this._path = path;
+  if (arguments.length === 2)
+    this.equals(val);
+  return this;
+};
+
+/**
+ * Specifies the value the path given to `where` equals.
+ *
+ * A RegExp is matched against the value; an object of operators adds
+ * each of them.
+ *
+ * @param {any} val
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.equals = function (val) {
+  if (isOperators(val)) {
+    for (var op in val)
+      this.condition(this._path, op, val[op]);
+    return this;
+  }
+  return this.condition(this._path, val instanceof RegExp ? '$regex' : '$eq', val);
+};
+
+/**
+ * Adds a condition on `path`.
+ *
+ * @param {String} path
+ * @param {String} op one of `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$exists` and `$regex`
+ * @param {any} val
+ * @return {Query} this
+ * @api private
+ */
+
+Query.prototype.condition = function (path, op, val) {
+  if (!path)
+    return this.fail(new Error('Query ' + op + ' needs a path; call where() first'));
+  // `$where` and the like; paths such as `$kind` start with `$` too
+  if (path[0] === '$' && !this.model.schema.path(path))
+    return this.fail(new Error('Query operator ' + path + ' is not supported'));
+  if (OPERATORS.indexOf(op) === -1)
+    return this.fail(new Error('Query operator ' + op + ' is not supported'));
+  if (op === '$regex' && !(val instanceof RegExp))
+    val = new RegExp(val);
+  try {
+    val = this.cast(path, op, val);
+  }
+  catch (err) {
+    return this.fail(err);
+  }
+  var cond = this._conditions[path] || (this._conditions[path] = {});
+  cond[op] = normalize(val);
+  return this;
+};
+
+/*!
+ * Casts the value of a condition through the schema, as for Mango
+ * selectors.
+ */
+
+Query.prototype.cast = function (path, op, val) {
+  var type = this.model.schema.path(path);
+  if (op === '$exists' || op === '$regex')
+    return val;
+  if ((op === '$in' || op === '$nin') && Array.isArray(val))
+    return val.map(function (v) { return utils.castValue(type, v); });
+  return utils.castValue(type, val);
+};
+
+/*!
+ * Keeps the first error in the conditions for `exec`.
+ */
+
+Query.prototype.fail = function (err) {
+  this._error = this._error || err;
+  return this;
+};
+
+/*!
+ * Adds an array of conditions joined by `op`, one of `$or`, `$and` and
+ * `$nor`.
+ */
+
+Query.prototype.clauses = function (op, conditions) {
+  if (!Array.isArray(conditions))
+    return this.fail(new Error('Query ' + op + ' needs an array of conditions'));
+  var queries = conditions.map(function (cond) {
+    var query = new Query(this.model, cond);
+    if (query._error)
+      this.fail(query._error);
+    return query;
+  }, this);
+  this._clauses.push({op: op, queries: queries});
+  return this;
+};
+
+/*!
+ * Logical methods: `or(conditions)` for `{ $or: conditions }`, e.g.
+ * `Person.find().or([{ age: { $lt: 18 } }, { age: { $gt: 65 } }])`.
+ */
+
+LOGICAL.forEach(function (op) {
+  Query.prototype[op.slice(1)] = function (conditions) {
+    return this.clauses(op, conditions);
+  };
+});
+
+/*!
+ * Operator methods: `gt(val)` on the path given to `where`, or
+ * `gt(path, val)`.
+ */
+
+['ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'regex'].forEach(function (name) {
+  Query.prototype[name] = function (path, val) {
+    if (arguments.length === 1) {
+      val = path;
+      path = this._path;
+    }
+    return this.condition(path, '$' + name, val);
+  };
+});
+
+/**
+ * Specifies whether the path given to `where` exists.
+ *
+ * ####Example:
+ *
+ *     Person.find().where('email').exists();
+ *     Person.find().exists('email', false);
+ *
+ * @param {String} [path]
+ * @param {Boolean} [val] defaults to true
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.exists = function (path, val) {
+  if (typeof path !== 'string') {
+    val = path;
+    path = this._path;
+  }
+  return this.condition(path, '$exists', val === undefined ? true : !!val);
+};
+
+/**
+ * Sets the sort order.
+ *
+ * Takes a string of space separated paths, descending when prefixed
+ * with `-`, or an object of paths to `1`/`asc` or `-1`/`desc`.
+ *
+ * ####Example:
+ *
+ *     query.sort('-age name');
+ *     query.sort({ age: -1, name: 1 });
+ *
+ * @param {String|Object} arg
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.sort = function (arg) {
+  var sort = this._sort;
+  if (typeof arg === 'string') {
+    arg.split(/\s+/).filter(Boolean).forEach(function (path) {
+      if (path[0] === '-')
+        sort.push([path.slice(1), -1]);
+      else
+        sort.push([path.replace(/^\+/, ''), 1]);
+    });
+  }
+  else {
+    for (var path in arg)
+      sort.push([path, /^(-1|desc|descending)$/.test(String(arg[path])) ? -1 : 1]);
+  }
+  return this;
+};
+
+/**
+ * Sets the maximum number of documents found.
+ *
+ * @param {Number} val
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.limit = function (val) {
+  this._limit = val;
+  return this;
+};
+
+/**
+ * Sets the number of documents to skip.
+ *
+ * @param {Number} val
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.skip = function (val) {
+  this._skip = val;
+  return this;
+};
+
+/**
+ * Selects the fields documents are found with.
+ *
+ * Takes a string of space separated paths, or of paths prefixed with
+ * `-` to leave out, or an object of paths to `1` or `0`.  `_id` and
+ * `_rev` are always kept.
+ *
+ * ####Example:
+ *
+ *     query.select('name age');
+ *     query.select('-secret');
+ *     query.select({ name: 1 });
+ *
+ * @param {String|Object} arg
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.select = function (arg) {
+  var fields = {};
+  if (typeof arg === 'string') {
+    arg.split(/\s+/).filter(Boolean).forEach(function (path) {
+      if (path[0] === '-')
+        fields[path.slice(1)] = 0;
+      else
+        fields[path.replace(/^\+/, '')] = 1;
+    });
+  }
+  else {
+    for (var path in arg)
+      fields[path] = arg[path] ? 1 : 0;
+  }
+  var include = Object.keys(fields).filter(function (path) { return fields[path]; }).length;
+  if (include && include !== Object.keys(fields).length)
+    throw new Error('Query cannot both include and exclude fields');
+  this._fields = fields;
+  return this;
+};
+
+/**
+ * Finds plain objects rather than documents.
+ *
+ * @param {Boolean} [val] defaults to true
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.lean = function (val) {
+  this._lean = arguments.length ? !!val : true;
+  return this;
+};
+
+/**
+ * Works out how the query is answered.
+ *
+ * Returns `view` and its query `options`, or no `view` when documents
+ * are read as they are; `exact` when the view answers all conditions
+ * and `ordered` when it gives the requested order, in which case
+ * `skip` and `limit` are part of the options.
+ *
+ * @return {Object} `{view, options, exact, ordered}`
+ * @api private
+ */
+
+Query.prototype.plan = function () {
+  var conditions = this._conditions;
+  var sort = this._sort;
+  var best;
+  (this.model.indexViews || []).forEach(function (index) {
+    var candidate = planIndex(index, conditions, sort);
+    if (candidate && (!best || compareScores(candidate.score, best.score) > 0))
+      best = candidate;
+  });
+
+  var plan = best
+    ? {view: best.view, options: best.options, exact: best.exact, ordered: best.ordered}
+    : {view: undefined, options: {}, exact: !Object.keys(conditions).length, ordered: !sort.length};
+  // the views do not answer `$or`, `$and` or `$nor`
+  if (this._clauses.length)
+    plan.exact = false;
+
+  // the view of an array may give a document more than once
+  if (plan.view && plan.exact && plan.ordered && !best.multikey) {
+    if (this._skip)
+      plan.options.skip = this._skip;
+    if (this._limit != null)
+      plan.options.limit = this._limit;
+  }
+  return plan;
+};
+
+/*!
+ * Collates after any key part but objects, closing a range of
+ * compound keys.
+ */
+
+var HIGHEST = {};
+
+/*!
+ * Preference of the ways a view answers, best last.
+ */
+
+var KINDS = ['sort', 'prefix', 'range', 'keys', 'key'];
+
+/*!
+ * Compares the scores of two plans.
+ */
+
+function compareScores(a, b) {
+  for (var i = 0; i < a.length; ++i)
+    if (a[i] !== b[i])
+      return a[i] - b[i];
+  return 0;
+}
+
+/*!
+ * Works out how the view of an index, `{view, paths}`, answers the
+ * conditions: equality on its leading paths, then `$in` on the last
+ * or a range on the next, or only the order.  Returns nothing when the
+ * view is of no use, else the plan with a `score`.
+ *
+ * The view of an index on an array, `multikey`, has a row for each
+ * element, and none for an empty array: it is of use only when the
+ * conditions ask for an element.
+ */
+
+function planIndex(index, conditions, sort) {
+  var paths = index.paths;
+  var single = paths.length === 1;
+  var multikey = index.multikey;
+
+  var prefix = [];
+  while (prefix.length < paths.length
+         && conditions[paths[prefix.length]]
+         && '$eq' in conditions[paths[prefix.length]]
+         && !(paths[prefix.length] === multikey && Array.isArray(conditions[multikey].$eq)))
+    prefix.push(conditions[paths[prefix.length]].$eq);
+  var fixed = paths.slice(0, prefix.length);
+  var next = paths[prefix.length];
+  var cond = conditions[next] || {};
+
+  // the order asked for, but for paths of one value
+  var rest = sort.filter(function (s) { return fixed.indexOf(s[0]) === -1; });
+  var follows = rest.every(function (s, i) {
+    return s[0] === paths[prefix.length + i] && s[1] === rest[0][1];
+  });
+  var descending = follows && rest.length > 0 && rest[0][1] < 0;
+  // elements do not give the order of their arrays
+  if (rest.some(function (s) { return s[0] === multikey; }))
+    follows = descending = false;
+
+  var kind, low, high, exactOps = [];
+  var options = {};
+  if (prefix.length === paths.length) {
+    kind = 'key';
+    options.key = single ? prefix[0] : prefix;
+  }
+  else if (Array.isArray(cond.$in) && prefix.length === paths.length - 1
+           && !(next === multikey && cond.$in.some(Array.isArray))) {
+    // rows come in the order of the keys
+    kind = 'keys';
+    options.keys = cond.$in.map(function (v) { return single ? v : prefix.concat([v]); });
+    exactOps = ['$in'];
+    descending = false;
+    follows = !rest.length;
+  }
+  else if (('$gt' in cond || '$gte' in cond || '$lt' in cond || '$lte' in cond)
+           && !(next === multikey && [cond.$gt, cond.$gte, cond.$lt, cond.$lte].some(Array.isArray))) {
+    kind = 'range';
+    var lower = '$gte' in cond ? cond.$gte : cond.$gt;
+    var upper = '$lte' in cond ? cond.$lte : cond.$lt;
+    // keys below the upper bound include nulls, from missing values
+    exactOps = lower == null ? [] : ['$gte', '$lte'];
+    // each bound may be met by another element
+    if (next === multikey && lower !== undefined && upper !== undefined) {
+      upper = undefined;
+      exactOps = [];
+    }
+    if (single) {
+      low = lower;
+      high = upper;
+    }
+    else {
+      low = prefix.concat(lower === undefined ? [] : [lower]);
+      high = prefix.concat(upper === undefined ? [HIGHEST] : [upper, HIGHEST]);
+    }
+  }
+  else if (prefix.length) {
+    kind = 'prefix';
+    low = prefix;
+    high = prefix.concat([HIGHEST]);
+  }
+  else if (rest.length && follows)
+    kind = 'sort';
+  else
+    return;
+
+  if (multikey && fixed.indexOf(multikey) === -1 && !(next === multikey && (kind === 'keys' || kind === 'range')))
+    return;
+
+  var start = descending ? high : low;
+  var end = descending ? low : high;
+  if (start !== undefined)
+    options.startkey = start;
+  if (end !== undefined)
+    options.endkey = end;
+  if (descending)
+    options.descending = true;
+
+  var answered = kind === 'keys' || kind === 'range' ? fixed.concat([next]) : fixed;
+  var exact = Object.keys(conditions).every(function (path) {
+    var ops = Object.keys(conditions[path]);
+    if (fixed.indexOf(path) !== -1)
+      return ops.length === 1;
+    return path === next && ops.every(function (op) { return exactOps.indexOf(op) !== -1; });
+  });
+
+  return {
+      view: index.view
+    , options: options
+    , exact: exact
+    , ordered: follows
+    , multikey: !!multikey
+    , score: [answered.length, KINDS.indexOf(kind), +exact, +follows]
+  };
+}
+
+/*!
+ * Reads the value at a dotted `path` of `doc`.
+ */
+
+function get(doc, path) {
+  return path.split('.').reduce(function (value, key) {
+    return value == null ? undefined : value[key];
+  }, doc);
+}
+
+/*!
+ * Tests a value against one operator.  An array meets it when one of
+ * its elements does, or, but for ranges and patterns of single values,
+ * the array itself.
+ */
+
+function test(value, op, arg) {
+  var c = viewserver.collate;
+  switch (op) {
+    case '$ne': return !test(value, '$eq', arg);
+    case '$nin': return !test(value, '$in', arg);
+    case '$exists': return (value !== undefined) === arg;
+  }
+  if (Array.isArray(value)) {
+    if (value.some(function (e) { return test(e, op, arg); }))
+      return true;
+    if (op !== '$eq' && !Array.isArray(arg))
+      return false;
+  }
+  switch (op) {
+    case '$eq': return c(value, arg) === 0;
+    case '$gt': return value != null && c(value, arg) > 0;
+    case '$gte': return value != null && c(value, arg) >= 0;
+    case '$lt': return value != null && c(value, arg) < 0;
+    case '$lte': return value != null && c(value, arg) <= 0;
+    case '$in': return arg.some(function (a) { return test(value, a instanceof RegExp ? '$regex' : '$eq', a); });
+    case '$regex': return typeof value === 'string' && arg.test(value);
+  }
+}
+
+/**
+ * Tells whether `doc` meets the conditions.
+ *
+ * @param {Object} doc
+ * @return {Boolean}
+ * @api private
+ */
+
+Query.prototype.matches = function (doc) {
+  var conditions = this._conditions;
+  return Object.keys(conditions).every(function (path) {
+    var value = get(doc, path);
+    return Object.keys(conditions[path]).every(function (op) {
+      return test(value, op, conditions[path][op]);
+    });
+  }) && this._clauses.every(function (clause) {
+    var met = clause.queries.filter(function (query) { return query.matches(doc); }).length;
+    switch (clause.op) {
+      case '$or': return met > 0;
+      case '$and': return met === clause.queries.length;
+      case '$nor': return met === 0;
+    }
+  });
+};
+
+/*!
+ * Copies `doc` with only the selected fields.
+ */
+
+function project(doc, fields) {
+  var include = Object.keys(fields).some(function (path) { return fields[path]; });
+  var out = {};
+  Object.keys(doc).forEach(function (key) {
+    if (key === '_id' || key === '_rev' || (include ? fields[key] : !(key in fields)))
+      out[key] = doc[key];
+  });
+  // nested paths
+  Object.keys(fields).filter(function (path) { return path.indexOf('.') !== -1; }).forEach(function (path) {
+    var keys = path.split('.'), last = keys.pop(), target = out;
+    if (include) {
+      var value = get(doc, path);
+      if (value === undefined)
+        return;
+      keys.forEach(function (key) {
+        target = target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+      });
+      target[last] = value;
+      return;
+    }
+    var source = get(doc, keys.join('.'));
+    if (!source || typeof source !== 'object' || !(last in source))
+      return;
+    keys.forEach(function (key) {
+      target = target[key] = Object.assign({}, target[key]);
+    });
+    delete target[last];
+  });
+  return out;
+}
+
+/**
+ * Reads the documents the query is answered from.
+ *
+ * @param {Object} plan
+ * @param {Function} callback receives the documents
+ * @api private
+ */
+
+Query.prototype.fetch = function (plan, callback) {
+  var model = this.model;
+  var collection = model.collection;
+  var view = plan.view || model.defaultView;
+  if (view) {
+    var options = Object.assign({include_docs: true}, plan.view ? plan.options : {});
+    // a default view may reduce, and reduced rows have no docs
+    var views = model.schema.options.views;
+    var name = view.slice(view.indexOf('/') + 1);
+    if (!plan.view && views && views[name] && views[name].reduce)
+      options.reduce = false;
+    return collection.findWithView(view, options, callback);
+  }
+  collection.all({include_docs: true}, function (err, rows) {
+    if (err)
+      return callback(err);
+    callback(null, rows.map(function (row) { return row.doc; }).filter(function (doc) {
+      return doc && doc._id[0] !== '_';
+    }));
+  });
+};
+
+/**
+ * Executes the query.
+ *
+ * ####Example:
+ *
+ *     query.exec(function (err, docs) {});
+ *     query.exec().then(function (docs) {});
+ *
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.exec = function (callback) {
+  var self = this;
+  var model = this.model;
+  var promise = new Promise(callback);
+  if (this._error) {
+    var error = this._error;
+    process.nextTick(function () { promise.resolve(error); });
+    return promise;
+  }
+  var plan = this.plan();
+
+  this.fetch(plan, function (err, docs) {
+    if (err)
+      return promise.resolve(err);
+
+    var mapping = model.schema.discriminatorMapping;
+    var seen = {};
+    docs = docs.filter(function (doc) {
+      // a view may emit a doc more than once
+      if (seen[doc._id])
+        return false;
+      seen[doc._id] = true;
+      if (mapping && !mapping.isRoot && doc[mapping.key] !== mapping.value)
+        return false;
+      return plan.exact || self.matches(doc);
+    });
+
+    if (!plan.ordered) {
+      var sort = self._sort;
+      docs.sort(function (a, b) {
+        for (var i = 0; i < sort.length; ++i) {
+          var c = viewserver.collate(get(a, sort[i][0]), get(b, sort[i][0]));
+          if (c)
+            return c * sort[i][1];
+        }
+        return 0;
+      });
+    }
+    if (!('skip' in plan.options || 'limit' in plan.options))
+      docs = docs.slice(self._skip || 0, self._limit != null ? (self._skip || 0) + self._limit : undefined);
+    if (self._fields)
+      docs = docs.map(function (doc) { return project(doc, self._fields); });
+
+    if (self._lean)
+      return promise.resolve(null, docs);
+    model.hydrate(docs, true, function (err, docs) {
+      promise.resolve(err, docs);
+    });
+  });
+
+  return promise;
+};
+
+/**
+ * Executes the query, resolving with the documents found.
+ *
+ * @param {Function} [resolve]
+ * @param {Function} [reject]
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.then = function (resolve, reject) {
+  return this.exec().then(resolve, reject);
+};
+
+/**
+ * Removes the documents the query finds.
+ *
+ * ####Example:
+ *
+ *     Person.find({ age: { $lt: 18 } }).remove(function (err, res) {});
+ *
+ * @param {Function} callback receives `_bulk_docs` style result rows
+ * @api public
+ */
+
+Query.prototype.remove = function (callback) {
+  var collection = this.model.collection;
+  this.lean().exec(function (err, docs) {
+    if (err)
+      return callback(err);
+    collection.bulkRemove(docs, callback);
+  });
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = Query;
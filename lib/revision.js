@@ -0,0 +1,112 @@
+/*!
+ * Module dependencies.
+ */
+
+var crypto = require('crypto')
+  , viewserver = require('./viewserver');
+
+/**
+ * CouchDB document revision helpers for drivers that keep their own
+ * storage.
+ *
+ * @api private
+ */
+
+/**
+ * Generates a document id shaped like those from CouchDB's `_uuids`.
+ *
+ * @return {String}
+ * @api private
+ */
+
+exports.uuid = function uuid() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Returns a new revision for `doc` following `prevRev`.
+ *
+ * Revisions have CouchDB's `N-hash` form where `N` is the number of
+ * updates the document has seen and `hash` digests the new content.
+ *
+ * @param {Object} doc
+ * @param {String} [prevRev]
+ * @return {String}
+ * @api private
+ */
+
+exports.next = function next(doc, prevRev) {
+  var n = prevRev ? parseInt(prevRev, 10) + 1 : 1;
+  var body = Object.assign({}, doc);
+  delete body._rev;
+  var hash = crypto.createHash('md5')
+    .update(String(prevRev || ''))
+    .update(viewserver.stringify(body))
+    .digest('hex');
+  return n + '-' + hash;
+};
+
+/**
+ * Checks `_id` is one CouchDB would accept.
+ *
+ * @param {String} _id
+ * @return {Object} a CouchDB error body, or null if the id is valid
+ * @api private
+ */
+
+exports.checkId = function checkId(_id) {
+  if (typeof _id !== 'string' || !_id.length)
+    return {error: 'bad_request', reason: 'Document id must be a non-empty string.'};
+  if (_id[0] === '_' && !/^_(design|local)\/./.test(_id))
+    return {error: 'bad_request', reason: 'Only reserved document ids may start with underscore.'};
+  return null;
+};
+
+/**
+ * Checks that `doc` may be written over `current`.
+ *
+ * A live document can only be replaced by passing its current `_rev`.
+ * When `overwrite` is set a missing `_rev` is taken to mean the current
+ * one, mirroring cradle's retry of a conflicting save without a
+ * revision.  Deleting requires a live document.
+ *
+ * @param {Object} [current] stored document or tombstone
+ * @param {Object} doc document to write
+ * @param {Boolean} [overwrite]
+ * @return {Object} a CouchDB error body, or null if the write may go ahead
+ * @api private
+ */
+
+exports.check = function check(current, doc, overwrite) {
+  var live = current && !current._deleted;
+  var rev = doc._rev == null ? undefined : doc._rev;
+  if (rev === undefined && live && overwrite)
+    rev = current._rev;
+  if (live ? rev !== current._rev : rev !== undefined && (!current || rev !== current._rev))
+    return {error: 'conflict', reason: 'Document update conflict.'};
+  if (doc._deleted && !live)
+    return {error: 'not_found', reason: current ? 'deleted' : 'missing'};
+  return null;
+};
+
+/**
+ * Picks the winning revision among the leaves of a document tree.
+ *
+ * As in CouchDB, leaves that are not deleted win over deleted ones, then
+ * the leaf with the longest history wins, and ties go to the greatest
+ * revision hash.
+ *
+ * @param {Array} docs leaf documents, e.g. from `?open_revs=all`
+ * @return {Object} the winner, or undefined when there are none
+ * @api private
+ */
+
+exports.winner = function winner(docs) {
+  var position = function (doc) { return parseInt(doc._rev, 10); };
+  var hash = function (doc) { return doc._rev.slice(doc._rev.indexOf('-') + 1); };
+  return docs.slice().sort(function (a, b) {
+    return !!a._deleted - !!b._deleted
+      || position(b) - position(a)
+      || (hash(a) < hash(b) ? 1 : hash(a) > hash(b) ? -1 : 0);
+  })[0];
+};
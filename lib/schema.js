@@ -609,6 +609,9 @@ Schema.prototype.static = function(name, fn) {
  *
  *     schema.index({ first: 1, last: -1 })
  *
+ *     // a CouchDB Mango index
+ *     schema.index({ first: 1, last: -1 }, { type: 'json' })
+ *
  * @param {Object} fields
  * @param {Object} [options]
  * @api public
@@ -416,6 +416,28 @@ exports.isMongooseObject = function (v) {
 }
 var isMongooseObject = exports.isMongooseObject;
 
+/**
+ * Casts a value to the type of a path for a query, leaving what it
+ * cannot cast.  The elements of an array path are cast one by one.
+ *
+ * @param {SchemaType} type
+ * @param {any} val
+ * @return {any}
+ * @api private
+ */
+
+exports.castValue = function castValue (type, val) {
+  if (!type || val == null || val instanceof RegExp || type.schema)
+    return val;
+  if (type.caster) {
+    // array of values: cast them, or the element compared
+    return Array.isArray(val)
+      ? val.map(function (v) { return castValue(type.caster, v); })
+      : castValue(type.caster, val);
+  }
+  return type.castForQuery ? type.castForQuery(val) : type.cast(val);
+}
+
 /**
  * Converts `expires` options of index objects to `expiresAfterSeconds` options for MongoDB.
  *
@@ -0,0 +1,766 @@
+/*!
+ * Module dependencies.
+ */
+
+var vm = require('vm')
+  , crypto = require('crypto');
+
+/**
+ * Local stand-in for the CouchDB query server.
+ *
+ * Drivers that do not talk to a real CouchDB use these helpers to run
+ * the design document functions written by `Model.ensureIndexes` and
+ * to answer view and `_all_docs` queries with CouchDB's semantics.
+ *
+ * @api private
+ */
+
+/*!
+ * Rows emitted by the map function currently being run.
+ */
+
+var emitted = null;
+
+/*!
+ * State of the list function currently being run.
+ */
+
+var listing = null;
+
+/*!
+ * Globals available to design document functions.
+ */
+
+var sandbox = vm.createContext({
+  emit: function (key, value) {
+    emitted.push([toJSONValue(key), toJSONValue(value)]);
+  },
+  getRow: function () {
+    return listing.rows[listing.next++] || null;
+  },
+  send: function (chunk) {
+    listing.chunks.push(String(chunk));
+  },
+  start: function (response) {
+    listing.start = response || {};
+  },
+  provides: function (type, fn) {
+    if (listing.provided || (listing.format && listing.format !== type))
+      return;
+    listing.provided = true;
+    var out = fn();
+    if (out != null)
+      listing.chunks.push(String(out));
+  },
+  registerType: function () {},
+  sum: function (values) {
+    return values.reduce(function (a, b) { return a + b; }, 0);
+  },
+  log: function () {},
+  isArray: Array.isArray,
+  toJSON: JSON.stringify
+});
+
+/*!
+ * Compiled functions keyed by their source.
+ */
+
+var compiled = new Map();
+
+/*!
+ * Normalizes a value the way a JSON round trip to CouchDB would.
+ */
+
+function toJSONValue(v) {
+  return v === undefined ? null : JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * Compiles a design document function given as source or function.
+ *
+ * @param {String|Function} fn
+ * @return {Function}
+ * @api private
+ */
+
+exports.compile = function compile(fn) {
+  var src = fn.toString();
+  var f = compiled.get(src);
+  if (!f) {
+    f = vm.runInContext('(' + src + ')', sandbox);
+    if (typeof f !== 'function')
+      throw new Error('Design function does not evaluate to a function: ' + src);
+    compiled.set(src, f);
+  }
+  return f;
+};
+
+/**
+ * Serializes a document as CouchDB would store it.
+ *
+ * Functions are converted to their source so that design documents
+ * holding live functions survive the round trip, as cradle does when
+ * sending them over HTTP.
+ *
+ * @param {Object} doc
+ * @return {String}
+ * @api private
+ */
+
+exports.stringify = function stringify(doc) {
+  return JSON.stringify(doc, function (k, v) {
+    return typeof v === 'function' ? v.toString() : v;
+  });
+};
+
+/*!
+ * CouchDB collation type ranks.
+ */
+
+function typeRank(v) {
+  if (v === null || v === undefined) return 0;
+  if (v === false) return 1;
+  if (v === true) return 2;
+  if (typeof v === 'number') return 3;
+  if (typeof v === 'string') return 4;
+  if (Array.isArray(v)) return 5;
+  return 6;
+}
+
+var strings = new Intl.Collator('en');
+
+/**
+ * Compares two keys using CouchDB view collation.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @return {Number}
+ * @api private
+ */
+
+exports.collate = function collate(a, b) {
+  var ra = typeRank(a), rb = typeRank(b);
+  if (ra !== rb)
+    return ra < rb ? -1 : 1;
+  switch (ra) {
+    case 3:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 4:
+      return strings.compare(a, b);
+    case 5:
+      for (var i = 0; i < a.length && i < b.length; ++i) {
+        var c = collate(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    case 6:
+      var ka = Object.keys(a), kb = Object.keys(b);
+      for (var j = 0; j < ka.length && j < kb.length; ++j) {
+        var d = collate(ka[j], kb[j]) || collate(a[ka[j]], b[kb[j]]);
+        if (d) return d;
+      }
+      return ka.length - kb.length;
+  }
+  return 0;
+};
+
+/*!
+ * Raw code point comparison, as used for document ids.
+ */
+
+function compareIds(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Orders view rows by key, then document id.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Number}
+ * @api private
+ */
+
+exports.compareRows = function compareRows(a, b) {
+  return exports.collate(a.key, b.key) || compareIds(a.id, b.id);
+};
+
+/**
+ * Runs a map function over a single document.
+ *
+ * Design documents emit nothing, nor do documents the map function
+ * throws on (CouchDB only logs such failures).
+ *
+ * @param {Object} doc
+ * @param {String|Function} fn
+ * @return {Array} emitted `[key, value]` pairs
+ * @api private
+ */
+
+exports.mapDoc = function mapDoc(doc, fn) {
+  fn = exports.compile(fn);
+  if (doc._id.startsWith('_design/'))
+    return [];
+  emitted = [];
+  try {
+    fn(toJSONValue(doc));
+  }
+  catch (e) {
+    emitted = [];
+  }
+  var pairs = emitted;
+  emitted = null;
+  return pairs;
+};
+
+/**
+ * Runs a map function over `docs`.
+ *
+ * @param {Array} docs
+ * @param {String|Function} map
+ * @return {Array} rows ordered by key and id
+ * @api private
+ */
+
+exports.map = function map(docs, fn) {
+  var rows = [];
+  docs.forEach(function (doc) {
+    exports.mapDoc(doc, fn).forEach(function (kv) {
+      var row = {id: doc._id, key: kv[0], value: kv[1]};
+      Object.defineProperty(row, 'source', {value: doc});
+      rows.push(row);
+    });
+  });
+  return rows.sort(exports.compareRows);
+};
+
+/*!
+ * Built-in reduce functions.
+ */
+
+function sumValues(values) {
+  return values.reduce(function (acc, v) {
+    if (Array.isArray(v)) {
+      acc = Array.isArray(acc) ? acc : [];
+      v.forEach(function (x, i) { acc[i] = (acc[i] || 0) + x; });
+      return acc;
+    }
+    return acc + v;
+  }, 0);
+}
+
+var builtins = {
+  _sum: function (keys, values) {
+    return sumValues(values);
+  },
+  _count: function (keys, values) {
+    return values.length;
+  },
+  _stats: function (keys, values) {
+    return values.reduce(function (s, v) {
+      s.sum += v;
+      s.count += 1;
+      s.min = Math.min(s.min, v);
+      s.max = Math.max(s.max, v);
+      s.sumsqr += v * v;
+      return s;
+    }, {sum: 0, count: 0, min: Infinity, max: -Infinity, sumsqr: 0});
+  }
+};
+
+/*!
+ * Key used to group a row for `group`/`group_level`.
+ */
+
+function groupKey(key, opts) {
+  if (opts.group_level !== undefined)
+    return Array.isArray(key) ? key.slice(0, opts.group_level) : key;
+  if (opts.group)
+    return key;
+  return null;
+}
+
+/*!
+ * Selects the rows matching the key options of a query.
+ */
+
+function select(rows, opts, compare) {
+  var dir = opts.descending ? -1 : 1;
+  var keys = opts.keys || (opts.body && opts.body.keys);
+
+  if (keys) {
+    var out = [];
+    keys.forEach(function (key) {
+      var matching = rows.filter(function (row) {
+        return compare(row.key, key) === 0;
+      });
+      out = out.concat(dir < 0 ? matching.reverse() : matching);
+    });
+    return out;
+  }
+
+  if (dir < 0)
+    rows = rows.slice().reverse();
+
+  var start = 'startkey' in opts ? opts.startkey : opts.start_key
+    , end = 'endkey' in opts ? opts.endkey : opts.end_key
+    , startId = opts.startkey_docid
+    , endId = opts.endkey_docid
+    , inclusiveEnd = opts.inclusive_end !== false;
+
+  return rows.filter(function (row) {
+    var c;
+    if (opts.key !== undefined)
+      return compare(row.key, opts.key) === 0;
+    if (start !== undefined) {
+      c = dir * compare(row.key, start);
+      if (c < 0 || (c === 0 && startId !== undefined && dir * compareIds(row.id, startId) < 0))
+        return false;
+    }
+    if (end !== undefined) {
+      c = dir * compare(row.key, end);
+      if (c === 0 && endId !== undefined)
+        c = dir * compareIds(row.id, endId);
+      if (c > 0 || (c === 0 && !inclusiveEnd))
+        return false;
+    }
+    return true;
+  });
+}
+
+/*!
+ * Applies `skip` and `limit`.
+ */
+
+function page(rows, opts) {
+  var skip = +opts.skip || 0;
+  var limit = opts.limit === undefined ? rows.length : +opts.limit;
+  return rows.slice(skip, skip + limit);
+}
+
+/**
+ * Queries a view definition over `docs`.
+ *
+ * Honours `key`, `keys`, `startkey`/`endkey` (and their `_docid`
+ * refinements), `inclusive_end`, `descending`, `skip`, `limit`,
+ * `include_docs`, `reduce`, `group` and `group_level`.
+ *
+ * @param {Array} docs live documents of the database
+ * @param {Object} def view definition with `map` and optional `reduce`
+ * @param {Object} [opts] query options
+ * @param {Function} [lookup] resolves ids for linked documents
+ * @return {Object} a view response (`{total_rows, offset, rows}` or `{rows}` when reduced)
+ * @api private
+ */
+
+exports.query = function query(docs, def, opts, lookup) {
+  return exports.queryRows(exports.map(docs, def.map), def, opts, lookup);
+};
+
+/**
+ * Queries the mapped rows of a view.
+ *
+ * As `query`, for rows already mapped and ordered by `compareRows`.
+ * Rows without a `source` document get theirs for `include_docs`
+ * from `lookup`.
+ *
+ * @param {Array} all the view's rows
+ * @param {Object} def view definition with `map` and optional `reduce`
+ * @param {Object} [opts] query options
+ * @param {Function} [lookup] resolves ids to documents
+ * @return {Object} a view response
+ * @api private
+ */
+
+exports.queryRows = function queryRows(all, def, opts, lookup) {
+  opts = opts || {};
+  var rows = select(all, opts, exports.collate);
+
+  if (def.reduce && opts.reduce !== false && opts.reduce !== 'false') {
+    if (opts.include_docs)
+      throw {error: 'query_parse_error', reason: '`include_docs` is invalid for reduce'};
+    var reduce = builtins[def.reduce] || exports.compile(def.reduce);
+    var groups = [];
+    rows.forEach(function (row) {
+      var key = groupKey(row.key, opts);
+      var last = groups[groups.length - 1];
+      if (!last || exports.collate(last.key, key) !== 0)
+        groups.push((last = {key: key, rows: []}));
+      last.rows.push(row);
+    });
+    return {
+      rows: page(groups, opts).map(function (group) {
+        var keys = group.rows.map(function (row) { return [row.key, row.id]; });
+        var values = group.rows.map(function (row) { return row.value; });
+        return {key: group.key, value: toJSONValue(reduce(keys, values, false))};
+      })
+    };
+  }
+
+  var offset = rows.length ? all.indexOf(rows[0]) : all.length;
+  if (opts.descending && rows.length)
+    offset = all.length - 1 - offset;
+  offset += +opts.skip || 0;
+
+  rows = page(rows, opts);
+  if (opts.include_docs) {
+    rows = rows.map(function (row) {
+      var linked = row.value && row.value._id;
+      var doc = linked
+        ? (lookup ? lookup(linked) : null)
+        : row.source || (lookup ? lookup(row.id) : null);
+      return {id: row.id, key: row.key, value: row.value, doc: toJSONValue(doc)};
+    });
+  }
+
+  return {total_rows: all.length, offset: Math.min(offset, all.length), rows: rows};
+};
+
+/**
+ * Answers an `_all_docs` query over `docs`.
+ *
+ * Tombstones (documents with `_deleted` set) are only reported when
+ * requested explicitly through `keys`, as CouchDB does.
+ *
+ * @param {Array} docs all documents of the database, including tombstones
+ * @param {Object} [opts] query options
+ * @return {Object} `{total_rows, offset, rows}`
+ * @api private
+ */
+
+exports.allDocs = function allDocs(docs, opts) {
+  opts = opts || {};
+  var byId = {};
+  var all = [];
+  docs.forEach(function (doc) {
+    byId[doc._id] = doc;
+    if (!doc._deleted)
+      all.push({id: doc._id, key: doc._id, value: {rev: doc._rev}});
+  });
+  all.sort(function (a, b) { return compareIds(a.id, b.id); });
+
+  var keys = opts.keys || (opts.body && opts.body.keys);
+  var rows;
+  if (keys) {
+    rows = keys.map(function (key) {
+      var doc = byId[key];
+      if (!doc)
+        return {key: key, error: 'not_found'};
+      if (doc._deleted)
+        return {id: key, key: key, value: {rev: doc._rev, deleted: true}, doc: null};
+      return {id: key, key: key, value: {rev: doc._rev}};
+    });
+  }
+  else
+    rows = select(all, opts, compareIds);
+
+  var offset = keys || !rows.length ? 0 : all.indexOf(rows[0]);
+  if (opts.descending && !keys && rows.length)
+    offset = all.length - 1 - offset;
+
+  rows = page(rows, opts);
+  if (opts.include_docs) {
+    rows.forEach(function (row) {
+      if (row.doc === undefined && !row.error)
+        row.doc = toJSONValue(byId[row.id]);
+    });
+  }
+
+  return {total_rows: all.length, offset: offset + (+opts.skip || 0), rows: rows};
+};
+
+/*!
+ * Splits a Mango field name at its dots; a backslash escapes a `.` or
+ * a leading `$`.
+ */
+
+function fieldKeys(path) {
+  return (path.match(/(?:\\.|[^.\\])+/g) || []).map(function (key) {
+    return key.replace(/\\(.)/g, '$1');
+  });
+}
+
+/*!
+ * Reads the value at a dotted `path` of `doc`.
+ */
+
+function field(doc, path) {
+  return fieldKeys(path).reduce(function (value, key) {
+    return value === null || typeof value !== 'object' ? undefined : value[key];
+  }, doc);
+}
+
+/*!
+ * Names the Mango type of a value.
+ */
+
+function mangoType(v) {
+  if (v === null)
+    return 'null';
+  if (Array.isArray(v))
+    return 'array';
+  return typeof v;
+}
+
+/*!
+ * Tests a value against one Mango operator.
+ */
+
+function matchOp(value, op, arg) {
+  var c = exports.collate;
+  var present = value !== undefined;
+  switch (op) {
+    case '$eq': return present && c(value, arg) === 0;
+    case '$ne': return present && c(value, arg) !== 0;
+    case '$gt': return present && c(value, arg) > 0;
+    case '$gte': return present && c(value, arg) >= 0;
+    case '$lt': return present && c(value, arg) < 0;
+    case '$lte': return present && c(value, arg) <= 0;
+    case '$exists': return present === arg;
+    case '$type': return present && mangoType(value) === arg;
+    case '$in':
+      return present && (Array.isArray(value) ? value : [value]).some(function (v) {
+        return arg.some(function (a) { return c(v, a) === 0; });
+      });
+    case '$nin': return present && !matchOp(value, '$in', arg);
+    case '$size': return Array.isArray(value) && value.length === arg;
+    case '$mod': return typeof value === 'number' && value % arg[0] === arg[1];
+    case '$regex': return typeof value === 'string' && new RegExp(arg).test(value);
+    case '$all':
+      return Array.isArray(value) && arg.every(function (a) {
+        return value.some(function (v) { return c(v, a) === 0; });
+      });
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(function (v) { return matchValue(v, arg); });
+    case '$allMatch':
+      return Array.isArray(value) && value.length > 0 && value.every(function (v) { return matchValue(v, arg); });
+    case '$not': return !matchValue(value, arg);
+  }
+  throw {error: 'invalid_operator', reason: 'Invalid operator: ' + op};
+}
+
+/*!
+ * Tests a value against a condition: operators, fields of the value,
+ * or a value it must equal.
+ */
+
+function matchValue(value, cond) {
+  if (cond === null || typeof cond !== 'object' || Array.isArray(cond))
+    return matchOp(value, '$eq', cond);
+  return Object.keys(cond).every(function (key) {
+    switch (key) {
+      case '$and': return cond[key].every(function (sub) { return matchValue(value, sub); });
+      case '$or': return cond[key].some(function (sub) { return matchValue(value, sub); });
+      case '$nor': return !cond[key].some(function (sub) { return matchValue(value, sub); });
+    }
+    if (key.charAt(0) === '$')
+      return matchOp(value, key, cond[key]);
+    return matchValue(field(value, key), cond[key]);
+  });
+}
+
+/**
+ * Tells whether `doc` matches a Mango `selector`.
+ *
+ * @param {Object} doc
+ * @param {Object} selector
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.matches = function matches(doc, selector) {
+  return matchValue(doc, selector);
+};
+
+/*!
+ * Copies the `fields` of `doc`.
+ */
+
+function pick(doc, fields) {
+  var out = {};
+  fields.forEach(function (path) {
+    var value = field(doc, path);
+    if (value === undefined)
+      return;
+    var keys = fieldKeys(path), last = keys.pop(), target = out;
+    keys.forEach(function (key) {
+      target = target[key] = target[key] || {};
+    });
+    target[last] = value;
+  });
+  return out;
+}
+
+/**
+ * Answers a Mango `_find` query over `docs`.
+ *
+ * Honours `selector`, `fields`, `sort`, `limit`, `skip` and
+ * `bookmark`; there are no indexes, so `use_index` is ignored.  The
+ * bookmark is the offset of the next page.
+ *
+ * @param {Array} docs live documents of the database
+ * @param {Object} query `_find` request body
+ * @return {Object} `{docs, bookmark}`
+ * @api private
+ */
+
+exports.find = function find(docs, query) {
+  if (!query || !query.selector || typeof query.selector !== 'object')
+    throw {error: 'bad_request', reason: 'Missing required key: selector'};
+
+  var sort = (query.sort || []).map(function (spec) {
+    if (typeof spec === 'string')
+      return [spec, 1];
+    var path = Object.keys(spec)[0];
+    return [path, spec[path] === 'desc' ? -1 : 1];
+  });
+
+  var found = docs.filter(function (doc) {
+    return doc._id.indexOf('_design/') !== 0 && exports.matches(doc, query.selector);
+  });
+  if (sort.length) {
+    found.sort(function (a, b) {
+      for (var i = 0; i < sort.length; ++i) {
+        var c = exports.collate(field(a, sort[i][0]), field(b, sort[i][0]));
+        if (c)
+          return c * sort[i][1];
+      }
+      return 0;
+    });
+  }
+
+  var skip = (query.bookmark && query.bookmark !== 'nil'
+    ? +Buffer.from(query.bookmark, 'base64').toString()
+    : 0) + (+query.skip || 0);
+  var limit = query.limit === undefined ? 25 : +query.limit;
+  found = found.slice(skip, skip + limit);
+
+  return {
+    docs: found.map(function (doc) {
+      return toJSONValue(query.fields ? pick(doc, query.fields) : doc);
+    }),
+    bookmark: Buffer.from(String(skip + found.length)).toString('base64')
+  };
+};
+
+/**
+ * Splits a `design/view` path into the design document id and view name.
+ *
+ * @param {String} path
+ * @return {Array} `[designId, viewName]`
+ * @api private
+ */
+
+exports.parsePath = function parsePath(path) {
+  var parts = path.split('/');
+  return ['_design/' + parts[0], parts.slice(1).join('/')];
+};
+
+/*!
+ * Decodes a handler response body the way cradle does, as JSON when it
+ * parses and as a string otherwise.
+ */
+
+function responseBody(resp) {
+  if (resp == null)
+    return resp;
+  if (typeof resp === 'object') {
+    if ('json' in resp)
+      return toJSONValue(resp.json);
+    resp = resp.body;
+  }
+  try {
+    return JSON.parse(resp);
+  }
+  catch (e) {
+    return resp;
+  }
+}
+
+/**
+ * Runs an update handler.
+ *
+ * @param {String|Function} fn the handler
+ * @param {Object} doc the stored document, or null
+ * @param {Object} req request object as CouchDB builds it
+ * @return {Array} `[doc, response]`: the document to save (or null) and the decoded response body
+ * @api private
+ */
+
+exports.update = function update(fn, doc, req) {
+  var res = exports.compile(fn)(doc ? toJSONValue(doc) : null, toJSONValue(req));
+  if (!Array.isArray(res))
+    throw new Error('Update handler must return [doc, response]');
+  return [res[0] ? toJSONValue(res[0]) : null, responseBody(res[1])];
+};
+
+/**
+ * Runs a changes feed filter.
+ *
+ * @param {String|Function} fn the filter function
+ * @param {Object} doc the changed document, or its tombstone
+ * @param {Object} req request object as CouchDB builds it
+ * @return {Boolean} whether the change passes
+ * @api private
+ */
+
+exports.filter = function filter(fn, doc, req) {
+  return !!exports.compile(fn)(toJSONValue(doc), toJSONValue(req));
+};
+
+/**
+ * Runs a list function over a view response.
+ *
+ * @param {String|Function} fn the list function
+ * @param {Object} view view response (`{total_rows, offset, rows}`)
+ * @param {Object} req request object as CouchDB builds it
+ * @return {any} the decoded output of the list
+ * @api private
+ */
+
+exports.list = function list(fn, view, req) {
+  fn = exports.compile(fn);
+  var head = {total_rows: view.total_rows, offset: view.offset};
+  listing = {
+    rows: view.rows,
+    next: 0,
+    chunks: [],
+    format: req.query && req.query.format
+  };
+  try {
+    var tail = fn(head, toJSONValue(req));
+    if (tail != null)
+      listing.chunks.push(String(tail));
+    return responseBody(listing.chunks.join(''));
+  }
+  finally {
+    listing = null;
+  }
+};
+
+/**
+ * Builds the request object handed to update handlers and list functions.
+ *
+ * @param {String} method
+ * @param {String} [id]
+ * @param {Object} [query]
+ * @param {Object|String} [body]
+ * @return {Object}
+ * @api private
+ */
+
+exports.request = function request(method, id, query, body) {
+  var req = {
+    method: method,
+    query: query || {},
+    headers: {},
+    form: {},
+    info: {},
+    userCtx: {name: null, roles: []},
+    uuid: crypto.randomBytes(16).toString('hex'),
+    body: body === undefined ? 'undefined' : typeof body === 'string' ? body : JSON.stringify(body)
+  };
+  if (id)
+    req.id = id;
+  return req;
+};
@@ -0,0 +1,498 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../')
+  , assert = require('assert')
+  , Schema = mongoose.Schema;
+
+/**
+ * Driver conformance suite.
+ *
+ * Checks the collection contract every driver implements, so a driver
+ * can replace another without models noticing.  Run it once per
+ * driver with:
+ *
+ * - `label`: name of the run, unique among runs - defaults to the
+ *   driver name
+ * - `driver`: driver name, as given to `mongoose.instance`
+ * - `connect(instance)`: opens the connection of a mongoose instance
+ * - `before`, `after`: optional hooks setting up and tearing down
+ *   what the driver needs, such as a server or a directory
+ *
+ * Results and errors are compared in the shapes CouchDB gives them.
+ *
+ * @param {Object} options
+ */
+
+module.exports = function conformance(options) {
+  var label = options.label || options.driver;
+  var prefix = 'Conformance' + label.replace(/(^|[^a-zA-Z0-9])([a-z])/g, function (m, sep, c) {
+    return c.toUpperCase();
+  });
+
+  describe('drivers: conformance: ' + label + ':', function(){
+    var instance, Thing, c;
+
+    if (options.before)
+      before(options.before);
+
+    before(function(){
+      instance = mongoose.instance({name: 'conformance-' + label, driver: options.driver});
+      Thing = instance.model(prefix + 'Thing', new Schema({
+          name: { type: String, index: true }
+        , n: Number
+      }, {
+        views: {
+          total: { map: function (doc) { emit(doc.name, doc.n); }, reduce: '_sum' }
+        }
+      }));
+      c = Thing.collection;
+    });
+
+    after(function(done){
+      instance.connection.close(function () {
+        options.after ? options.after(done) : done();
+      });
+    });
+
+    var classes = {
+        not_found: mongoose.Error.NotFoundError
+      , conflict: mongoose.Error.ConflictError
+    };
+
+    function assertError(err, error, reason) {
+      assert.ok(err, 'expected a ' + error + ' error');
+      assert.ok(err instanceof (classes[error] || mongoose.Error.DatabaseError), 'expected a typed ' + error + ' error');
+      assert.equal(err.error, error);
+      if (reason)
+        assert.equal(err.reason, reason);
+      else
+        assert.equal(typeof err.reason, 'string');
+    }
+
+    describe('queueing', function(){
+      it('runs calls made before the connection opens once it does', function(done){
+        var order = [];
+        c.insert({ _id: 'early', name: 'Early', n: 1 }, null, function (err, res) {
+          assert.ifError(err);
+          order.push('insert');
+          assert.equal(res.id, 'early');
+          c.findById('early', function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc.name, 'Early');
+            done();
+          });
+        });
+        setTimeout(function () {
+          assert.deepEqual(order, []);
+          options.connect(instance);
+        }, 10);
+      });
+
+      it('holds view queries until indexes are created', function(done){
+        var Late = instance.model(prefix + 'Late', new Schema({ name: { type: String, index: true } }));
+        Late.collection.insert({ _id: 'l1', name: 'Late' }, null, function (err) {
+          assert.ifError(err);
+          Late.findOneWithView('$root/byName', { key: 'Late' }, function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc._id, 'l1');
+            done();
+          });
+        });
+      });
+    });
+
+    describe('insert', function(){
+      it('creates docs with a first revision', function(done){
+        c.insert({ _id: 'i1', name: 'One', n: 1 }, null, function (err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.ok, true);
+          assert.equal(res.id, 'i1');
+          assert.ok(/^1-/.test(res.rev));
+          c.findById('i1', function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc._id, 'i1');
+            assert.equal(doc._rev, res.rev);
+            assert.equal(doc.name, 'One');
+            done();
+          });
+        });
+      });
+
+      it('assigns ids to docs without one', function(done){
+        c.insert({ name: 'Anonymous' }, null, function (err, res) {
+          assert.ifError(err);
+          assert.equal(typeof res.id, 'string');
+          assert.ok(res.id.length);
+          c.findById(res.id, function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc.name, 'Anonymous');
+            done();
+          });
+        });
+      });
+
+      it('updates docs given their current revision', function(done){
+        c.findById('i1', function (err, doc) {
+          assert.ifError(err);
+          doc.n = 2;
+          c.insert(doc, null, function (err, res) {
+            assert.ifError(err);
+            assert.ok(/^2-/.test(res.rev));
+            done();
+          });
+        });
+      });
+
+      it('reports a conflict for a stale revision', function(done){
+        c.insert({ _id: 'i2', name: 'Two' }, null, function (err, first) {
+          assert.ifError(err);
+          c.insert({ _id: 'i2', _rev: first.rev, name: 'Two', n: 2 }, null, function (err) {
+            assert.ifError(err);
+            c.insert({ _id: 'i2', _rev: first.rev, name: 'Stale' }, null, function (err) {
+              assertError(err, 'conflict');
+              done();
+            });
+          });
+        });
+      });
+
+      it('replaces the current revision of docs saved without one', function(done){
+        c.insert({ _id: 'i3', name: 'Three' }, null, function (err) {
+          assert.ifError(err);
+          c.insert({ _id: 'i3', name: 'Third' }, null, function (err, res) {
+            assert.ifError(err);
+            assert.ok(/^2-/.test(res.rev));
+            c.findById('i3', function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc.name, 'Third');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('ids', function(){
+      var ids = ['with/slash', 'with space', 'ünïcödé', 'with?query&and#hash', '_design/conformance', '_local/conformance'];
+
+      ids.forEach(function (id) {
+        it('round trips ' + JSON.stringify(id), function(done){
+          c.insert({ _id: id, name: id }, null, function (err, res) {
+            assert.ifError(err);
+            assert.equal(res.id, id);
+            c.findById(id, function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc._id, id);
+              assert.equal(doc.name, id);
+              c.remove(id, doc._rev, function (err) {
+                assert.ifError(err);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('rejects other ids starting with an underscore', function(done){
+        c.insert({ _id: '_reserved', name: 'Reserved' }, null, function (err) {
+          assertError(err, 'bad_request');
+          done();
+        });
+      });
+    });
+
+    describe('findById', function(){
+      it('reports missing docs', function(done){
+        c.findById('nowhere', function (err, doc) {
+          assertError(err, 'not_found', 'missing');
+          assert.ok(!doc);
+          done();
+        });
+      });
+
+      it('finds several docs as _all_docs rows', function(done){
+        c.findById(['i1', 'nowhere', 'i2'], function (err, rows) {
+          assert.ifError(err);
+          assert.ok(Array.isArray(rows));
+          assert.equal(rows.length, 3);
+          assert.equal(rows[0].id, 'i1');
+          assert.equal(rows[0].doc.name, 'One');
+          assert.equal(rows[0].value.rev, rows[0].doc._rev);
+          assert.deepEqual(rows[1], { key: 'nowhere', error: 'not_found' });
+          assert.equal(rows[2].doc.name, 'Two');
+          done();
+        });
+      });
+    });
+
+    describe('remove', function(){
+      it('reports missing docs removed without a revision', function(done){
+        c.remove('r0', undefined, function (err) {
+          assertError(err, 'not_found');
+          new Thing({ _id: 'r0', name: 'Unsaved' }).remove(function (err) {
+            assertError(err, 'not_found');
+            done();
+          });
+        });
+      });
+
+      it('deletes docs given their current revision', function(done){
+        c.insert({ _id: 'r1', name: 'Doomed' }, null, function (err, res) {
+          assert.ifError(err);
+          c.remove('r1', res.rev, function (err, removed) {
+            assert.ifError(err);
+            assert.strictEqual(removed.ok, true);
+            assert.equal(removed.id, 'r1');
+            assert.ok(/^2-/.test(removed.rev));
+            done();
+          });
+        });
+      });
+
+      it('reports a conflict for a stale revision', function(done){
+        c.insert({ _id: 'r2', name: 'Kept' }, null, function (err, first) {
+          assert.ifError(err);
+          c.insert({ _id: 'r2', _rev: first.rev, name: 'Kept', n: 1 }, null, function (err) {
+            assert.ifError(err);
+            c.remove('r2', first.rev, function (err) {
+              assertError(err, 'conflict');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('deleted docs', function(){
+      var deletion;
+
+      before(function(done){
+        c.insert({ _id: 'd1', name: 'Deleted', n: 100 }, null, function (err, res) {
+          assert.ifError(err);
+          c.remove('d1', res.rev, function (err, removed) {
+            deletion = removed;
+            done(err);
+          });
+        });
+      });
+
+      it('are not found', function(done){
+        c.findById('d1', function (err) {
+          assertError(err, 'not_found', 'deleted');
+          done();
+        });
+      });
+
+      it('give their tombstone with returnDeleted', function(done){
+        c.findById('d1', { returnDeleted: true }, function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc._id, 'd1');
+          assert.equal(doc._rev, deletion.rev);
+          assert.strictEqual(doc._deleted, true);
+          done();
+        });
+      });
+
+      it('are left out of all docs and views', function(done){
+        c.all(function (err, rows) {
+          assert.ifError(err);
+          assert.ok(!rows.some(function (row) { return row.id === 'd1'; }));
+          Thing.findWithView('$root/byName', { key: 'Deleted' }, function (err, docs) {
+            assert.ifError(err);
+            assert.deepEqual(docs, []);
+            done();
+          });
+        });
+      });
+
+      it('are deleted rows among several docs', function(done){
+        c.findById(['d1'], function (err, rows) {
+          assert.ifError(err);
+          assert.equal(rows[0].id, 'd1');
+          assert.strictEqual(rows[0].value.deleted, true);
+          assert.equal(rows[0].value.rev, deletion.rev);
+          assert.strictEqual(rows[0].doc, null);
+          done();
+        });
+      });
+
+      it('cannot be deleted again', function(done){
+        c.remove('d1', deletion.rev, function (err) {
+          assertError(err, 'not_found');
+          done();
+        });
+      });
+
+      it('can be recreated without a revision', function(done){
+        c.insert({ _id: 'd1', name: 'Reborn' }, null, function (err, res) {
+          assert.ifError(err);
+          assert.ok(/^3-/.test(res.rev));
+          done();
+        });
+      });
+    });
+
+    describe('bulk operations', function(){
+      it('report the outcome of each write', function(done){
+        c.findById('i2', function (err, i2) {
+          assert.ifError(err);
+          c.bulkInsert([
+              { _id: 'b1', name: 'Bulk', n: 1 }
+            , { _id: 'b2', name: 'Bulk', n: 2 }
+            , { _id: 'i2', _rev: '1-0123456789abcdef0123456789abcdef', name: 'Stale' }
+          ], function (err, res) {
+            assert.ifError(err);
+            assert.equal(res.length, 3);
+            assert.strictEqual(res[0].ok, true);
+            assert.equal(res[0].id, 'b1');
+            assert.ok(/^1-/.test(res[0].rev));
+            assert.strictEqual(res[1].ok, true);
+            assert.equal(res[2].id, 'i2');
+            assert.equal(res[2].error, 'conflict');
+            assert.equal(typeof res[2].reason, 'string');
+            c.findById('i2', function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc._rev, i2._rev);
+              done();
+            });
+          });
+        });
+      });
+
+      it('remove docs without modifying them', function(done){
+        c.findById(['b1', 'b2'], function (err, rows) {
+          assert.ifError(err);
+          var docs = rows.map(function (row) { return row.doc; });
+          c.bulkRemove(docs, function (err, res) {
+            assert.ifError(err);
+            assert.equal(res.length, 2);
+            res.forEach(function (row) { assert.strictEqual(row.ok, true); });
+            assert.ok(docs.every(function (doc) { return !doc._deleted; }));
+            c.findById('b1', function (err) {
+              assertError(err, 'not_found', 'deleted');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('all', function(){
+      it('lists live docs as rows ordered by id', function(done){
+        c.all(function (err, rows) {
+          assert.ifError(err);
+          assert.ok(Array.isArray(rows));
+          var ids = rows.map(function (row) { return row.id; });
+          assert.deepEqual(ids, ids.slice().sort());
+          var i1 = rows.filter(function (row) { return row.id === 'i1'; })[0];
+          assert.equal(i1.key, 'i1');
+          assert.ok(/^2-/.test(i1.value.rev));
+          assert.strictEqual(i1.doc, undefined);
+          done();
+        });
+      });
+
+      it('includes docs on request', function(done){
+        c.all({ include_docs: true }, function (err, rows) {
+          assert.ifError(err);
+          var i1 = rows.filter(function (row) { return row.id === 'i1'; })[0];
+          assert.equal(i1.doc.name, 'One');
+          assert.equal(i1.doc._rev, i1.value.rev);
+          done();
+        });
+      });
+    });
+
+    describe('views', function(){
+      before(function(done){
+        c.bulkInsert([
+            { _id: 'v1', name: 'apple', n: 1 }
+          , { _id: 'v2', name: 'banana', n: 2 }
+          , { _id: 'v3', name: 'cherry', n: 3 }
+          , { _id: 'v4', name: 'cherry', n: 4, value: 'shadowed' }
+        ], done);
+      });
+
+      it('find docs by key', function(done){
+        c.findWithView('$root/byName', { key: 'cherry' }, function (err, docs) {
+          assert.ifError(err);
+          assert.deepEqual(docs.map(function (d) { return d._id; }), ['v3', 'v4']);
+          assert.equal(docs[1].value, 'shadowed');
+          done();
+        });
+      });
+
+      it('find docs by keys', function(done){
+        c.findWithView('$root/byName', { keys: ['banana', 'apple'] }, function (err, docs) {
+          assert.ifError(err);
+          assert.deepEqual(docs.map(function (d) { return d._id; }), ['v2', 'v1']);
+          done();
+        });
+      });
+
+      it('find docs by range', function(done){
+        c.findWithView('$root/byName', { startkey: 'b', endkey: 'c', descending: false }, function (err, docs) {
+          assert.ifError(err);
+          assert.deepEqual(docs.map(function (d) { return d._id; }), ['v2']);
+          done();
+        });
+      });
+
+      it('find one doc, or none', function(done){
+        c.findOneWithView('$root/byName', { startkey: 'b' }, function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc._id, 'v2');
+          c.findOneWithView('$root/byName', { key: 'durian' }, function (err, doc) {
+            assert.ifError(err);
+            assert.strictEqual(doc, undefined);
+            done();
+          });
+        });
+      });
+
+      it('reduce values', function(done){
+        c.findWithView('$root/total', { keys: ['cherry'], group: true }, function (err, values) {
+          assert.ifError(err);
+          assert.deepEqual(values, [7]);
+          done();
+        });
+      });
+
+      it('report invalid options', function(done){
+        c.findWithView('$root/total', { include_docs: true }, function (err) {
+          assertError(err, 'query_parse_error');
+          done();
+        });
+      });
+
+      it('report missing views', function(done){
+        c.findWithView('$root/nothing', {}, function (err) {
+          assertError(err, 'not_found');
+          done();
+        });
+      });
+    });
+
+    describe('Mango queries', function(){
+      it('find docs by selector', function(done){
+        Thing.findBySelector({ name: { $in: ['banana', 'cherry'] }, n: { $gte: '3' } }, { fields: 'name' }, function (err, things, bookmark) {
+          assert.ifError(err);
+          assert.deepEqual(things.map(function (t) { return t._id; }).sort(), ['v3', 'v4']);
+          assert.ok(things[0] instanceof Thing);
+          assert.strictEqual(things[0].n, undefined);
+          assert.equal(typeof bookmark, 'string');
+          done();
+        });
+      });
+
+      it('report invalid operators', function(done){
+        c.findWithSelector({ selector: { n: { $foo: 1 } } }, function (err) {
+          assertError(err, 'invalid_operator');
+          done();
+        });
+      });
+    });
+  });
+};
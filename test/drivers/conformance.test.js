@@ -0,0 +1,58 @@
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , conformance = require('./conformance')
+  , stubCouch = require('./couchdb-stub');
+
+/**
+ * Runs the driver conformance suite against every driver; the CouchDB
+ * drivers talk to a stub server.
+ */
+
+conformance({
+    driver: 'memory'
+  , connect: function (instance) { instance.connect(); }
+});
+
+var rootdir;
+
+conformance({
+    driver: 'flat-file'
+  , before: function () {
+      rootdir = fs.mkdtempSync(path.join(os.tmpdir(), 'mongoose-couch-conformance-'));
+    }
+  , connect: function (instance) { instance.connect({ rootdir: rootdir }); }
+  , after: function (done) {
+      fs.rmSync(rootdir, { recursive: true, force: true });
+      done();
+    }
+});
+
+var server;
+
+function startServer(done) {
+  server = stubCouch();
+  server.listen(0, '127.0.0.1', done);
+}
+
+function stopServer(done) {
+  server.close(done);
+}
+
+conformance({
+    driver: 'couchdb-http'
+  , before: startServer
+  , connect: function (instance) { instance.connect('http://127.0.0.1', server.address().port); }
+  , after: stopServer
+});
+
+conformance({
+    driver: 'couchdb-cradle'
+  , before: startServer
+  , connect: function (instance) { instance.connect('http://127.0.0.1', server.address().port); }
+  , after: stopServer
+});
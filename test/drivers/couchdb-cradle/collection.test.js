@@ -0,0 +1,339 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../../')
+  , assert = require('assert')
+  , stubCouch = require('../couchdb-stub')
+  , Schema = mongoose.Schema;
+
+/**
+ * Setup.
+ */
+
+var server = stubCouch();
+server.listen(0);
+
+var cradle = mongoose.instance({name: 'couchdb-cradle-driver-test', driver: 'couchdb-cradle'});
+cradle.connect('http://127.0.0.1', server.address().port);
+
+var PersonSchema = new Schema({
+    name: String
+  , age: Number
+  , born: Date
+  , scores: [Number]
+  , address: { street: String, number: Number }
+  , pets: [{ name: String, age: Number }]
+});
+
+var Person = cradle.model('CradlePerson', PersonSchema);
+var Boss = Person.discriminator('CradleBoss', new Schema({ reports: Number }));
+
+var EventSchema = new Schema({
+    name: String
+  , day: Date
+  , kind: { type: String, index: true }
+}, { collection: 'cradle_events', autoIndex: false });
+EventSchema.index({ day: 1 }, { type: 'json' });
+EventSchema.index({ name: 1, day: -1 }, { type: 'json', name: 'by-name' });
+
+var Event = cradle.model('CradleEvent', EventSchema);
+
+var ChangedEventSchema = new Schema({
+    name: String
+  , day: Date
+  , kind: { type: String, index: true }
+}, { collection: 'cradle_events', autoIndex: false });
+ChangedEventSchema.index({ name: 1 }, { type: 'json', name: 'by-name', partial_filter_selector: { kind: 'party' } });
+
+var ChangedEvent = cradle.model('CradleChangedEvent', ChangedEventSchema);
+
+/**
+ * Test.
+ */
+
+describe('drivers: couchdb-cradle:', function(){
+
+  before(function(done){
+    Person.create(
+        { _id: 'alice', name: 'Alice', age: 30, born: new Date('1994-05-01'), scores: [3, 8], address: { street: 'Main', number: 1 } }
+      , { _id: 'bob', name: 'Bob', age: 25, born: new Date('1999-01-01'), scores: [5], pets: [{ name: 'Rex', age: 3 }] }
+      , { _id: 'carol', name: 'Carol', age: 30, scores: [] }
+      , function (err) {
+          assert.ifError(err);
+          Boss.create({ _id: 'dave', name: 'Dave', age: 41, reports: 3 }, done);
+        });
+  });
+
+  after(function(done){
+    cradle.connection.close();
+    server.close(done);
+  });
+
+  function lastFind() {
+    var finds = server.requests.filter(function (req) {
+      return req.method === 'POST' && /\/_find$/.test(req.path);
+    });
+    return JSON.parse(finds[finds.length - 1].body);
+  }
+
+  function ids(docs) {
+    return docs.map(function (doc) { return doc._id; }).sort();
+  }
+
+  it('finds with a Mango query', function(done){
+    Person.collection.findWithSelector({ selector: { age: 30 }, fields: ['name'] }, function (err, res) {
+      assert.ifError(err);
+      assert.deepEqual(res.docs.map(function (doc) { return doc.name; }).sort(), ['Alice', 'Carol']);
+      assert.equal(typeof res.bookmark, 'string');
+      done();
+    });
+  });
+
+  it('finds and hydrates documents by selector', function(done){
+    Person.findBySelector({ age: { $gte: 26 } }, function (err, people, bookmark) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['alice', 'carol', 'dave']);
+      assert.ok(people[0] instanceof Person);
+      assert.equal(typeof bookmark, 'string');
+      done();
+    });
+  });
+
+  it('casts selector values through the schema', function(done){
+    Person.findBySelector({
+        age: { $in: ['25', '41'] }
+      , born: { $lt: '1995-01-01' }
+      , 'address.number': '1'
+    }, function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(lastFind().selector, {
+          age: { $in: [25, 41] }
+        , born: { $lt: '1995-01-01T00:00:00.000Z' }
+        , 'address.number': 1
+      });
+      assert.deepEqual(people, []);
+
+      Person.findBySelector({
+          $or: [{ address: { number: '1' } }, { scores: { $elemMatch: { $gt: '4' } } }]
+        , pets: { $not: { $size: 2 } }
+      }, function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(lastFind().selector, {
+            $or: [{ address: { number: 1 } }, { scores: { $elemMatch: { $gt: 4 } } }]
+          , pets: { $not: { $size: 2 } }
+        });
+        assert.deepEqual(ids(people), ['alice', 'bob']);
+        done();
+      });
+    });
+  });
+
+  it('casts fields of subdocuments in arrays', function(done){
+    Person.findBySelector({ pets: { $elemMatch: { age: '3' } } }, function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(lastFind().selector, { pets: { $elemMatch: { age: 3 } } });
+      assert.deepEqual(ids(people), ['bob']);
+      done();
+    });
+  });
+
+  it('passes on cast errors', function(done){
+    Person.findBySelector({ age: 'old' }, function (err) {
+      assert.ok(err instanceof mongoose.Error.CastError);
+      done();
+    });
+  });
+
+  it('sorts, pages and selects fields', function(done){
+    var options = { fields: 'name', sort: '-age', limit: 2 };
+    Person.findBySelector({ age: { $gt: 0 } }, options, function (err, people, bookmark) {
+      assert.ifError(err);
+      var sent = lastFind();
+      assert.deepEqual(sent.sort, [{ age: 'desc' }]);
+      assert.deepEqual(sent.fields, ['name', '_id', '_rev', '\\$kind']);
+      assert.deepEqual(people.map(function (p) { return p.name; }), ['Dave', 'Alice']);
+      assert.strictEqual(people[1].age, undefined);
+
+      options.bookmark = bookmark;
+      options.use_index = 'by-age';
+      Person.findBySelector({ age: { $gt: 0 } }, options, function (err, people) {
+        assert.ifError(err);
+        assert.equal(lastFind().use_index, 'by-age');
+        assert.deepEqual(people.map(function (p) { return p.name; }), ['Carol', 'Bob']);
+        assert.equal(options.sort, '-age');
+        done();
+      });
+    });
+  });
+
+  it('finds discriminated documents of their kind only', function(done){
+    Boss.findBySelector({ age: { $gt: 0 } }, function (err, bosses) {
+      assert.ifError(err);
+      assert.deepEqual(lastFind().selector, { age: { $gt: 0 }, '\\$kind': 'CradleBoss' });
+      assert.deepEqual(ids(bosses), ['dave']);
+      done();
+    });
+  });
+
+  describe('Mango indexes', function(){
+
+    function mangoIndexes(callback) {
+      Event.collection.getIndexes(function (err, indexes) {
+        assert.ifError(err);
+        callback(indexes.filter(function (index) {
+          return index.type === 'json';
+        }).sort(function (a, b) {
+          return a.ddoc + '/' + a.name < b.ddoc + '/' + b.name ? -1 : 1;
+        }));
+      });
+    }
+
+    function indexRequests() {
+      return server.requests.filter(function (req) {
+        return /\/_index(\/|$)/.test(req.path) && req.method !== 'GET';
+      }).length;
+    }
+
+    it('are created from indexes of type json', function(done){
+      Event.ensureIndexes(function (err) {
+        assert.ifError(err);
+        mangoIndexes(function (indexes) {
+          assert.deepEqual(indexes, [
+              { ddoc: '_design/mango-$root', name: 'by-name', type: 'json', def: { fields: [{ name: 'asc' }, { day: 'desc' }] } }
+            , { ddoc: '_design/mango-$root', name: 'day_1', type: 'json', def: { fields: [{ day: 'asc' }] } }
+          ]);
+          Event.collection.findById('_design/$root', function (err, design) {
+            assert.ifError(err);
+            assert.deepEqual(Object.keys(design.views), ['byKind']);
+            assert.deepEqual(Event.indexViews, [{ view: '$root/byKind', paths: ['kind'] }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('are left alone when unchanged', function(done){
+      var before = indexRequests();
+      Event.ensureIndexes(function (err) {
+        assert.ifError(err);
+        assert.equal(indexRequests(), before);
+        done();
+      });
+    });
+
+    it('are replaced when changed and dropped when no longer declared', function(done){
+      var other = { index: { fields: ['day'] }, ddoc: 'other', name: 'mine', type: 'json' };
+      Event.collection.ensureIndex(other, function (err, res) {
+        assert.ifError(err);
+        assert.equal(res.result, 'created');
+        ChangedEvent.ensureIndexes(function (err) {
+          assert.ifError(err);
+          mangoIndexes(function (indexes) {
+            assert.deepEqual(indexes.map(function (index) { return [index.ddoc, index.name, index.def]; }), [
+                ['_design/mango-$root', 'by-name', { fields: [{ name: 'asc' }], partial_filter_selector: { kind: 'party' } }]
+              , ['_design/other', 'mine', { fields: [{ day: 'asc' }] }]
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('back selector queries', function(done){
+      Event.create({ name: 'Launch', day: new Date('2024-01-02'), kind: 'party' }, function (err) {
+        assert.ifError(err);
+        Event.findBySelector({ name: 'Launch' }, { use_index: ['mango-$root', 'by-name'] }, function (err, events) {
+          assert.ifError(err);
+          assert.equal(events.length, 1);
+          assert.deepEqual(lastFind().use_index, ['mango-$root', 'by-name']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('removes docs without a revision', function(done){
+    Person.collection.insert({ _id: 'erin', name: 'Erin' }, null, function (err) {
+      assert.ifError(err);
+      // not from the cache, but the revision CouchDB gives
+      Person.collection.collection.cache.purge('erin');
+      Person.collection.remove('erin', undefined, function (err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.ok, true);
+        assert.ok(server.requests.some(function (req) {
+          return req.method === 'HEAD' && /\/erin$/.test(req.path);
+        }));
+        done();
+      });
+    });
+  });
+
+  it('escapes attachment names', function(done){
+    var c = Person.collection;
+    var paths = function (method) {
+      return server.requests.filter(function (req) {
+        return req.method === method && /\/alice\/a%20b\/c%231\.txt$/.test(req.path);
+      });
+    };
+    Person.findById('alice', function (err, alice) {
+      assert.ifError(err);
+      c.saveAttachment({ _id: 'alice', _rev: alice._rev }, { name: 'a b/c#1.txt', 'Content-Type': 'text/plain', body: 'hello' }, function (err, res) {
+        assert.ifError(err);
+        assert.equal(paths('PUT').length, 1);
+        c.getAttachment('alice', 'a b/c#1.txt', function (err, body, stub) {
+          assert.ifError(err);
+          assert.equal(paths('GET').length, 1);
+          assert.equal(body.toString(), 'hello');
+          assert.equal(stub.content_type, 'text/plain');
+          c.removeAttachment({ _id: 'alice', _rev: res.rev }, 'a b/c#1.txt', function (err) {
+            assert.ifError(err);
+            assert.equal(paths('DELETE').length, 1);
+            c.getAttachment('alice', 'a b/c#1.txt', function (err) {
+              assert.ok(err instanceof mongoose.Error.NotFoundError);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('while the database is being opened', function(){
+
+    it('returns a feed that follows changes once it is open', function(done){
+      var Late = cradle.model('CradleLateThing', new Schema({ name: String }));
+      assert.ok(Late.collection.buffer);
+      var feed = Late.collection.changes({ since: 0 });
+      assert.equal(typeof feed.stop, 'function');
+      feed.on('change', function (change) {
+        assert.equal(change.id, 'first');
+        feed.stop();
+        done();
+      });
+      Late.create({ _id: 'first', name: 'First' }, assert.ifError);
+    });
+
+    it('returns a stream of the attachment once it is open', function(done){
+      var Late = cradle.model('CradleLaterThing', new Schema({ name: String }));
+      assert.ok(Late.collection.buffer);
+      var status, body = '';
+      Late.collection.getAttachment('nobody', 'a.txt')
+        .on('response', function (res) { status = res.statusCode; })
+        .on('data', function (chunk) { body += chunk; })
+        .on('end', function () {
+          assert.equal(status, 404);
+          assert.equal(JSON.parse(body).error, 'not_found');
+          done();
+        });
+    });
+  });
+
+  it('passes on CouchDB errors', function(done){
+    Person.collection.findWithSelector({}, function (err) {
+      assert.ok(err instanceof mongoose.Error.DatabaseError);
+      assert.equal(err.error, 'bad_request');
+      done();
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Module dependencies.
+ */
+
+var http = require('http')
+  , crypto = require('crypto')
+  , viewserver = require('../../lib/viewserver')
+  , revision = require('../../lib/revision');
+
+/**
+ * A stub CouchDB server keeping its databases in memory.
+ *
+ * Answers the requests the driver makes, running design doc functions
+ * with the view server, and records each request in `requests`.
+ * `handlers` maps `METHOD path` to a function answering in its place.
+ */
+
+function stubCouch() {
+  var dbs = new Map();
+  var server = http.createServer(function (req, res) {
+    var chunks = [];
+    req.on('data', function (chunk) { chunks.push(chunk); });
+    req.on('end', function () {
+      var url = new URL(req.url, 'http://stub');
+      var request = {
+          method: req.method
+        , path: url.pathname
+        , query: {}
+        , headers: req.headers
+        , body: Buffer.concat(chunks)
+      };
+      url.searchParams.forEach(function (value, name) { request.query[name] = value; });
+      server.requests.push(request);
+      function reply(status, body, headers) {
+        var json = typeof body !== 'string' && !Buffer.isBuffer(body);
+        res.writeHead(status, Object.assign({ 'Content-Type': json ? 'application/json' : 'text/plain' }, headers));
+        res.end(req.method === 'HEAD' || body === undefined ? undefined : json ? JSON.stringify(body) : body);
+      }
+      var handler = server.handlers[req.method + ' ' + url.pathname];
+      try {
+        if (handler)
+          return handler(request, reply);
+        route(request, reply, res);
+      }
+      catch (e) {
+        reply(e.error === 'not_found' ? 404 : 400, e.error ? e : { error: 'unknown_error', reason: e.message });
+      }
+    });
+  });
+  server.requests = [];
+  server.handlers = {};
+  server.dbs = dbs;
+
+  // CouchDB takes query parameters as JSON, and bare strings
+  function options(request) {
+    var opts = {};
+    for (var name in request.query) {
+      try {
+        opts[name] = JSON.parse(request.query[name]);
+      }
+      catch (e) {
+        opts[name] = request.query[name];
+      }
+    }
+    if (/json/.test(request.headers['content-type']) && request.body.length)
+      Object.assign(opts, JSON.parse(request.body));
+    return opts;
+  }
+
+  var STATUS = { bad_request: 400, not_found: 404, conflict: 409 };
+
+  function write(db, doc) {
+    var current = db.docs.get(doc._id);
+    var err = revision.checkId(doc._id) || revision.check(current, doc, false);
+    if (err)
+      return Object.assign({ id: doc._id }, err);
+    var stored = doc._deleted ? { _id: doc._id, _deleted: true } : JSON.parse(JSON.stringify(doc));
+    stored._rev = revision.next(stored, current && current._rev);
+    db.docs.set(doc._id, stored);
+    db.changes.delete(doc._id);
+    db.changes.set(doc._id, { seq: ++db.seq, id: doc._id, rev: stored._rev, deleted: !!doc._deleted });
+    var waiting = db.waiting;
+    db.waiting = [];
+    waiting.forEach(function (wake) { wake(); });
+    return { ok: true, id: doc._id, rev: stored._rev };
+  }
+
+  function live(db) {
+    return Array.from(db.docs.values()).filter(function (doc) { return !doc._deleted; });
+  }
+
+  function view(db, designId, name, opts) {
+    var design = db.docs.get(designId);
+    if (!design || design._deleted || !design.views || !design.views[name])
+      throw { error: 'not_found', reason: 'missing_named_view' };
+    return viewserver.query(live(db), design.views[name], opts, function (id) { return db.docs.get(id); });
+  }
+
+  function changes(db, request, opts, reply, res) {
+    var since = opts.since === 'now' ? db.seq : opts.since || 0;
+    var rows = Array.from(db.changes.values()).filter(function (change) {
+      return change.seq > since && (!opts.doc_ids || opts.doc_ids.indexOf(change.id) !== -1);
+    }).map(function (change) {
+      var row = { seq: change.seq, id: change.id, changes: [{ rev: change.rev }] };
+      if (change.deleted)
+        row.deleted = true;
+      if (opts.include_docs)
+        row.doc = db.docs.get(change.id);
+      return row;
+    });
+    if (opts.limit)
+      rows = rows.slice(0, opts.limit);
+    if (opts.feed === 'continuous') {
+      if (!res.headersSent)
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+      rows.forEach(function (row) { res.write(JSON.stringify(row) + '\n'); });
+      if (res.destroyed)
+        return;
+      var last = rows.length ? rows[rows.length - 1].seq : Math.max(since, db.seq);
+      var more = function () { changes(db, request, Object.assign({}, opts, { since: last }), reply, res); };
+      db.waiting.push(more);
+      return res.once('close', function () { db.waiting = db.waiting.filter(function (w) { return w !== more; }); });
+    }
+    if (!rows.length && opts.feed === 'longpoll' && !res.destroyed) {
+      var wake = function () { changes(db, request, Object.assign({}, opts, { since: since }), reply, res); };
+      db.waiting.push(wake);
+      return res.on('close', function () { db.waiting = db.waiting.filter(function (w) { return w !== wake; }); });
+    }
+    reply(200, { results: rows, last_seq: rows.length ? rows[rows.length - 1].seq : Math.max(since, db.seq) });
+  }
+
+  function route(request, reply, res) {
+    // like CouchDB, ignore empty path segments: cradle asks for `/db//_bulk_docs`
+    var parts = request.path.split('/').filter(Boolean).map(decodeURIComponent);
+    var name = parts[0];
+    var db = dbs.get(name);
+    var opts = options(request);
+    if (parts.length === 1) {
+      if (request.method === 'HEAD')
+        return reply(db ? 200 : 404);
+      if (request.method === 'PUT') {
+        if (db)
+          return reply(412, { error: 'file_exists', reason: 'The database could not be created, the file already exists.' });
+        dbs.set(name, { docs: new Map(), changes: new Map(), blobs: new Map(), seq: 0, waiting: [] });
+        return reply(201, { ok: true });
+      }
+    }
+    if (!db)
+      return reply(404, { error: 'not_found', reason: 'Database does not exist.' });
+    if (parts.length === 1 && request.method === 'GET')
+      return reply(200, { db_name: name, doc_count: live(db).length, update_seq: db.seq, instance_start_time: '0' });
+    if (parts.length === 1 && request.method === 'POST') {
+      var doc = JSON.parse(request.body);
+      doc._id = doc._id || crypto.randomBytes(16).toString('hex');
+      var posted = write(db, doc);
+      return reply(STATUS[posted.error] || 201, posted);
+    }
+    switch (parts[1]) {
+      case '_bulk_docs':
+        return reply(201, opts.docs.map(function (doc) { return write(db, doc); }));
+      case '_all_docs':
+        return reply(200, viewserver.allDocs(Array.from(db.docs.values()), opts));
+      case '_temp_view':
+        return reply(200, viewserver.query(live(db), JSON.parse(request.body), options({ query: request.query, headers: {} })));
+      case '_changes':
+        return changes(db, request, opts, reply, res);
+      case '_find':
+        return reply(200, viewserver.find(live(db), JSON.parse(request.body)));
+      case '_index':
+        return index(db, request, parts.slice(2), reply);
+    }
+    var special = parts[1] === '_design' || parts[1] === '_local';
+    var _id = special ? parts[1] + '/' + parts[2] : parts[1];
+    var rest = parts.slice(special ? 3 : 2);
+    var current = db.docs.get(_id);
+    if (rest[0] === '_view')
+      return reply(200, view(db, _id, rest[1], opts));
+    if (rest[0] === '_update') {
+      var id = rest[2];
+      var target = id && db.docs.get(id);
+      var result = viewserver.update(current.updates[rest[1]], target && !target._deleted ? target : null,
+                                     viewserver.request(request.method, id, request.query, request.body.length ? request.body.toString() : undefined));
+      if (result[0])
+        write(db, result[0]);
+      return reply(201, result[1]);
+    }
+    if (rest[0] === '_list') {
+      var listed = rest.length > 3 ? view(db, '_design/' + rest[2], rest[3], opts) : view(db, _id, rest[2], opts);
+      return reply(200, viewserver.list(current.lists[rest[1]], listed, viewserver.request('GET', null, request.query)));
+    }
+    if (rest.length)
+      return attachment(db, _id, rest.join('/'), current, request, reply);
+    switch (request.method) {
+      case 'HEAD':
+        return current && !current._deleted ? reply(200, undefined, { ETag: '"' + current._rev + '"' }) : reply(404);
+      case 'GET':
+        if (opts.open_revs === 'all')
+          return reply(200, current ? [{ ok: current }] : []);
+        if (!current || (current._deleted && opts.rev !== current._rev))
+          return reply(404, { error: 'not_found', reason: current ? 'deleted' : 'missing' });
+        return reply(200, current);
+      case 'PUT':
+        var put = write(db, Object.assign(JSON.parse(request.body), { _id: _id }));
+        return reply(STATUS[put.error] || 201, put);
+      case 'DELETE':
+        var removed = write(db, { _id: _id, _rev: opts.rev, _deleted: true });
+        return reply(STATUS[removed.error] || 200, removed);
+    }
+  }
+
+  // Mango indexes live in design docs of language `query`
+  function index(db, request, rest, reply) {
+    if (request.method === 'GET') {
+      var indexes = [{ ddoc: null, name: '_all_docs', type: 'special', def: { fields: [{ _id: 'asc' }] } }];
+      live(db).forEach(function (doc) {
+        if (doc.language === 'query')
+          Object.keys(doc.views).forEach(function (name) {
+            indexes.push({ ddoc: doc._id, name: name, type: 'json', def: doc.views[name].options.def });
+          });
+      });
+      return reply(200, { total_rows: indexes.length, indexes: indexes });
+    }
+    var ddoc, name, current, design;
+    if (request.method === 'POST') {
+      var body = JSON.parse(request.body);
+      if (!body.index || !body.index.fields)
+        throw { error: 'bad_request', reason: 'Missing required key: fields' };
+      ddoc = body.ddoc ? body.ddoc.replace(/^(_design\/)?/, '_design/') : '_design/' + crypto.randomBytes(16).toString('hex');
+      name = body.name || crypto.randomBytes(16).toString('hex');
+      // CouchDB reports fields as `{field: direction}`
+      var def = Object.assign({}, body.index, {
+        fields: body.index.fields.map(function (field) {
+          if (typeof field !== 'string')
+            return field;
+          var asc = {};
+          asc[field] = 'asc';
+          return asc;
+        })
+      });
+      current = db.docs.get(ddoc);
+      design = current && !current._deleted ? JSON.parse(JSON.stringify(current)) : { _id: ddoc, language: 'query', views: {} };
+      if (design.views[name] && JSON.stringify(design.views[name].options.def) === JSON.stringify(def))
+        return reply(200, { result: 'exists', id: ddoc, name: name });
+      design.views[name] = { map: { fields: Object.assign.apply(null, [{}].concat(def.fields)) }, reduce: '_count', options: { def: def } };
+      write(db, design);
+      return reply(200, { result: 'created', id: ddoc, name: name });
+    }
+    ddoc = '_design/' + rest[0];
+    name = rest[2];
+    current = db.docs.get(ddoc);
+    if (!current || current._deleted || !current.views || !current.views[name])
+      return reply(404, { error: 'not_found', reason: 'Index not found' });
+    design = JSON.parse(JSON.stringify(current));
+    delete design.views[name];
+    write(db, Object.keys(design.views).length ? design : { _id: ddoc, _rev: current._rev, _deleted: true });
+    reply(200, { ok: true });
+  }
+
+  function attachment(db, _id, name, current, request, reply) {
+    var key = _id + '/' + name;
+    if (request.method === 'GET') {
+      var blob = db.blobs.get(key);
+      if (!blob || !current || !current._attachments || !current._attachments[name])
+        return reply(404, { error: 'not_found', reason: 'Document is missing attachment' });
+      return reply(200, blob.data, {
+          'Content-Type': blob.content_type
+        , 'Content-Length': blob.data.length
+        , 'Content-MD5': blob.md5
+      });
+    }
+    var content = current && !current._deleted ? JSON.parse(JSON.stringify(current)) : { _id: _id };
+    content._rev = request.query.rev;
+    content._attachments = content._attachments || {};
+    if (request.method === 'DELETE')
+      delete content._attachments[name];
+    else {
+      var md5 = crypto.createHash('md5').update(request.body).digest('base64');
+      db.blobs.set(key, { data: request.body, content_type: request.headers['content-type'], md5: md5 });
+      content._attachments[name] = {
+          content_type: request.headers['content-type']
+        , length: request.body.length
+        , digest: 'md5-' + md5
+        , stub: true
+      };
+    }
+    var res = write(db, content);
+    reply(STATUS[res.error] || (request.method === 'DELETE' ? 200 : 201), res);
+  }
+
+  return server;
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = stubCouch;
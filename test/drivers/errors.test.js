@@ -0,0 +1,72 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../')
+  , assert = require('assert')
+  , DatabaseError = mongoose.Error.DatabaseError;
+
+/**
+ * Test.
+ */
+
+describe('drivers: errors:', function(){
+
+  it('maps CouchDB error bodies to error classes', function(){
+    [ ['not_found', 'NotFoundError']
+    , ['conflict', 'ConflictError']
+    , ['unauthorized', 'UnauthorizedError']
+    , ['forbidden', 'ForbiddenError']
+    , ['corrupt', 'CorruptDocumentError']
+    ].forEach(function (pair) {
+      var err = DatabaseError.from({ error: pair[0], reason: 'because', id: 'd1' });
+      assert.ok(err instanceof mongoose.Error[pair[1]], pair[1]);
+      assert.ok(err instanceof DatabaseError);
+      assert.ok(err instanceof mongoose.Error);
+      assert.equal(err.name, pair[1]);
+      assert.equal(err.error, pair[0]);
+      assert.equal(err.reason, 'because');
+      assert.equal(err.id, 'd1');
+      assert.equal(err.message, pair[0] + ': because');
+    });
+  });
+
+  it('tells missing databases from missing docs', function(){
+    ['no_db_file', 'Database does not exist.'].forEach(function (reason) {
+      var err = DatabaseError.from({ error: 'not_found', reason: reason });
+      assert.ok(err instanceof mongoose.Error.DatabaseMissingError);
+      assert.ok(err instanceof mongoose.Error.NotFoundError);
+      assert.equal(err.error, 'not_found');
+    });
+    assert.ok(!(DatabaseError.from({ error: 'not_found', reason: 'deleted' }) instanceof mongoose.Error.DatabaseMissingError));
+  });
+
+  it('maps other bodies by HTTP status', function(){
+    var err = DatabaseError.from({ error: 'http_403', reason: '<html>' }, 403);
+    assert.ok(err instanceof mongoose.Error.ForbiddenError);
+    assert.equal(err.error, 'forbidden');
+    assert.equal(err.reason, '<html>');
+  });
+
+  it('keeps unknown CouchDB errors as DatabaseErrors', function(){
+    var err = DatabaseError.from({ error: 'bad_request', reason: 'Invalid rev format' });
+    assert.equal(err.constructor, DatabaseError);
+    assert.equal(err.error, 'bad_request');
+  });
+
+  it('maps malformed JSON to CorruptDocumentError', function(){
+    var syntax;
+    try { JSON.parse('{'); } catch (e) { syntax = e; }
+    var err = DatabaseError.from(syntax);
+    assert.ok(err instanceof mongoose.Error.CorruptDocumentError);
+    assert.equal(err.reason, syntax.message);
+  });
+
+  it('leaves other errors alone', function(){
+    var err = new Error('connect ECONNREFUSED');
+    assert.strictEqual(DatabaseError.from(err), err);
+    var typed = new mongoose.Error.ConflictError();
+    assert.strictEqual(DatabaseError.from(typed), typed);
+    assert.strictEqual(DatabaseError.from(null), null);
+  });
+});
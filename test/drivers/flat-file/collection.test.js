@@ -0,0 +1,1496 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../../')
+  , assert = require('assert')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , crypto = require('crypto')
+  , stream = require('stream')
+  , childProcess = require('child_process')
+  , Schema = mongoose.Schema
+  , FlatFileCollection = require('../../../lib/drivers/flat-file/collection');
+
+/**
+ * Setup.
+ */
+
+var rootdir = fs.mkdtempSync(path.join(os.tmpdir(), 'mongoose-couch-'));
+var flat = mongoose.instance({name: 'flat-file-driver-test', driver: 'flat-file'});
+flat.connect({rootdir: rootdir});
+
+var EntitySchema = new Schema({
+    name: { type: String, index: true }
+  , displayName: String
+}, {
+  views: {
+    names: { map: function (doc) { emit(doc.name.toLowerCase(), doc); }, asDefaultIndex: true }
+  }
+});
+
+var Entity = flat.model('FlatFileEntity', EntitySchema);
+var User = Entity.discriminator('FlatFileUser', new Schema({ age: { type: Number, index: true } }));
+
+/**
+ * Test.
+ */
+
+describe('drivers: flat-file:', function(){
+
+  after(function(){
+    fs.rmSync(rootdir, { recursive: true, force: true });
+  });
+
+  describe('views', function(){
+    before(function(done){
+      Entity.create(
+          { _id: 'e1', name: 'Widget' }
+        , { _id: 'e2', name: 'Gadget' }
+        , done);
+    });
+
+    before(function(done){
+      User.create(
+          { _id: 'u1', name: 'Bob', age: 40 }
+        , { _id: 'u2', name: 'Alice', age: 35 }
+        , done);
+    });
+
+    it('runs index views from the stored design doc', function(done){
+      Entity.findOneWithView('$root/byName', { key: 'Gadget' }, function (err, doc) {
+        assert.ifError(err);
+        assert.equal(doc._id, 'e2');
+        done();
+      });
+    });
+
+    it('runs custom views', function(done){
+      Entity.findWithView('$root/names', { startkey: 'b', endkey: 'g' }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d.name; }), ['Bob']);
+        done();
+      });
+    });
+
+    it('runs discriminator views', function(done){
+      User.findWithView('flatfileusers/byAge', { descending: true, include_docs: true }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['u1', 'u2']);
+        done();
+      });
+    });
+
+    it('honours keys, skip and limit', function(done){
+      Entity.collection.findWithView('$root/byName', { keys: ['Widget', 'Bob', 'Alice'], skip: 1, limit: 1 }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['u1']);
+        done();
+      });
+    });
+
+    it('reports missing views', function(done){
+      Entity.collection.findWithView('$root/nothing', {}, function (err) {
+        assert.equal(err.error, 'not_found');
+        done();
+      });
+    });
+  });
+
+  describe('revisions', function(){
+    it('are assigned on save and bumped on update', function(done){
+      var doc = new Entity({ _id: 'r1', name: 'Rev' });
+      doc.save(function (err) {
+        assert.ifError(err);
+        assert.equal(doc._id, 'r1');
+        assert.ok(/^1-[0-9a-f]{32}$/.test(doc._rev));
+        doc.displayName = 'Revised';
+        doc.save(function (err) {
+          assert.ifError(err);
+          assert.ok(/^2-/.test(doc._rev));
+          done();
+        });
+      });
+    });
+
+    it('reject stale writes with a conflict', function(done){
+      Entity.findById('r1', function (err, a) {
+        assert.ifError(err);
+        Entity.findById('r1', function (err, b) {
+          assert.ifError(err);
+          a.displayName = 'First';
+          a.save(function (err) {
+            assert.ifError(err);
+            b.displayName = 'Second';
+            Entity.collection.insert(b.toObject(), null, function (err) {
+              assert.equal(err.error, 'conflict');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('are required to remove', function(done){
+      Entity.findById('r1', function (err, doc) {
+        assert.ifError(err);
+        Entity.collection.remove('r1', '1-stale', function (err) {
+          assert.equal(err.error, 'conflict');
+          doc.remove(function (err) {
+            assert.ifError(err);
+            Entity.findById('r1', function (err) {
+              assert.equal(err.error, 'not_found');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('bulk operations', function(){
+    it('insert several docs reporting per-doc results', function(done){
+      Entity.collection.bulkInsert([
+          { _id: 'b1', name: 'One' }
+        , { _id: 'b2', name: 'Two' }
+        , { _id: 'e1', name: 'Clash' }
+      ], function (err, res) {
+        assert.ifError(err);
+        assert.equal(res.length, 3);
+        assert.equal(res[0].ok, true);
+        assert.equal(res[1].id, 'b2');
+        assert.ok(/^1-/.test(res[1].rev));
+        assert.equal(res[2].id, 'e1');
+        assert.equal(res[2].error, 'conflict');
+        done();
+      });
+    });
+
+    it('find several ids in _all_docs shape', function(done){
+      Entity.collection.findById(['b2', 'missing', 'b1'], function (err, rows) {
+        assert.ifError(err);
+        assert.equal(rows[0].id, 'b2');
+        assert.equal(rows[0].doc.name, 'Two');
+        assert.deepEqual(rows[1], { key: 'missing', error: 'not_found' });
+        assert.equal(rows[2].value.rev, rows[2].doc._rev);
+        done();
+      });
+    });
+
+    it('hydrate found docs through Model.findById', function(done){
+      Entity.findById(['b1', 'missing', 'b2'], function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d.name; }), ['One', 'Two']);
+        assert.ok(docs[0] instanceof Entity);
+        done();
+      });
+    });
+
+    it('run temporary views through Model.mapReduce', function(done){
+      var o = { map: function (doc) { if (doc._id[0] === 'b') emit(doc.name, 1); }, reduce: '_count' };
+      Entity.mapReduce(o, {}, function (err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [{ key: null, value: 2 }]);
+        Entity.mapReduce(o, { include_docs: true }, function (err) {
+          assert.ok(err instanceof mongoose.Error.DatabaseError);
+          assert.equal(err.error, 'query_parse_error');
+          done();
+        });
+      });
+    });
+
+    it('remove several docs', function(done){
+      Entity.findById(['b1', 'b2'], function (err, docs) {
+        assert.ifError(err);
+        Entity.collection.bulkRemove(docs.map(function (d) { return d.toObject(); }), function (err, res) {
+          assert.ifError(err);
+          assert.deepEqual(res.map(function (r) { return r.ok; }), [true, true]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('durability', function(){
+    var dir = path.join(rootdir, 'flatfileentities');
+
+    it('leaves no temporary files behind', function(done){
+      new Entity({ _id: 'd1', name: 'Durable' }).save(function (err) {
+        assert.ifError(err);
+        assert.deepEqual(fs.readdirSync(path.join(dir, '_tmp')), []);
+        done();
+      });
+    });
+
+    it('writes and removes with fsync enabled', function(done){
+      flat.connection.db.fsync = true;
+      new Entity({ _id: 'd2', name: 'Synced' }).save(function (err, doc) {
+        assert.ifError(err);
+        doc.remove(function (err) {
+          flat.connection.db.fsync = false;
+          assert.ifError(err);
+          done();
+        });
+      });
+    });
+
+    it('quarantines corrupt files and reports them', function(done){
+      var reported = [];
+      flat.connection.on('corrupt', function (info) { reported.push(info); });
+      fs.writeFileSync(path.join(dir, 'broken'), '{"_id": "brok');
+      Entity.collection.all({ include_docs: true }, function (err, rows) {
+        assert.ifError(err);
+        assert.ok(rows.length > 0);
+        assert.ok(rows.every(function (r) { return r.id !== 'broken'; }));
+        assert.equal(reported.length, 1);
+        assert.equal(reported[0].id, 'broken');
+        assert.equal(reported[0].collection, 'flatfileentities');
+        assert.ok(fs.existsSync(reported[0].path));
+        assert.ok(!fs.existsSync(path.join(dir, 'broken')));
+        flat.connection.removeAllListeners('corrupt');
+        done();
+      });
+    });
+
+    it('fails queued calls when the collection cannot be opened', function(done){
+      var file = path.join(rootdir, 'not-a-dir');
+      fs.writeFileSync(file, '');
+      var broken = mongoose.instance({name: 'flat-file-driver-test-broken', driver: 'flat-file'});
+      broken.connect({rootdir: file});
+      var Thing = broken.model('FlatFileBrokenThing', new Schema({ name: String }));
+      Thing.collection.insert({ _id: 't1' }, {}, function (err) {
+        assert.equal(err.code, 'ENOTDIR');
+        Thing.collection.findById('t1', function (err) {
+          assert.equal(err.code, 'ENOTDIR');
+          // streams and feeds have no callback to fail
+          Thing.collection.getAttachment('t1', 'a.txt').on('error', function (err) {
+            assert.equal(err.code, 'ENOTDIR');
+            var feed = Thing.collection.changes({});
+            feed.on('error', function (err) {
+              assert.equal(err.code, 'ENOTDIR');
+              feed.stop();
+              broken.connection.close(done);
+            });
+          });
+        });
+      });
+    });
+
+    it('reports corrupt docs from findById', function(done){
+      fs.writeFileSync(path.join(dir, 'broken2'), 'not json');
+      Entity.collection.findById('broken2', function (err) {
+        assert.ok(err instanceof mongoose.Error.CorruptDocumentError);
+        assert.equal(err.error, 'corrupt');
+        assert.equal(err.id, 'broken2');
+        done();
+      });
+    });
+  });
+
+  describe('ids', function(){
+    var dir = path.join(rootdir, 'flatfileentities');
+
+    it('are encoded reversibly as file names', function(done){
+      var ids = ['a/b', '..', '.hidden', 'c:d', 'caf\u00e9', '50%', 'x'.repeat(300)];
+      ids.forEach(function (id) {
+        var name = FlatFileCollection.encodeId(id);
+        assert.ok(name.indexOf('/') === -1);
+        assert.ok(name[0] !== '.');
+        if (name.indexOf('%%') !== 0)
+          assert.equal(FlatFileCollection.decodeId(name), id);
+      });
+      done();
+    });
+
+    it('round trip through the store', function(done){
+      var ids = ['../escape', 'dir/doc', 'c:d', '\u65e5\u672c', 'y'.repeat(300)];
+      Entity.collection.bulkInsert(ids.map(function (id) {
+        return { _id: id, name: id };
+      }), function (err, res) {
+        assert.ifError(err);
+        assert.ok(res.every(function (r) { return r.ok; }));
+        assert.ok(!fs.existsSync(path.join(rootdir, 'escape')));
+        Entity.collection.all(function (err, rows) {
+          assert.ifError(err);
+          var found = rows.map(function (r) { return r.id; });
+          ids.forEach(function (id) { assert.ok(found.indexOf(id) !== -1, id); });
+          Entity.collection.findById('../escape', function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc.name, '../escape');
+            done();
+          });
+        });
+      });
+    });
+
+    it('reject reserved ids', function(done){
+      Entity.collection.insert({ _id: '_tmp', name: 'x' }, null, function (err) {
+        assert.equal(err.error, 'bad_request');
+        done();
+      });
+    });
+
+    it('store design docs alongside other docs', function(done){
+      assert.ok(fs.existsSync(path.join(dir, '_design%2F%24root')));
+      assert.ok(!fs.existsSync(path.join(dir, '_design')));
+      done();
+    });
+  });
+
+  describe('design functions', function(){
+    var Counter;
+
+    before(function(done){
+      Counter = flat.model('FlatFileCounter', new Schema({
+          name: { type: String, index: true }
+        , count: Number
+      }, {
+        updates: {
+          bump: function (doc, req) {
+            if (!doc) return [null, 'missing'];
+            doc.count += +req.query.by;
+            return [doc, { json: { count: doc.count } }];
+          },
+          make: function (doc, req) {
+            var body = JSON.parse(req.body);
+            return [{ _id: req.uuid, name: body.name, count: 0 }, req.uuid];
+          }
+        },
+        lists: {
+          names: function (head, req) {
+            var row, names = [];
+            while ((row = getRow())) names.push(row.key);
+            return JSON.stringify({ total: head.total_rows, names: names });
+          }
+        }
+      }));
+      Counter.ensureIndexes(function (err) {
+        assert.ifError(err);
+        Counter.create({ _id: 'c1', name: 'first', count: 1 }, done);
+      });
+    });
+
+    it('run update handlers on existing docs', function(done){
+      Counter.update('$root/bump', 'c1', { by: 2 }, null, function (err, res) {
+        assert.ifError(err);
+        assert.deepEqual(res, { count: 3 });
+        Counter.findById('c1', function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc.count, 3);
+          assert.ok(/^2-/.test(doc._rev));
+          done();
+        });
+      });
+    });
+
+    it('run update handlers creating docs', function(done){
+      Counter.update('$root/make', null, {}, { name: 'second' }, function (err, id) {
+        assert.ifError(err);
+        Counter.findById(id, function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc.name, 'second');
+          done();
+        });
+      });
+    });
+
+    it('run list functions over views', function(done){
+      Counter.list('$root/names/byName', { descending: true }, function (err, res) {
+        assert.ifError(err);
+        assert.deepEqual(res, { total: 2, names: ['second', 'first'] });
+        done();
+      });
+    });
+
+    it('report missing handlers', function(done){
+      Counter.update('$root/nothing', 'c1', {}, null, function (err) {
+        assert.equal(err.error, 'not_found');
+        done();
+      });
+    });
+  });
+
+  describe('changes', function(){
+    var Note, since;
+
+    before(function(done){
+      Note = flat.model('FlatFileNote', new Schema({ text: String }));
+      Note.collection.insert({ _id: '_design/notes', filters: {
+        long: function (doc, req) { return !doc._deleted && doc.text.length > +req.query.min; }
+      } }, {}, function (err) {
+        assert.ifError(err);
+        Note.collection.changes({ since: 'now' }, function (err, res) {
+          assert.ifError(err);
+          since = res.last_seq;
+          done();
+        });
+      });
+    });
+
+    it('lists the latest change to each doc, including deletions', function(done){
+      var c = Note.collection;
+      c.insert({ _id: 'n1', text: 'one' }, {}, function (err) {
+        assert.ifError(err);
+        c.insert({ _id: 'n2', text: 'two' }, {}, function (err) {
+          assert.ifError(err);
+          c.insert({ _id: 'n1', text: 'uno' }, {}, function (err) {
+            assert.ifError(err);
+            c.findById('n2', function (err, doc) {
+              assert.ifError(err);
+              c.remove('n2', doc._rev, function (err, removed) {
+                assert.ifError(err);
+                c.changes({ since: since }, function (err, res) {
+                  assert.ifError(err);
+                  assert.deepEqual(res.results.map(function (r) { return r.id; }), ['n1', 'n2']);
+                  assert.equal(res.results[0].seq, since + 3);
+                  assert.ok(/^2-/.test(res.results[0].changes[0].rev));
+                  assert.equal(res.results[1].deleted, true);
+                  assert.equal(res.results[1].changes[0].rev, removed.rev);
+                  assert.equal(res.last_seq, since + 4);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('includes docs and tombstones', function(done){
+      Note.collection.changes({ since: since, include_docs: true }, function (err, res) {
+        assert.ifError(err);
+        assert.equal(res.results[0].doc.text, 'uno');
+        assert.deepEqual(res.results[1].doc, { _id: 'n2', _rev: res.results[1].changes[0].rev, _deleted: true });
+        done();
+      });
+    });
+
+    it('applies filters and limits', function(done){
+      var c = Note.collection;
+      c.changes({ filter: '_doc_ids', doc_ids: ['n2'] }, function (err, res) {
+        assert.ifError(err);
+        assert.deepEqual(res.results.map(function (r) { return r.id; }), ['n2']);
+        c.changes({ since: since, filter: 'notes/long', min: 2 }, function (err, res) {
+          assert.ifError(err);
+          assert.deepEqual(res.results.map(function (r) { return r.id; }), ['n1']);
+          c.changes({ filter: function (doc) { return doc._deleted; } }, function (err, res) {
+            assert.ifError(err);
+            assert.deepEqual(res.results.map(function (r) { return r.id; }), ['n2']);
+            c.changes({ limit: 1 }, function (err, res) {
+              assert.ifError(err);
+              assert.equal(res.results.length, 1);
+              assert.equal(res.last_seq, res.results[0].seq);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('reports missing filters', function(done){
+      Note.collection.changes({ filter: 'notes/nothing' }, function (err) {
+        assert.equal(err.error, 'not_found');
+        done();
+      });
+    });
+
+    it('follows changes continuously', function(done){
+      var feed = Note.collection.changes({ since: since, include_docs: true });
+      var seen = [];
+      feed.on('change', function (change) {
+        seen.push(change.id);
+        if (seen.length == 2)
+          Note.collection.insert({ _id: 'n3', text: 'three' }, {}, assert.ifError);
+        if (seen.length == 3) {
+          feed.stop();
+          assert.deepEqual(seen, ['n1', 'n2', 'n3']);
+          assert.equal(change.doc.text, 'three');
+          done();
+        }
+      });
+    });
+
+    it('compacts the log once it holds twice as many changes as docs', function(done){
+      this.timeout(20000);
+      var Counter = flat.model('FlatFileChangeCounter', new Schema({ n: { type: Number, index: true } }));
+      var c = Counter.collection;
+      var docs = [];
+      for (var i = 0; i < 400; ++i)
+        docs.push({ _id: 'c' + i });
+      function round(n, callback) {
+        docs.forEach(function (doc) { doc.n = n; });
+        c.bulkInsert(docs, function (err, res) {
+          assert.ifError(err);
+          res.forEach(function (row, i) { docs[i]._rev = row.rev; });
+          callback();
+        });
+      }
+      var builds = 0;
+      var buildIndex = c.buildIndex;
+      c.buildIndex = function () {
+        ++builds;
+        return buildIndex.apply(this, arguments);
+      };
+      round(1, function () {
+        c.findWithView('$root/byN', { key: 1 }, function (err, found) {
+          assert.ifError(err);
+          assert.equal(found.length, 400);
+          assert.equal(builds, 1);
+          round(2, function () {
+            round(3, function () {
+              var lines = fs.readFileSync(path.join(rootdir, c.name, '_meta', 'changes'), 'utf8')
+                .split('\n').filter(Boolean);
+              assert.ok(lines.length < 1200, lines.length + ' lines');
+              c.changes(function (err, res) {
+                assert.ifError(err);
+                // and the design doc
+                assert.equal(res.results.length, 401);
+                assert.equal(res.last_seq, 1201);
+                c.findWithView('$root/byN', { key: 3 }, function (err, found) {
+                  assert.ifError(err);
+                  assert.equal(found.length, 400);
+                  // brought up to date rather than built again
+                  assert.equal(builds, 1);
+                  delete c.buildIndex;
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('resumes the sequence from the log when opened', function(done){
+      var other = mongoose.instance({name: 'flat-file-driver-test-changes', driver: 'flat-file'});
+      other.connect({rootdir: rootdir});
+      var OtherNote = other.model('FlatFileNote', new Schema({ text: String }));
+      Note.collection.changes({ since: 'now' }, function (err, res) {
+        assert.ifError(err);
+        OtherNote.collection.insert({ _id: 'n4', text: 'four' }, {}, function (err) {
+          assert.ifError(err);
+          Note.collection.changes({ since: res.last_seq }, function (err, after) {
+            assert.ifError(err);
+            assert.deepEqual(after.results.map(function (r) { return r.id; }), ['n4']);
+            assert.equal(after.results[0].seq, res.last_seq + 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('view indexes', function(){
+    var Item, dir;
+
+    function loads(fn, done) {
+      var load = FlatFileCollection.prototype.load, names = [];
+      Item.collection.load = function (name) {
+        names.push(name);
+        return load.apply(this, arguments);
+      };
+      fn(function () {
+        delete Item.collection.load;
+        done(names.filter(function (name) { return name.indexOf('_design') !== 0; }));
+      });
+    }
+
+    before(function(done){
+      Item = flat.model('FlatFileItem', new Schema({ color: { type: String, index: true } }));
+      dir = path.join(rootdir, Item.collection.name, '_meta', 'views');
+      Item.create(
+          { _id: 'i1', color: 'red' }
+        , { _id: 'i2', color: 'blue' }
+        , { _id: 'i3', color: 'red' }
+        , done);
+    });
+
+    it('persist an index per map function', function(done){
+      Item.findWithView('$root/byColor', { key: 'red' }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['i1', 'i3']);
+        var stored = JSON.parse(fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0])));
+        assert.deepEqual(stored.docs.map(function (e) { return e[0]; }).sort(), ['i1', 'i2', 'i3']);
+        done();
+      });
+    });
+
+    it('read only the docs in the response', function(done){
+      loads(function (next) {
+        Item.collection.findWithView('$root/byColor', { key: 'blue', include_docs: true }, function (err, docs) {
+          assert.ifError(err);
+          assert.deepEqual(docs.map(function (d) { return d._id; }), ['i2']);
+          next();
+        });
+      }, function (names) {
+        assert.deepEqual(names, ['i2']);
+        done();
+      });
+    });
+
+    it('apply inserts and removals incrementally', function(done){
+      Item.collection.insert({ _id: 'i4', color: 'blue' }, {}, function (err) {
+        assert.ifError(err);
+        Item.collection.findById('i2', function (err, doc) {
+          assert.ifError(err);
+          Item.collection.remove('i2', doc._rev, function (err) {
+            assert.ifError(err);
+            loads(function (next) {
+              Item.findWithView('$root/byColor', { key: 'blue' }, function (err, docs) {
+                assert.ifError(err);
+                assert.deepEqual(docs.map(function (d) { return d._id; }), ['i4']);
+                next();
+              });
+            }, function (names) {
+              assert.deepEqual(names.sort(), ['i2', 'i4']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('rebuild when a view changes and clean up stale indexes', function(done){
+      Item.collection.findById('_design/$root', function (err, design) {
+        assert.ifError(err);
+        design.views.byColor.map = 'function (doc) { if (doc.color) emit(doc.color.toUpperCase(), null); }';
+        Item.collection.insert(design, {}, function (err) {
+          assert.ifError(err);
+          Item.collection.findWithView('$root/byColor', { key: 'RED' }, function (err, rows) {
+            assert.ifError(err);
+            assert.deepEqual(rows.map(function (r) { return r.id; }), ['i1', 'i3']);
+            assert.equal(fs.readdirSync(dir).length, 2);
+            Item.collection.viewCleanup(function (err) {
+              assert.ifError(err);
+              assert.equal(fs.readdirSync(dir).length, 1);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('attachments', function(){
+    var c, rev;
+
+    function md5(data) {
+      return 'md5-' + crypto.createHash('md5').update(data).digest('base64');
+    }
+
+    function sidecars(id) {
+      var dir = path.join(rootdir, c.name, FlatFileCollection.encodeId(id) + '~att');
+      return fs.existsSync(dir) ? fs.readdirSync(dir) : null;
+    }
+
+    before(function(){
+      c = flat.model('FlatFileDocument', new Schema({ title: String })).collection;
+    });
+
+    it('store content next to the doc with a stub in its body', function(done){
+      var data = Buffer.from([0, 1, 2, 255]);
+      c.saveAttachment('a1', { name: 'raw.bin', contentType: 'application/octet-stream', body: data }, function (err, res) {
+        assert.ifError(err);
+        assert.ok(/^1-/.test(res.rev));
+        c.findById('a1', function (err, doc) {
+          assert.ifError(err);
+          assert.deepEqual(doc._attachments['raw.bin'], {
+            content_type: 'application/octet-stream', revpos: 1, digest: md5(data), length: 4, stub: true
+          });
+          assert.equal(sidecars('a1').length, 1);
+          rev = doc._rev;
+          done();
+        });
+      });
+    });
+
+    it('get content as a Buffer', function(done){
+      c.getAttachment('a1', 'raw.bin', function (err, body, stub) {
+        assert.ifError(err);
+        assert.ok(Buffer.isBuffer(body));
+        assert.deepEqual(Array.from(body), [0, 1, 2, 255]);
+        assert.equal(stub.length, 4);
+        done();
+      });
+    });
+
+    it('put and get content as streams', function(done){
+      var body = stream.Readable.from([Buffer.from('hello '), Buffer.from('world')]);
+      c.saveAttachment({ _id: 'a1', _rev: rev }, { name: 'text/hello.txt', 'Content-Type': 'text/plain', body: body }, function (err, res) {
+        assert.ifError(err);
+        rev = res.rev;
+        var chunks = [], stub;
+        c.getAttachment('a1', 'text/hello.txt')
+          .on('stub', function (s) { stub = s; })
+          .on('data', function (chunk) { chunks.push(chunk); })
+          .on('end', function () {
+            assert.equal(Buffer.concat(chunks).toString(), 'hello world');
+            assert.equal(stub.content_type, 'text/plain');
+            assert.equal(stub.revpos, 2);
+            done();
+          });
+      });
+    });
+
+    it('stream errors for missing attachments', function(done){
+      c.getAttachment('a1', 'nothing').on('error', function (err) {
+        assert.equal(err.error, 'not_found');
+        done();
+      });
+    });
+
+    it('require the current rev', function(done){
+      c.saveAttachment('a1', { name: 'x', body: 'x' }, function (err) {
+        assert.equal(err.error, 'conflict');
+        c.removeAttachment({ id: 'a1', rev: '1-stale' }, 'raw.bin', function (err) {
+          assert.equal(err.error, 'conflict');
+          assert.equal(sidecars('a1').length, 2);
+          done();
+        });
+      });
+    });
+
+    it('keep stubs across updates and check them', function(done){
+      c.findById('a1', function (err, doc) {
+        assert.ifError(err);
+        doc.title = 'updated';
+        c.insert(doc, {}, function (err, res) {
+          assert.ifError(err);
+          c.getAttachment('a1', 'raw.bin', function (err, body) {
+            assert.ifError(err);
+            assert.equal(body.length, 4);
+            doc._rev = res.rev;
+            doc._attachments.missing = { stub: true };
+            c.insert(doc, {}, function (err) {
+              assert.equal(err.error, 'missing_stub');
+              rev = res.rev;
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('remove attachments and their sidecar files', function(done){
+      c.removeAttachment({ _id: 'a1', _rev: rev }, 'raw.bin', function (err, res) {
+        assert.ifError(err);
+        assert.equal(sidecars('a1').length, 1);
+        c.findById('a1', function (err, doc) {
+          assert.ifError(err);
+          assert.deepEqual(Object.keys(doc._attachments), ['text/hello.txt']);
+          delete doc._attachments;
+          c.insert(doc, {}, function (err) {
+            assert.ifError(err);
+            assert.equal(sidecars('a1'), null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('store inline attachments and drop them with the doc', function(done){
+      c.insert({ _id: 'a2', _attachments: { 'note.txt': { content_type: 'text/plain', data: Buffer.from('note').toString('base64') } } }, {}, function (err, res) {
+        assert.ifError(err);
+        c.getAttachment('a2', 'note.txt', function (err, body, stub) {
+          assert.ifError(err);
+          assert.equal(body.toString(), 'note');
+          assert.equal(stub.digest, md5('note'));
+          c.remove('a2', res.rev, function (err) {
+            assert.ifError(err);
+            assert.equal(sidecars('a2'), null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('tombstones', function(){
+    var c, rev;
+
+    before(function(done){
+      c = flat.model('FlatFileRecord', new Schema({ n: Number })).collection;
+      c.insert({ _id: 't1', n: 1 }, {}, function (err, res) {
+        assert.ifError(err);
+        c.remove('t1', res.rev, function (err, res) {
+          assert.ifError(err);
+          assert.ok(/^2-/.test(res.rev));
+          rev = res.rev;
+          done();
+        });
+      });
+    });
+
+    it('hide deleted docs unless asked for', function(done){
+      c.findById('t1', function (err) {
+        assert.ok(err instanceof mongoose.Error.NotFoundError);
+        assert.equal(err.reason, 'deleted');
+        c.findById('t1', { returnDeleted: true }, function (err, doc) {
+          assert.ifError(err);
+          assert.deepEqual(doc, { _id: 't1', _rev: rev, _deleted: true });
+          c.findById(['t1', 'nope'], function (err, rows) {
+            assert.ifError(err);
+            assert.deepEqual(rows[0], { id: 't1', key: 't1', value: { rev: rev, deleted: true }, doc: null });
+            assert.equal(rows[1].error, 'not_found');
+            c.all(function (err, rows) {
+              assert.ifError(err);
+              assert.equal(rows.length, 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('refuse to delete twice and allow recreating', function(done){
+      c.remove('t1', rev, function (err) {
+        assert.equal(err.error, 'not_found');
+        c.insert({ _id: 't1', n: 2 }, {}, function (err, res) {
+          assert.ifError(err);
+          assert.ok(/^3-/.test(res.rev));
+          c.remove('t1', res.rev, function (err, res) {
+            assert.ifError(err);
+            rev = res.rev;
+            done();
+          });
+        });
+      });
+    });
+
+    it('purge listed revisions', function(done){
+      c.insert({ _id: 't2', n: 2 }, {}, function (err, res) {
+        assert.ifError(err);
+        c.purge({ t1: ['1-stale'], t2: [res.rev] }, function (err, res2) {
+          assert.ifError(err);
+          assert.deepEqual(res2.purged, { t2: [res.rev] });
+          c.findById('t2', function (err) {
+            assert.ok(err instanceof mongoose.Error.NotFoundError);
+            assert.equal(err.reason, 'missing');
+            c.changes(function (err, res) {
+              assert.ifError(err);
+              assert.deepEqual(res.results.map(function (r) { return r.id; }), ['t1']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('purge all tombstones', function(done){
+      c.purge(function (err, res) {
+        assert.ifError(err);
+        assert.deepEqual(res.purged, { t1: [rev] });
+        c.findById('t1', { returnDeleted: true }, function (err) {
+          assert.equal(err.reason, 'missing');
+          assert.deepEqual(fs.readdirSync(path.join(rootdir, c.name)).filter(function (name) {
+            return name[0] !== '_';
+          }), []);
+          done();
+        });
+      });
+    });
+
+    it('leave the latest change to each doc in the changes log', function(done){
+      var log = path.join(rootdir, c.name, '_meta', 'changes');
+      var lines = fs.readFileSync(log, 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+      assert.deepEqual(lines.map(function (change) { return [change.id, !!change.purged]; }), [['t2', true], ['t1', true]]);
+      var last = lines[1].seq;
+      c.insert({ _id: 't3', n: 3 }, {}, function (err) {
+        assert.ifError(err);
+        c.changes(function (err, res) {
+          assert.ifError(err);
+          assert.deepEqual(res.results.map(function (r) { return [r.id, r.seq]; }), [['t3', last + 1]]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('sharded layout', function(){
+    var schema = new Schema({ n: Number }), c, dir;
+
+    function rootEntries() {
+      return fs.readdirSync(dir).filter(function (name) { return name[0] !== '_'; }).sort();
+    }
+
+    before(function(done){
+      c = flat.model('FlatFileShard', schema).collection;
+      dir = path.join(rootdir, c.name);
+      c.insert({ _id: 's1', n: 1 }, {}, function (err) {
+        assert.ifError(err);
+        c.saveAttachment('s2', { name: 'a.txt', body: 'attached' }, function (err, res) {
+          assert.ifError(err);
+          c.insert({ _id: 's3', n: 3 }, {}, function (err, res) {
+            assert.ifError(err);
+            c.remove('s3', res.rev, done);
+          });
+        });
+      });
+    });
+
+    it('migrates a flat collection when opened with a fanout', function(done){
+      assert.deepEqual(rootEntries(), ['s1', 's2', 's2~att', 's3']);
+      var sharded = mongoose.instance({name: 'flat-file-driver-test-sharded', driver: 'flat-file'});
+      sharded.connect({rootdir: rootdir, fanout: 2});
+      c = sharded.model('FlatFileShard', schema).collection;
+      c.all(function (err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows.map(function (r) { return r.id; }), ['s1', 's2']);
+        rootEntries().forEach(function (name) { assert.ok(/^[0-9a-f]{2}$/.test(name), name); });
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '_meta', 'layout'))), { fanout: 2 });
+        c.getAttachment('s2', 'a.txt', function (err, body) {
+          assert.ifError(err);
+          assert.equal(body.toString(), 'attached');
+          c.findById('s3', { returnDeleted: true }, function (err, doc) {
+            assert.ifError(err);
+            assert.ok(doc._deleted);
+            done();
+          });
+        });
+      });
+    });
+
+    it('writes new docs to shard directories', function(done){
+      c.insert({ _id: 's4', n: 4 }, {}, function (err) {
+        assert.ifError(err);
+        rootEntries().forEach(function (name) { assert.ok(/^[0-9a-f]{2}$/.test(name), name); });
+        c.findById('s4', function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc.n, 4);
+          done();
+        });
+      });
+    });
+
+    it('reads all docs a few at a time', function(done){
+      var docs = [];
+      for (var i = 0; i < 200; ++i)
+        docs.push({ _id: 'many' + i, n: i });
+      c.bulkInsert(docs, function (err, res) {
+        assert.ifError(err);
+        var open = 0, most = 0;
+        c.load = function (name, callback) {
+          most = Math.max(most, ++open);
+          FlatFileCollection.prototype.load.call(this, name, function () {
+            --open;
+            callback.apply(this, arguments);
+          });
+        };
+        c.stored(true).then(function (found) {
+          assert.equal(found.length, 204);
+          assert.ok(most > 1 && most <= 64, most + ' files read at once');
+          most = 0;
+          c.findById(docs.map(function (doc) { return doc._id; }), function (err, rows) {
+            assert.ifError(err);
+            delete c.load;
+            assert.equal(rows.length, 200);
+            assert.ok(most > 1 && most <= 64, most + ' files read at once');
+            var revs = {};
+            res.forEach(function (row) { revs[row.id] = [row.rev]; });
+            c.purge(revs, function (err, res) {
+              assert.ifError(err);
+              assert.equal(Object.keys(res.purged).length, 200);
+              done();
+            });
+          });
+        }, done);
+      });
+    });
+
+    it('migrates back to a flat directory', function(done){
+      FlatFileCollection.migrateLayout(dir, 0).then(function () {
+        assert.deepEqual(rootEntries(), ['s1', 's2', 's2~att', 's3', 's4']);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '_meta', 'layout'))), { fanout: 0 });
+        done();
+      }, done);
+    });
+  });
+
+  describe('log storage', function(){
+    var schema = new Schema({ n: Number }), c, dir, rev1, rev2;
+
+    function rootEntries() {
+      return fs.readdirSync(dir).filter(function (name) { return name[0] !== '_'; }).sort();
+    }
+
+    function logLines() {
+      return fs.readFileSync(path.join(dir, '_log', 'data'), 'utf8').split('\n').filter(Boolean);
+    }
+
+    function open(name) {
+      var instance = mongoose.instance({name: name, driver: 'flat-file'});
+      instance.connect({rootdir: rootdir, storage: 'log'});
+      return instance.model('FlatFileLogged', schema).collection;
+    }
+
+    before(function(done){
+      c = flat.model('FlatFileLogged', schema).collection;
+      dir = path.join(rootdir, c.name);
+      c.insert({ _id: 'l1', n: 1 }, {}, function (err, res) {
+        assert.ifError(err);
+        rev1 = res.rev;
+        c.saveAttachment('l2', { name: 'a.txt', body: 'attached' }, function (err) {
+          assert.ifError(err);
+          c.insert({ _id: 'l3', n: 3 }, {}, function (err, res) {
+            assert.ifError(err);
+            c.remove('l3', res.rev, done);
+          });
+        });
+      });
+    });
+
+    it('converts a collection of files when opened with the log storage', function(done){
+      c = open('flat-file-driver-test-log');
+      c.all(function (err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows.map(function (r) { return r.id; }), ['l1', 'l2']);
+        assert.deepEqual(rootEntries(), ['l2~att']);
+        assert.equal(logLines().length, 3);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '_meta', 'layout'))), { storage: 'log' });
+        c.getAttachment('l2', 'a.txt', function (err, body) {
+          assert.ifError(err);
+          assert.equal(body.toString(), 'attached');
+          c.findById('l3', { returnDeleted: true }, function (err, doc) {
+            assert.ifError(err);
+            assert.ok(doc._deleted);
+            done();
+          });
+        });
+      });
+    });
+
+    it('appends revisions, keeping earlier ones readable', function(done){
+      c.insert({ _id: 'l1', _rev: rev1, n: 10 }, {}, function (err, res) {
+        assert.ifError(err);
+        rev2 = res.rev;
+        assert.equal(logLines().length, 4);
+        c.findById('l1', function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc.n, 10);
+          c.findById('l1', { rev: rev1 }, function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc._rev, rev1);
+            assert.equal(doc.n, 1);
+            c.findById('l1', { rev: '9-abc' }, function (err) {
+              assert.equal(err.error, 'not_found');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('batches concurrent writes into shared appends', function(done){
+      var fh = c.log.handle.fh, write = fh.write, writes = 0;
+      fh.write = function () {
+        ++writes;
+        return write.apply(this, arguments);
+      };
+      var docs = [];
+      for (var i = 0; i < 20; ++i)
+        docs.push({ _id: 'b' + i, n: i });
+      c.bulkInsert(docs, function (err, res) {
+        fh.write = write;
+        assert.ifError(err);
+        assert.equal(res.filter(function (r) { return r.ok; }).length, 20);
+        assert.ok(writes < 20, writes + ' writes');
+        assert.equal(logLines().length, 24);
+        done();
+      });
+    });
+
+    it('reindexes appends past its checkpoint when reopened, cutting off a torn line', function(done){
+      fs.appendFileSync(path.join(dir, '_log', 'data'), '{"_id":"l9","n"');
+      c = open('flat-file-driver-test-log-reopened');
+      c.findById('b19', function (err, doc) {
+        assert.ifError(err);
+        assert.equal(doc.n, 19);
+        assert.ok(/\n$/.test(fs.readFileSync(path.join(dir, '_log', 'data'), 'utf8')));
+        c.findById('l1', { rev: rev1 }, function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc.n, 1);
+          c.insert({ _id: 'l9', n: 9 }, {}, function (err) {
+            assert.ifError(err);
+            c.findById('l9', function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc.n, 9);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('compacts to the current revision of each doc', function(done){
+      c.purge({ l3: [c.log.list().filter(function (e) { return e.id === 'l3'; })[0].rev] }, function (err, res) {
+        assert.ifError(err);
+        assert.deepEqual(Object.keys(res.purged), ['l3']);
+        c.compact(function (err, res) {
+          assert.ifError(err);
+          assert.ok(res.ok);
+          assert.equal(logLines().length, 23);
+          c.findById('l1', { rev: rev1 }, function (err) {
+            assert.equal(err.error, 'not_found');
+            c.findById('l1', function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc._rev, rev2);
+              c.findById('l3', { returnDeleted: true }, function (err) {
+                assert.equal(err.reason, 'missing');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('converts back to files', function(done){
+      FlatFileCollection.convertStorage(dir, 'files', 0).then(function () {
+        assert.ok(!fs.existsSync(path.join(dir, '_log')));
+        assert.equal(rootEntries().length, 24);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'l1'))).n, 10);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '_meta', 'layout'))), { storage: 'files' });
+        done();
+      }, done);
+    });
+  });
+
+  describe('inter-process locking', function(){
+    var schema = new Schema({ n: Number }), c, locks;
+
+    function holdLock(id, pid) {
+      var file = path.join(locks, FlatFileCollection.encodeId(id));
+      fs.writeFileSync(file, JSON.stringify({ pid: pid, host: os.hostname(), token: 'held' }));
+      return file;
+    }
+
+    before(function(done){
+      c = flat.model('FlatFileTally', schema).collection;
+      locks = path.join(rootdir, c.name, '_locks');
+      c.insert({ _id: 'k0', n: 0 }, {}, done);
+    });
+
+    it('breaks a lock left by a process no longer running', function(done){
+      holdLock('k1', 2147483647);
+      c.insert({ _id: 'k1', n: 1 }, {}, function (err) {
+        assert.ifError(err);
+        done();
+      });
+    });
+
+    it('breaks a lock not refreshed for the lock timeout', function(done){
+      var file = holdLock('k2', process.pid);
+      var past = new Date(Date.now() - 60000);
+      fs.utimesSync(file, past, past);
+      c.insert({ _id: 'k2', n: 2 }, {}, function (err) {
+        assert.ifError(err);
+        done();
+      });
+    });
+
+    it('waits for a lock held by a running process', function(done){
+      var file = holdLock('k3', process.pid), start = Date.now();
+      setTimeout(function () { fs.unlinkSync(file); }, 100);
+      c.insert({ _id: 'k3', n: 3 }, {}, function (err) {
+        assert.ifError(err);
+        assert.ok(Date.now() - start >= 90);
+        done();
+      });
+    });
+
+    it('serializes writes from several processes', function(done){
+      this.timeout(30000);
+      function worker(root, rootdir, count) {
+        var mongoose = require(root);
+        var db = mongoose.instance({name: 'flat-file-worker', driver: 'flat-file'});
+        db.connect({rootdir: rootdir});
+        var c = db.model('FlatFileTally', new mongoose.Schema({ n: Number })).collection;
+        (function next(left) {
+          if (!left)
+            return;
+          c.findById('k0', function (err, doc) {
+            if (err)
+              throw err;
+            c.bulkInsert([{ _id: 'k0', _rev: doc._rev, n: doc.n + 1 }], function (err, res) {
+              if (err || (res[0].error && res[0].error !== 'conflict'))
+                throw err || res[0];
+              next(res[0].error ? left : left - 1);
+            });
+          });
+        })(count);
+      }
+      var script = '(' + worker + ')(' + [path.resolve(__dirname, '../../..'), rootdir, 10].map(JSON.stringify) + ')';
+      var pending = 3;
+      for (var i = 0; i < 3; ++i)
+        childProcess.execFile(process.execPath, ['-e', script], function (err) {
+          assert.ifError(err);
+          if (--pending)
+            return;
+          c.findById('k0', function (err, doc) {
+            assert.ifError(err);
+            assert.equal(doc.n, 30);
+            var seqs = fs.readFileSync(path.join(rootdir, c.name, '_meta', 'changes'), 'utf8')
+              .split('\n').filter(Boolean).map(function (line) { return JSON.parse(line).seq; });
+            assert.equal(new Set(seqs).size, seqs.length);
+            assert.deepEqual(fs.readdirSync(locks), []);
+            done();
+          });
+        });
+    });
+  });
+
+  describe('encryption', function(){
+    var keys = { k1: crypto.randomBytes(32), k2: crypto.randomBytes(32) }
+      , schema = new Schema({ secret: { type: String, index: true } })
+      , Secret, dir;
+
+    function connect(name, keyId, keyIds, options) {
+      var instance = mongoose.instance({name: name, driver: 'flat-file'});
+      instance.connect(Object.assign({rootdir: rootdir, encryption: keyId && {
+        keyId: keyId,
+        keyProvider: function (keyId, callback) {
+          if (keyIds.indexOf(keyId) === -1)
+            return callback(new Error('no key ' + keyId));
+          callback(null, keys[keyId]);
+        }
+      }}, options));
+      return instance;
+    }
+
+    function raw(name) {
+      return fs.readFileSync(path.join(dir, name), 'utf8');
+    }
+
+    function blob() {
+      var att = path.join(dir, 's1~att');
+      return fs.readFileSync(path.join(att, fs.readdirSync(att)[0]));
+    }
+
+    function readAll(readable, callback) {
+      var chunks = [];
+      readable.on('data', function (chunk) { chunks.push(chunk); });
+      readable.on('error', callback);
+      readable.on('end', function () { callback(null, Buffer.concat(chunks).toString()); });
+    }
+
+    before(function(done){
+      Secret = connect('flat-file-driver-test-sealed', 'k1', ['k1']).model('FlatFileSecret', schema);
+      dir = path.join(rootdir, Secret.collection.name);
+      Secret.create({ _id: 's1', secret: 'hunter2' }, { _id: 's2', secret: 'swordfish' }, done);
+    });
+
+    it('seals stored docs', function(done){
+      var stored = JSON.parse(raw('s1'));
+      assert.equal(stored._id, 's1');
+      assert.equal(stored._sealed.kid, 'k1');
+      assert.equal(raw('s1').indexOf('hunter2'), -1);
+      Secret.collection.findById('s1', function (err, doc) {
+        assert.ifError(err);
+        assert.equal(doc.secret, 'hunter2');
+        Secret.collection.all({ include_docs: true }, function (err, rows) {
+          assert.ifError(err);
+          rows = rows.filter(function (r) { return r.id.indexOf('_design/') !== 0; });
+          assert.deepEqual(rows.map(function (r) { return r.doc.secret; }), ['hunter2', 'swordfish']);
+          done();
+        });
+      });
+    });
+
+    it('seals view indexes', function(done){
+      Secret.findWithView('$root/bySecret', { key: 'swordfish' }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['s2']);
+        var views = path.join(dir, '_meta', 'views');
+        fs.readdirSync(views).forEach(function (name) {
+          assert.equal(fs.readFileSync(path.join(views, name), 'utf8').indexOf('swordfish'), -1);
+        });
+        done();
+      });
+    });
+
+    it('seals attachments', function(done){
+      var c = Secret.collection;
+      c.saveAttachment({ _id: 's1', _rev: JSON.parse(raw('s1'))._rev }, { name: 'note.txt', body: 'classified' }, function (err) {
+        assert.ifError(err);
+        assert.equal(blob().indexOf('classified'), -1);
+        c.getAttachment('s1', 'note.txt', function (err, body) {
+          assert.ifError(err);
+          assert.equal(body.toString(), 'classified');
+          readAll(c.getAttachment('s1', 'note.txt'), function (err, body) {
+            assert.ifError(err);
+            assert.equal(body, 'classified');
+            done();
+          });
+        });
+      });
+    });
+
+    it('rejects tampered docs', function(done){
+      var original = raw('s2'), stored = JSON.parse(original);
+      stored._sealed.data = Buffer.from('{"secret":"forged"}').toString('base64');
+      fs.writeFileSync(path.join(dir, 's2'), JSON.stringify(stored));
+      Secret.collection.findById('s2', function (err) {
+        fs.writeFileSync(path.join(dir, 's2'), original);
+        assert.ok(err instanceof mongoose.Error.UnauthorizedError);
+        assert.equal(err.error, 'unauthorized');
+        done();
+      });
+    });
+
+    it('cannot read sealed docs without the key', function(done){
+      var c = connect('flat-file-driver-test-unsealed').model('FlatFileSecret', new Schema({ secret: String })).collection;
+      c.findById('s1', function (err) {
+        assert.equal(err.error, 'unauthorized');
+        done();
+      });
+    });
+
+    it('re-encrypts a collection under a new key', function(done){
+      var c = connect('flat-file-driver-test-rotating', 'k2', ['k1', 'k2']).model('FlatFileSecret', schema).collection;
+      c.rotateKey(function (err, res) {
+        assert.ifError(err);
+        assert.ok(res.ok);
+        assert.equal(JSON.parse(raw('s1'))._sealed.kid, 'k2');
+        assert.equal(JSON.parse(raw('s2'))._sealed.kid, 'k2');
+        assert.ok(blob().indexOf('k2') !== -1);
+        var Rotated = connect('flat-file-driver-test-rotated', 'k2', ['k2']).model('FlatFileSecret', schema);
+        Rotated.findWithView('$root/bySecret', { key: 'hunter2' }, function (err, docs) {
+          assert.ifError(err);
+          assert.deepEqual(docs.map(function (d) { return d._id; }), ['s1']);
+          Rotated.collection.getAttachment('s1', 'note.txt', function (err, body) {
+            assert.ifError(err);
+            assert.equal(body.toString(), 'classified');
+            done();
+          });
+        });
+      });
+    });
+
+    it('seals the revisions of the log storage', function(done){
+      var schema = new Schema({ secret: String })
+        , c = connect('flat-file-driver-test-sealed-log', 'k1', ['k1'], { storage: 'log' }).model('FlatFileSealedLog', schema).collection
+        , log = path.join(rootdir, c.name, '_log', 'data');
+      c.insert({ _id: 'l1', secret: 'first' }, {}, function (err, res) {
+        assert.ifError(err);
+        var rev = res.rev;
+        c.insert({ _id: 'l1', _rev: rev, secret: 'second' }, {}, function (err) {
+          assert.ifError(err);
+          assert.equal(fs.readFileSync(log, 'utf8').indexOf('first'), -1);
+          var rotating = connect('flat-file-driver-test-sealed-log-rotating', 'k2', ['k1', 'k2'], { storage: 'log' });
+          rotating.model('FlatFileSealedLog', schema).collection.rotateKey(function (err) {
+            assert.ifError(err);
+            var rotated = connect('flat-file-driver-test-sealed-log-rotated', 'k2', ['k2'], { storage: 'log' });
+            rotated.model('FlatFileSealedLog', schema).collection.findById('l1', { rev: rev }, function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc.secret, 'first');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('watcher', function(){
+    var schema = new Schema({ n: { type: Number, index: true } })
+      , watching, Watched, c, dir, events = [];
+
+    function handEdit(name, content, event, callback) {
+      watching.connection.once(event, function (info) {
+        // let the change be recorded before looking
+        setImmediate(callback, info);
+      });
+      if (content === null)
+        fs.unlinkSync(path.join(dir, name));
+      else
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+
+    before(function(done){
+      watching = mongoose.instance({name: 'flat-file-driver-test-watching', driver: 'flat-file'});
+      watching.connect({rootdir: rootdir, watch: true});
+      watching.connection.on('external', function (info) { events.push(info); });
+      Watched = watching.model('FlatFileWatched', schema);
+      c = Watched.collection;
+      dir = path.join(rootdir, c.name);
+      Watched.create({ _id: 'w1', n: 1 }, done);
+    });
+
+    after(function(){
+      c.unwatch();
+    });
+
+    it('ignores writes made through the driver', function(done){
+      c.insert({ _id: 'w0', n: 0 }, {}, function (err) {
+        assert.ifError(err);
+        setTimeout(function () {
+          assert.deepEqual(events, []);
+          done();
+        }, 100);
+      });
+    });
+
+    it('records docs created by hand', function(done){
+      c.changes({ since: 'now' }, function (err, res) {
+        assert.ifError(err);
+        var since = res.last_seq;
+        handEdit('w2', JSON.stringify({ _id: 'w2', _rev: '1-abc', n: 2 }), 'external', function (info) {
+          assert.deepEqual(info, { collection: c.name, id: 'w2', rev: '1-abc', type: 'created' });
+          c.changes({ since: since }, function (err, res) {
+            assert.ifError(err);
+            assert.deepEqual(res.results.map(function (r) { return r.id; }), ['w2']);
+            c.findById('w2', function (err, doc) {
+              assert.ifError(err);
+              assert.equal(doc.n, 2);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('maps docs modified by hand in view indexes', function(done){
+      Watched.findWithView('$root/byN', { key: 1 }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['w1']);
+        var stored = JSON.parse(fs.readFileSync(path.join(dir, 'w1')));
+        stored.n = 10;
+        handEdit('w1', JSON.stringify(stored), 'external', function (info) {
+          assert.equal(info.type, 'modified');
+          Watched.findWithView('$root/byN', { key: 10 }, function (err, docs) {
+            assert.ifError(err);
+            assert.deepEqual(docs.map(function (d) { return d._id; }), ['w1']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('records docs deleted by hand', function(done){
+      handEdit('w2', null, 'external', function (info) {
+        assert.equal(info.type, 'deleted');
+        c.findById('w2', function (err) {
+          assert.equal(err.reason, 'missing');
+          Watched.findWithView('$root/byN', { key: 2 }, function (err, docs) {
+            assert.ifError(err);
+            assert.deepEqual(docs, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('quarantines files that do not hold their doc', function(done){
+      var count = events.length;
+      handEdit('w3', JSON.stringify({ _id: 'w4', n: 4 }), 'corrupt', function (info) {
+        assert.equal(info.id, 'w3');
+        assert.ok(!fs.existsSync(path.join(dir, 'w3')));
+        setTimeout(function () {
+          assert.equal(events.length, count);
+          done();
+        }, 100);
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../../')
+  , assert = require('assert')
+  , Schema = mongoose.Schema;
+
+/**
+ * Setup.
+ */
+
+var memory = mongoose.instance({name: 'memory-driver-test', driver: 'memory'});
+memory.connect();
+
+var PersonSchema = new Schema({
+    name: { type: String, index: true }
+  , age: Number
+}, {
+  views: {
+    ages: { map: function (doc) { emit(doc.age, 1); }, reduce: '_sum' }
+  },
+  updates: {
+    birthday: function (doc) { doc.age += 1; return [doc, String(doc.age)]; }
+  },
+  lists: {
+    names: function () {
+      var row; while ((row = getRow())) send(row.key + ';');
+    }
+  }
+});
+
+var Person = memory.model('MemoryDriverPerson', PersonSchema);
+
+/**
+ * Test.
+ */
+
+describe('drivers: memory:', function(){
+
+  before(function(done){
+    Person.create(
+        { _id: 'alice', name: 'Alice', age: 30 }
+      , { _id: 'bob', name: 'Bob', age: 25 }
+      , { _id: 'carol', name: 'Carol', age: 30 }
+      , done);
+  });
+
+  it('assigns revisions on save', function(done){
+    Person.findById('alice', function (err, alice) {
+      assert.ifError(err);
+      assert.ok(/^1-[0-9a-f]{32}$/.test(alice._rev));
+      alice.age = 31;
+      var rev = alice._rev;
+      alice.save(function (err) {
+        assert.ifError(err);
+        assert.ok(/^2-/.test(alice._rev));
+        Person.collection.insert({ _id: 'alice', _rev: rev, name: 'Stale' }, null, function (err) {
+          assert.equal(err.error, 'conflict');
+          done();
+        });
+      });
+    });
+  });
+
+  it('queries views created by ensureIndexes', function(done){
+    Person.findOneWithView('$root/byName', { key: 'Bob' }, function (err, bob) {
+      assert.ifError(err);
+      assert.equal(bob._id, 'bob');
+      Person.collection.findWithView('$root/byName', { startkey: 'B', descending: true }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs.map(function (d) { return d._id; }), ['alice']);
+        done();
+      });
+    });
+  });
+
+  it('ignores Mango indexes', function(done){
+    var schema = new Schema({ name: String, age: Number }, { autoIndex: false });
+    schema.index({ age: 1 }, { type: 'json' });
+    var Aged = memory.model('MemoryDriverAged', schema);
+    Aged.ensureIndexes(function (err) {
+      assert.ifError(err);
+      Aged.collection.findById('_design/$root', function (err) {
+        assert.equal(err.error, 'not_found');
+        done();
+      });
+    });
+  });
+
+  it('reduces views with grouping', function(done){
+    Person.collection.findWithView('$root/ages', {}, function (err, values) {
+      assert.ifError(err);
+      assert.deepEqual(values, [3]);
+      Person.collection.findWithView('$root/ages', { group: true, startkey: 30 }, function (err, values) {
+        assert.ifError(err);
+        assert.deepEqual(values, [1, 1]);
+        done();
+      });
+    });
+  });
+
+  it('finds several ids in _all_docs shape', function(done){
+    Person.collection.findById(['bob', 'nobody'], function (err, rows) {
+      assert.ifError(err);
+      assert.equal(rows[0].doc.name, 'Bob');
+      assert.equal(rows[1].error, 'not_found');
+      done();
+    });
+  });
+
+  it('runs temporary views', function(done){
+    var o = { map: function (doc) { emit(doc.age, doc.name); }, reduce: '_count' };
+    Person.mapReduce(o, { key: 30 }, function (err, rows) {
+      assert.ifError(err);
+      assert.equal(rows[0].value, 1);
+      done();
+    });
+  });
+
+  it('runs update handlers and list functions', function(done){
+    Person.update('$root/birthday', 'bob', {}, null, function (err, age) {
+      assert.ifError(err);
+      assert.equal(age, 26);
+      Person.list('$root/names/byName', {}, function (err, res) {
+        assert.ifError(err);
+        assert.equal(res, 'Alice;Bob;Carol;');
+        done();
+      });
+    });
+  });
+
+  it('removes documents leaving tombstones', function(done){
+    Person.findById('carol', function (err, carol) {
+      assert.ifError(err);
+      carol.remove(function (err) {
+        assert.ifError(err);
+        Person.collection.findById('carol', { returnDeleted: true }, function (err, doc) {
+          assert.ifError(err);
+          assert.equal(doc._deleted, true);
+          Person.findById('carol', function (err) {
+            assert.equal(err.reason, 'deleted');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('bulk removes what find returns', function(done){
+    Person.find({}).remove(function (err, res) {
+      assert.ifError(err);
+      assert.equal(res.length, 2);
+      Person.find(function (err, docs) {
+        assert.ifError(err);
+        assert.equal(docs.length, 0);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,546 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../../')
+  , assert = require('assert')
+  , Schema = mongoose.Schema;
+
+/**
+ * Setup.
+ */
+
+var memory = mongoose.instance({name: 'memory-query-test', driver: 'memory'});
+memory.connect();
+
+var PersonSchema = new Schema({
+    name: { type: String, index: true }
+  , age: { type: Number, index: true }
+  , city: String
+  , born: Date
+  , address: { street: String }
+});
+
+var Person = memory.model('QueryPerson', PersonSchema);
+
+var NameSchema = new Schema({ last: String, first: String, age: Number });
+NameSchema.index({ last: 1, first: 1 });
+NameSchema.index({ last: 1, age: 1 });
+
+var Name = memory.model('QueryName', NameSchema);
+
+var AccountSchema = new Schema({ name: String, roles: { type: [String], index: true } });
+var Account = memory.model('QueryAccount', AccountSchema);
+
+var AnimalSchema = new Schema({ name: String });
+var Animal = memory.model('QueryAnimal', AnimalSchema);
+var Dog = Animal.discriminator('QueryDog', new Schema({ barks: Boolean }));
+var Bird = Animal.discriminator('QueryBird', new Schema({ calls: { type: [String], index: true } }));
+
+var TallySchema = new Schema({ name: String }, { views: {
+  byName: { map: function (doc) { emit(doc.name, 1); }, reduce: '_count', asDefaultIndex: true }
+}});
+var Tally = memory.model('QueryTally', TallySchema);
+
+function ids(docs) {
+  return docs.map(function (doc) { return doc._id; });
+}
+
+/**
+ * Test.
+ */
+
+describe('query:', function(){
+
+  before(function(done){
+    Name.create(
+        { _id: 'ann-smith', last: 'Smith', first: 'Ann', age: 40 }
+      , { _id: 'bo-smith', last: 'Smith', first: 'Bo', age: 25 }
+      , { _id: 'cy-smith', last: 'Smith', first: 'Cy', age: 31 }
+      , { _id: 'ann-jones', last: 'Jones', first: 'Ann', age: 30 }
+      , { _id: 'dee-brown', last: 'Brown', first: 'Dee' }
+      , done);
+  });
+
+  before(function(done){
+    Account.create(
+        { _id: 'ann', name: 'Ann', roles: ['admin', 'dev'] }
+      , { _id: 'bo', name: 'Bo', roles: ['dev'] }
+      , { _id: 'cy', name: 'Cy', roles: ['admin', 'admin'] }
+      , { _id: 'dee', name: 'Dee', roles: [] }
+      , done);
+  });
+
+  before(function(done){
+    Person.create(
+        { _id: 'alice', name: 'Alice', age: 30, city: 'Oslo', born: new Date('1994-05-01'), address: { street: 'Main' } }
+      , { _id: 'bob', name: 'Bob', age: 25, city: 'Bergen', born: new Date('1999-01-01') }
+      , { _id: 'carol', name: 'Carol', age: 30, city: 'Bergen' }
+      , { _id: 'dave', name: 'Dave', age: 41 }
+      , { _id: 'erin', name: 'Erin', age: 19, city: 'Oslo' }
+      , function (err) {
+          assert.ifError(err);
+          Animal.create({ _id: 'cat', name: 'Cat' }, function (err) {
+            assert.ifError(err);
+            Dog.create({ _id: 'rex', name: 'Rex', barks: true }, done);
+          });
+        });
+  });
+
+  it('finds all documents', function(done){
+    Person.find(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people).sort(), ['alice', 'bob', 'carol', 'dave', 'erin']);
+      assert.ok(people[0] instanceof Person);
+      done();
+    });
+  });
+
+  it('is thenable', function(done){
+    Person.find({ name: 'Bob' }).then(function (people) {
+      assert.deepEqual(ids(people), ['bob']);
+      done();
+    }, done);
+  });
+
+  it('answers equality on an indexed path with the view key', function(done){
+    var query = Person.find().where('name', 'Carol');
+    var plan = query.plan();
+    assert.equal(plan.view, '$root/byName');
+    assert.deepEqual(plan.options, { key: 'Carol' });
+    assert.ok(plan.exact);
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['carol']);
+      done();
+    });
+  });
+
+  it('answers $in on an indexed path with view keys', function(done){
+    var query = Person.find({ name: { $in: ['Erin', 'Alice', 'Nobody'] } });
+    assert.deepEqual(query.plan().options, { keys: ['Erin', 'Alice', 'Nobody'] });
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['erin', 'alice']);
+      done();
+    });
+  });
+
+  it('answers ranges on an indexed path with the view, in its order', function(done){
+    var query = Person.find().where('age').gte(20).lte(40).sort('-age').skip(1).limit(2);
+    var plan = query.plan();
+    assert.equal(plan.view, '$root/byAge');
+    assert.deepEqual(plan.options, { startkey: 40, endkey: 20, descending: true, skip: 1, limit: 2 });
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(people.map(function (p) { return p.age; }), [30, 25]);
+      done();
+    });
+  });
+
+  it('checks exclusive bounds against the documents', function(done){
+    var query = Person.find({ age: { $gt: 25, $lt: 41 } }).sort('age name');
+    var plan = query.plan();
+    assert.deepEqual(plan.options, { startkey: 25, endkey: 41 });
+    assert.ok(!plan.exact);
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['alice', 'carol']);
+      done();
+    });
+  });
+
+  it('checks ranges open below against the documents', function(done){
+    Person.create({ _id: 'gus', name: 'Gus' }, { _id: 'hal', name: 'Hal', age: null }, function (err, gus, hal) {
+      assert.ifError(err);
+      var query = Person.find({ age: { $lte: 25 } }).sort('age').limit(1);
+      var plan = query.plan();
+      assert.deepEqual(plan.options, { endkey: 25 });
+      assert.ok(!plan.exact);
+      query.exec(function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(ids(people), ['erin']);
+        Person.find({ age: { $lt: 30 } }, function (err, people) {
+          assert.ifError(err);
+          assert.deepEqual(ids(people), ['erin', 'bob']);
+          gus.remove(function (err) {
+            assert.ifError(err);
+            hal.remove(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('checks conditions the index does not answer against the documents', function(done){
+    var query = Person.find({ age: 30, city: 'Bergen' });
+    assert.equal(query.plan().view, '$root/byAge');
+    assert.ok(!query.plan().exact);
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['carol']);
+      done();
+    });
+  });
+
+  it('reads the documents when no index applies', function(done){
+    var query = Person.find({ city: { $ne: 'Oslo' } }).sort({ city: 'desc', name: 1 });
+    assert.strictEqual(query.plan().view, undefined);
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['bob', 'carol', 'dave']);
+      done();
+    });
+  });
+
+  it('supports the other operators', function(done){
+    Person.find()
+      .exists('city')
+      .where('name').nin(['Bob']).regex(/^[A-D]/)
+      .exec(function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(ids(people).sort(), ['alice', 'carol']);
+        Person.find({ 'address.street': 'Main' }, function (err, people) {
+          assert.ifError(err);
+          assert.deepEqual(ids(people), ['alice']);
+          Person.find({ city: { $exists: false } }, function (err, people) {
+            assert.ifError(err);
+            assert.deepEqual(ids(people), ['dave']);
+            done();
+          });
+        });
+      });
+  });
+
+  it('compares dates as stored', function(done){
+    Person.find().where('born').lt(new Date('1995-01-01')).exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['alice']);
+      done();
+    });
+  });
+
+  it('uses an index for sorting alone', function(done){
+    var query = Person.find().sort('-name').limit(2);
+    assert.deepEqual(query.plan(), { view: '$root/byName', options: { descending: true, limit: 2 }, exact: true, ordered: true });
+    query.exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['erin', 'dave']);
+      done();
+    });
+  });
+
+  it('sorts, skips and limits the documents', function(done){
+    Person.find({}, null, { sort: 'city -age', skip: 1, limit: 3 }, function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['carol', 'bob', 'alice']);
+      done();
+    });
+  });
+
+  it('selects fields', function(done){
+    Person.find({ name: 'Alice' }).select('name').lean().exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(Object.keys(people[0]).sort(), ['_id', '_rev', 'name']);
+      Person.find({ name: 'Alice' }, '-city -born -address', function (err, people) {
+        assert.ifError(err);
+        var alice = people[0].toObject();
+        assert.equal(alice.age, 30);
+        assert.strictEqual(alice.city, undefined);
+        assert.throws(function () { Person.find().select('name -age'); }, /both include and exclude/);
+        Person.find({ name: 'Alice' }).select({ 'address.street': 0 }).lean().exec(function (err, people) {
+          assert.ifError(err);
+          assert.deepEqual(people[0].address, {});
+          assert.equal(people[0].city, 'Oslo');
+          done();
+        });
+      });
+    });
+  });
+
+  it('finds plain objects when lean', function(done){
+    Person.find({ name: 'Bob' }).lean().exec(function (err, people) {
+      assert.ifError(err);
+      assert.ok(!(people[0] instanceof Person));
+      assert.equal(people[0].born, '1999-01-01T00:00:00.000Z');
+      done();
+    });
+  });
+
+  it('finds discriminated documents of their kind only', function(done){
+    Dog.find(function (err, dogs) {
+      assert.ifError(err);
+      assert.deepEqual(ids(dogs), ['rex']);
+      Animal.find({}, null, { sort: 'name' }, function (err, animals) {
+        assert.ifError(err);
+        assert.deepEqual(ids(animals), ['cat', 'rex']);
+        done();
+      });
+    });
+  });
+
+  describe('compound indexes', function(){
+
+    it('have views with array keys', function(done){
+      assert.deepEqual(Name.indexViews, [
+          { view: '$root/byLastAndFirst', paths: ['last', 'first'] }
+        , { view: '$root/byLastAndAge', paths: ['last', 'age'] }
+      ]);
+      Name.findWithView('$root/byLastAndFirst', { key: ['Smith', 'Bo'] }, function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['bo-smith']);
+        done();
+      });
+    });
+
+    it('answer equality on all their paths', function(done){
+      var query = Name.find({ first: 'Ann', last: 'Jones' });
+      assert.deepEqual(query.plan(), { view: '$root/byLastAndFirst', options: { key: ['Jones', 'Ann'] }, exact: true, ordered: true });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['ann-jones']);
+        done();
+      });
+    });
+
+    it('answer equality on a prefix followed by a range', function(done){
+      var query = Name.find({ last: 'Smith', age: { $gte: 30 } }).sort('age');
+      assert.deepEqual(query.plan(), {
+          view: '$root/byLastAndAge'
+        , options: { startkey: ['Smith', 30], endkey: ['Smith', {}] }
+        , exact: true
+        , ordered: true
+      });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['cy-smith', 'ann-smith']);
+        Name.find({ last: 'Smith', age: { $gt: 25, $lte: 40 } }).sort('-age').exec(function (err, names) {
+          assert.ifError(err);
+          assert.deepEqual(ids(names), ['ann-smith', 'cy-smith']);
+          done();
+        });
+      });
+    });
+
+    it('check ranges open below against the documents', function(done){
+      var query = Name.find({ last: 'Brown', age: { $lte: 50 } });
+      assert.deepEqual(query.plan(), {
+          view: '$root/byLastAndAge'
+        , options: { startkey: ['Brown'], endkey: ['Brown', 50, {}] }
+        , exact: false
+        , ordered: true
+      });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(names, []);
+        done();
+      });
+    });
+
+    it('answer equality on a prefix in the order of the next path', function(done){
+      var query = Name.find({ last: 'Smith' }).sort('-first').limit(2);
+      assert.deepEqual(query.plan(), {
+          view: '$root/byLastAndFirst'
+        , options: { startkey: ['Smith', {}], endkey: ['Smith'], descending: true, limit: 2 }
+        , exact: true
+        , ordered: true
+      });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['cy-smith', 'bo-smith']);
+        done();
+      });
+    });
+
+    it('answer $in on their last path', function(done){
+      var query = Name.find({ last: 'Smith', first: { $in: ['Cy', 'Ann'] } });
+      assert.deepEqual(query.plan().options, { keys: [['Smith', 'Cy'], ['Smith', 'Ann']] });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['cy-smith', 'ann-smith']);
+        done();
+      });
+    });
+
+    it('order results on their paths', function(done){
+      var query = Name.find().sort('-last -first');
+      assert.deepEqual(query.plan(), { view: '$root/byLastAndFirst', options: { descending: true }, exact: true, ordered: true });
+      query.exec(function (err, names) {
+        assert.ifError(err);
+        assert.deepEqual(ids(names), ['cy-smith', 'bo-smith', 'ann-smith', 'ann-jones', 'dee-brown']);
+        var mixed = Name.find().sort('last -first');
+        assert.ok(!mixed.plan().ordered);
+        mixed.exec(function (err, names) {
+          assert.ifError(err);
+          assert.deepEqual(ids(names), ['dee-brown', 'ann-jones', 'cy-smith', 'bo-smith', 'ann-smith']);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('indexes on arrays', function(){
+
+    it('have views with a row for each element', function(done){
+      assert.deepEqual(Account.indexViews, [{ view: '$root/byRoles', paths: ['roles'], multikey: 'roles' }]);
+      Account.findWithView('$root/byRoles', { key: 'admin' }, function (err, accounts) {
+        assert.ifError(err);
+        assert.deepEqual(ids(accounts), ['ann', 'cy', 'cy']);
+        done();
+      });
+    });
+
+    it('find documents by element once', function(done){
+      var query = Account.findByElement('roles', 'admin');
+      assert.deepEqual(query.plan(), { view: '$root/byRoles', options: { key: 'admin' }, exact: true, ordered: true });
+      // a document may have more rows than one
+      assert.deepEqual(Account.findByElement('roles', 'admin').limit(1).plan().options, { key: 'admin' });
+      query.exec(function (err, accounts) {
+        assert.ifError(err);
+        assert.deepEqual(ids(accounts), ['ann', 'cy']);
+        assert.ok(accounts[0] instanceof Account);
+        Account.findByElement('roles', 'admin').sort('-name').limit(1).exec(function (err, accounts) {
+          assert.ifError(err);
+          assert.deepEqual(ids(accounts), ['cy']);
+          done();
+        });
+      });
+    });
+
+    it('answer conditions on elements', function(done){
+      var query = Account.find({ roles: { $gte: 'd' } });
+      assert.deepEqual(query.plan(), { view: '$root/byRoles', options: { startkey: 'd' }, exact: true, ordered: true });
+      query.exec(function (err, accounts) {
+        assert.ifError(err);
+        assert.deepEqual(ids(accounts), ['ann', 'bo']);
+        Account.find({ roles: { $in: ['dev', 'ops'] } }).limit(1).exec(function (err, accounts) {
+          assert.ifError(err);
+          assert.deepEqual(ids(accounts), ['ann']);
+          done();
+        });
+      });
+    });
+
+    it('leave conditions on whole arrays to the documents', function(done){
+      var query = Account.find({ roles: ['admin', 'dev'] });
+      assert.equal(query.plan().view, undefined);
+      query.exec(function (err, accounts) {
+        assert.ifError(err);
+        assert.deepEqual(ids(accounts), ['ann']);
+        Account.find({ roles: { $ne: 'admin' } }, function (err, accounts) {
+          assert.ifError(err);
+          assert.deepEqual(ids(accounts).sort(), ['bo', 'dee']);
+          done();
+        });
+      });
+    });
+
+    it('are not the views of all documents of a kind', function(done){
+      assert.ok(/\/by_id$/.test(Bird.defaultView));
+      Bird.create(
+          { _id: 'jay', name: 'Jay', calls: ['caw'] }
+        , { _id: 'owl', name: 'Owl', calls: [] }
+        , { _id: 'emu', name: 'Emu' }
+        , function (err) {
+            assert.ifError(err);
+            Bird.find(function (err, birds) {
+              assert.ifError(err);
+              assert.deepEqual(ids(birds).sort(), ['emu', 'jay', 'owl']);
+              done();
+            });
+          });
+    });
+
+    it('hold one array at most', function(){
+      var schema = new Schema({ roles: [String], tags: [String] });
+      schema.index({ roles: 1, tags: 1 });
+      assert.throws(function () {
+        memory.model('QueryParallel', schema);
+      }, /Cannot index parallel arrays roles and tags/);
+      assert.throws(function () {
+        Account.findByElement('name', 'Ann');
+      }, /name is not an array/);
+    });
+  });
+
+  it('casts condition values through the schema', function(done){
+    Person.find({ age: '30' }).sort('name').exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['alice', 'carol']);
+      Person.find({ age: { $in: ['25', '41'] }, born: { $lt: '2000-01-01' } }, function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(ids(people), ['bob']);
+        Person.find({ age: 'old' }, function (err) {
+          assert.ok(err instanceof mongoose.Error.CastError);
+          done();
+        });
+      });
+    });
+  });
+
+  it('finds documents meeting $or, $and and $nor', function(done){
+    Person.find({ $or: [{ age: 25 }, { city: 'Oslo' }] }).sort('name').exec(function (err, people) {
+      assert.ifError(err);
+      assert.deepEqual(ids(people), ['alice', 'bob', 'erin']);
+      Person.find({ $and: [{ age: { $gte: 25 } }, { age: { $lt: 41 } }] }).sort('name').exec(function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(ids(people), ['alice', 'bob', 'carol']);
+        var query = Person.find({ age: 30 }).nor([{ city: 'Oslo' }, { name: 'Dave' }]).limit(1);
+        assert.deepEqual(query.plan(), { view: '$root/byAge', options: { key: 30 }, exact: false, ordered: true });
+        query.exec(function (err, people) {
+          assert.ifError(err);
+          assert.deepEqual(ids(people), ['carol']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('passes unsupported conditions to the callback', function(done){
+    Person.find({ age: { $foo: 1 } }, function (err) {
+      assert.ok(/\$foo is not supported/.test(err.message));
+      Person.find({ $where: 'true' }).exec().then(null, function (err) {
+        assert.ok(/\$where is not supported/.test(err.message));
+        Person.find({ $or: [{ pets: { $elemMatch: { name: 'Rex' } } }] }, function (err) {
+          assert.ok(/\$elemMatch is not supported/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+
+  it('reads the documents from a default view that reduces', function(done){
+    Tally.create({ _id: 'one', name: 'One' }, { _id: 'two', name: 'Two' }, function (err) {
+      assert.ifError(err);
+      Tally.find({ name: 'Two' }, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(ids(docs), ['two']);
+        done();
+      });
+    });
+  });
+
+  it('passes on errors', function(done){
+    var findWithView = Person.collection.findWithView;
+    Person.collection.findWithView = function (view, opts, callback) {
+      callback(new mongoose.Error.NotFoundError('missing_named_view'));
+    };
+    Person.find({ name: 'Bob' }).exec().then(null, function (err) {
+      Person.collection.findWithView = findWithView;
+      assert.ok(err instanceof mongoose.Error.NotFoundError);
+      done();
+    });
+  });
+
+  it('removes the documents found', function(done){
+    Person.find({ city: 'Oslo' }).remove(function (err, res) {
+      assert.ifError(err);
+      assert.deepEqual(ids(res.map(function (r) { return { _id: r.id }; })).sort(), ['alice', 'erin']);
+      Person.find(function (err, people) {
+        assert.ifError(err);
+        assert.deepEqual(ids(people).sort(), ['bob', 'carol', 'dave']);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * A third-party style driver for the plugin tests: the memory driver,
+ * recording the databases it opens.
+ */
+
+var MemoryConnection = require('../../lib/drivers/memory/connection')
+  , MemoryCollection = require('../../lib/drivers/memory/collection');
+
+function Connection() {
+  MemoryConnection.apply(this, arguments);
+}
+
+Connection.prototype.__proto__ = MemoryConnection.prototype;
+
+function Collection() {
+  MemoryCollection.apply(this, arguments);
+}
+
+Collection.prototype.__proto__ = MemoryCollection.prototype;
+
+Collection.prototype.ensureDb = function (callback) {
+  Collection.opened.push(this.name);
+  MemoryCollection.prototype.ensureDb.call(this, callback);
+};
+
+Collection.opened = [];
+
+exports.Connection = Connection;
+exports.Collection = Collection;
@@ -0,0 +1,114 @@
+/**
+ * Module dependencies.
+ */
+
+var mongoose = require('../../')
+  , assert = require('assert')
+  , path = require('path')
+  , plugin = require('./plugin-driver')
+  , Schema = mongoose.Schema
+  , InvalidDriverError = mongoose.Error.InvalidDriverError;
+
+/**
+ * Test.
+ */
+
+describe('drivers: plugin api:', function(){
+
+  var schema = new Schema({ name: String });
+
+  function roundTrip(instance, name, done) {
+    instance.connect();
+    var Thing = instance.model(name, schema);
+    Thing.create({ _id: 't1', name: 'One' }, function (err) {
+      assert.ifError(err);
+      Thing.findById('t1', function (err, thing) {
+        assert.ifError(err);
+        assert.equal(thing.name, 'One');
+        instance.connection.close(done);
+      });
+    });
+  }
+
+  it('accepts driver constructors', function(done){
+    var instance = mongoose.instance({ name: 'plugin-constructors', driver: plugin });
+    assert.strictEqual(instance.Collection, plugin.Collection);
+    roundTrip(instance, 'PluginConstructorThing', function (err) {
+      assert.ifError(err);
+      assert.ok(plugin.Collection.opened.indexOf('pluginconstructorthings') !== -1);
+      done();
+    });
+  });
+
+  it('loads drivers from a path', function(done){
+    var instance = mongoose.instance({ name: 'plugin-path', driver: './' + path.relative(process.cwd(), require.resolve('./plugin-driver')) });
+    assert.strictEqual(instance.Connection, plugin.Connection);
+    roundTrip(instance, 'PluginPathThing', done);
+  });
+
+  it('loads drivers from an absolute path', function(){
+    var instance = mongoose.instance({ name: 'plugin-module', driver: require.resolve('./plugin-driver') });
+    assert.strictEqual(instance.Collection, plugin.Collection);
+  });
+
+  it('still finds bundled drivers by name', function(){
+    var instance = mongoose.instance('memory');
+    assert.strictEqual(instance.Collection, require('../../lib/drivers/memory/collection'));
+  });
+
+  it('needs a name for driver objects', function(){
+    assert.throws(function () {
+      mongoose.instance({ driver: plugin });
+    }, /needs a name/);
+  });
+
+  it('rejects drivers that cannot be found', function(){
+    assert.throws(function () {
+      mongoose.instance({ name: 'plugin-missing', driver: 'mongoose-couch-no-such-driver' });
+    }, function (err) {
+      return err instanceof InvalidDriverError
+        && err.message === 'Driver `mongoose-couch-no-such-driver` cannot be found.';
+    });
+  });
+
+  it('rejects drivers without constructors', function(){
+    assert.throws(function () {
+      mongoose.instance({ name: 'plugin-half', driver: { Connection: plugin.Connection } });
+    }, function (err) {
+      return err instanceof InvalidDriverError
+        && err.message === 'Driver `plugin-half` has no Collection constructor.';
+    });
+  });
+
+  it('passes the lack of Mango queries to the callback', function(done){
+    function Collection() {
+      plugin.Collection.apply(this, arguments);
+    }
+    Collection.prototype.__proto__ = plugin.Collection.prototype;
+    Collection.prototype.findWithSelector = mongoose.driver.Collection.prototype.findWithSelector;
+
+    var instance = mongoose.instance({ name: 'plugin-no-mango', driver: { Connection: plugin.Connection, Collection: Collection } });
+    instance.connect();
+    var Thing = instance.model('PluginNoMangoThing', schema);
+    Thing.findBySelector({ name: 'One' }, function (err) {
+      assert.ok(/does not support Mango queries/.test(err.message));
+      instance.connection.close(done);
+    });
+  });
+
+  it('rejects drivers missing required methods when the instance is created', function(){
+    function Collection() {
+      mongoose.driver.Collection.apply(this, arguments);
+    }
+    Collection.prototype.__proto__ = mongoose.driver.Collection.prototype;
+    Collection.prototype.ensureDb = function (callback) { callback({}); };
+    Collection.prototype.all = function () {};
+
+    assert.throws(function () {
+      mongoose.instance({ name: 'plugin-partial', driver: { Connection: plugin.Connection, Collection: Collection } });
+    }, function (err) {
+      return err instanceof InvalidDriverError
+        && /does not implement Collection#insert, Collection#bulkInsert, .*Collection#findOneWithView\.$/.test(err.message);
+    });
+  });
+});